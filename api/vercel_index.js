@@ -4,6 +4,7 @@ export const config = {
   runtime: 'edge' //告诉 Vercel 这是 Edge Function
 };
 
-export default async function handler(req) {
-  return handleRequest(req);
+export default async function handler(req, context) {
+  // waitUntil 让延迟写入的密钥状态在响应返回后仍能完成
+  return handleRequest({ request: req, env: process.env, waitUntil: (promise) => context?.waitUntil?.(promise) });
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { handleVerification } from "../src/verify_keys.js";
+import { isAuthorizedToken } from "../src/signed_token.js";
 
 export const config = {
   runtime: 'edge'
@@ -17,11 +18,13 @@ export default async function handler(req) {
     });
   }
 
+  // 接受 AUTH_TOKEN 或 JWT_SECRET 签发的令牌
   const serverAuthToken = process.env.AUTH_TOKEN;
-  if (serverAuthToken) {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (serverAuthToken || jwtSecret) {
     const authHeader = req.headers.get("Authorization");
     const bearer = authHeader?.split(" ")[1];
-    if (bearer !== serverAuthToken) {
+    if (!(await isAuthorizedToken(bearer, { authToken: serverAuthToken, jwtSecret }))) {
       return new Response(JSON.stringify({ error: "Unauthorized" }), {
         status: 401,
         headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" },
@@ -1,5 +1,5 @@
 import { handleRequest } from "../../src/handle_request.js";
 
 export default async (req, context) => {
-  return handleRequest(req);
+  return handleRequest({ request: req, env: process.env, waitUntil: (promise) => context?.waitUntil?.(promise) });
 };
@@ -1,6 +1,7 @@
 import { handleVerification } from "../src/verify_keys.js";
+import { isAuthorizedToken } from "../src/signed_token.js";
 
-export default function onRequest(context) {
+export default async function onRequest(context) {
   const request = context.request;
   
   if (request.method === "OPTIONS") {
@@ -15,11 +16,13 @@ export default function onRequest(context) {
     });
   }
 
+  // 接受 AUTH_TOKEN 或 JWT_SECRET 签发的令牌
   const serverAuthToken = process.env.AUTH_TOKEN;
-  if (serverAuthToken) {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (serverAuthToken || jwtSecret) {
     const authHeader = request.headers.get("Authorization");
     const bearer = authHeader?.split(" ")[1];
-    if (bearer !== serverAuthToken) {
+    if (!(await isAuthorizedToken(bearer, { authToken: serverAuthToken, jwtSecret }))) {
       return new Response(JSON.stringify({ error: "Unauthorized" }), {
         status: 401,
         headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" },
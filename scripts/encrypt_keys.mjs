@@ -0,0 +1,31 @@
+/**
+ * 生成加密的 GEMINI_API_KEY
+ *
+ * 用法：
+ *   KEY_ENCRYPTION_SECRET=... node scripts/encrypt_keys.mjs "key1:10:paid,key2"
+ *   KEY_ENCRYPTION_SECRET=... node scripts/encrypt_keys.mjs < keys.txt
+ *
+ * 输出的 enc:v1:... 可直接设置为 GEMINI_API_KEY，部署时同时配置相同的 KEY_ENCRYPTION_SECRET。
+ */
+
+import { encryptKeys } from '../src/key_crypto.js';
+
+const secret = process.env.KEY_ENCRYPTION_SECRET;
+if (!secret) {
+  console.error('请先设置环境变量 KEY_ENCRYPTION_SECRET');
+  process.exit(1);
+}
+
+let keys = process.argv[2];
+if (!keys) {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  keys = Buffer.concat(chunks).toString('utf8');
+}
+keys = keys.trim();
+if (!keys) {
+  console.error('请通过参数或标准输入提供密钥列表');
+  process.exit(1);
+}
+
+console.log(await encryptKeys(keys, secret));
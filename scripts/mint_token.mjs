@@ -0,0 +1,38 @@
+/**
+ * 签发短期客户端令牌（HS256 JWT）
+ *
+ * 用法：
+ *   JWT_SECRET=... node scripts/mint_token.mjs <sub> [ttl秒数，默认 3600] ['{"models":["gemini-2.5-flash*"],"quota":{"rpm":30}}']
+ *
+ * 输出的令牌可作为 Authorization: Bearer 或 x-goog-api-key 使用，部署时需配置相同的 JWT_SECRET。
+ */
+
+import { signToken } from '../src/signed_token.js';
+
+const secret = process.env.JWT_SECRET;
+if (!secret) {
+  console.error('请先设置环境变量 JWT_SECRET');
+  process.exit(1);
+}
+
+const [sub, ttlArg = '3600', claimsArg = '{}'] = process.argv.slice(2);
+const ttlSeconds = parseInt(ttlArg, 10);
+if (!sub || !(ttlSeconds > 0)) {
+  console.error('用法: node scripts/mint_token.mjs <sub> [ttl秒数] [JSON 声明]');
+  process.exit(1);
+}
+
+let claims;
+try {
+  claims = JSON.parse(claimsArg);
+} catch (error) {
+  console.error('声明不是合法的 JSON:', error.message);
+  process.exit(1);
+}
+
+try {
+  console.log(await signToken({ ...claims, sub }, secret, { ttlSeconds }));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,441 @@
+/**
+ * 管理端点处理器
+ * 提供运行时管理密钥池的 API：增删密钥、启用/禁用、调整权重、手动恢复/标记不健康，
+ * 管理客户端令牌（/admin/tokens，见 token_registry.js），用 JWT_SECRET 签发短期令牌（POST /admin/jwt，见 signed_token.js），
+ * 以及用 KEY_ENCRYPTION_SECRET 生成加密的 GEMINI_API_KEY（POST /admin/encrypt）
+ *
+ * 所有请求需携带 Authorization: Bearer <ADMIN_TOKEN>；未配置 ADMIN_TOKEN 时管理 API 关闭（不使用客户端共享的 AUTH_TOKEN）
+ */
+
+import { logger } from './logger.mjs';
+import { KeyManager, fingerprintKey, timingSafeEqual } from './utils.js';
+import { encryptKeys } from './key_crypto.js';
+import { signToken } from './signed_token.js';
+import { parseExpiry } from './token_registry.js';
+import { validateKeyEntry } from './key_validation.js';
+
+/**
+ * 校验请求是否携带管理令牌（Authorization: Bearer 或 x-admin-token），供管理 API 与敏感的监控端点使用
+ * @param {Request} request
+ * @param {string} adminToken - ADMIN_TOKEN，未配置时总是返回 false
+ * @returns {boolean}
+ */
+export function isAdminRequest(request, adminToken) {
+  if (!adminToken) return false;
+  const token = request.headers.get('Authorization')?.split(' ')[1] || request.headers.get('x-admin-token');
+  return timingSafeEqual(token, adminToken);
+}
+
+class HttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+export class AdminEndpoint {
+  /**
+   * @param {Object} env - 环境变量
+   * @param {import('./token_registry.js').TokenRegistry} [tokenRegistry] - 客户端令牌注册表
+   * @param {Object<string, Object>} [policies] - 客户端策略（见 policy.js），用于校验令牌引用的策略名称
+   */
+  constructor(env, tokenRegistry = null, policies = {}) {
+    this.tokenRegistry = tokenRegistry;
+    this.policies = policies;
+    this.adminToken = env.ADMIN_TOKEN || '';
+    this.encryptionSecret = env.KEY_ENCRYPTION_SECRET || '';
+    this.jwtSecret = env.JWT_SECRET || '';
+  }
+
+  /**
+   * 处理管理请求
+   * @param {Request} request - 请求对象
+   * @returns {Promise<Response>}
+   */
+  async handleAdminRequest(request) {
+    const url = new URL(request.url);
+    const segments = url.pathname.split('/').filter(Boolean); // ['admin', 'keys', id?, action?]
+
+    if (!this.adminToken) {
+      return this.jsonResponse({ error: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.' }, 403);
+    }
+    if (!this.isAuthorized(request)) {
+      return this.jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    try {
+      if (segments[1] === 'encrypt') {
+        if (request.method !== 'POST') {
+          return this.jsonResponse({ error: `Method ${request.method} not allowed for ${url.pathname}` }, 405);
+        }
+        return await this.encryptKeyList(request);
+      }
+
+      if (segments[1] === 'jwt') {
+        if (request.method !== 'POST') {
+          return this.jsonResponse({ error: `Method ${request.method} not allowed for ${url.pathname}` }, 405);
+        }
+        return await this.mintSignedToken(request);
+      }
+
+      if (segments[1] === 'tokens' && this.tokenRegistry) {
+        return await this.handleTokenRequest(request, segments);
+      }
+
+      const poolId = url.searchParams.get('pool') || 'default';
+      const keyManager = KeyManager.getPool(poolId);
+      if (!keyManager) {
+        return this.jsonResponse({ error: `Key pool "${poolId}" not found` }, 404);
+      }
+
+      if (segments[1] !== 'keys') {
+        return this.jsonResponse({ error: 'Not found' }, 404);
+      }
+
+      const [, , keyId, action] = segments;
+      const method = request.method;
+
+      if (!keyId) {
+        if (method === 'GET') return this.listKeys(keyManager);
+        if (method === 'POST') return await this.addKey(keyManager, request);
+      } else if (!action) {
+        if (method === 'GET') return this.getKey(keyManager, keyId);
+        if (method === 'DELETE') return await this.removeKey(keyManager, keyId);
+      } else if (method === 'POST') {
+        return await this.applyKeyAction(keyManager, keyId, action, request);
+      }
+
+      return this.jsonResponse({ error: `Method ${method} not allowed for ${url.pathname}` }, 405);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return this.jsonResponse({ error: error.message }, error.status);
+      }
+      logger.error('管理端点处理错误:', error);
+      return this.jsonResponse({ error: '管理端点处理失败', message: error.message }, 500);
+    }
+  }
+
+  /**
+   * 校验管理令牌
+   * @param {Request} request
+   * @returns {boolean}
+   */
+  isAuthorized(request) {
+    return isAdminRequest(request, this.adminToken);
+  }
+
+  /**
+   * 列出密钥池中的所有密钥（脱敏）
+   * @returns {Response}
+   */
+  listKeys(keyManager) {
+    const stats = keyManager.getStats();
+    return this.jsonResponse({
+      pool: keyManager.poolId,
+      summary: {
+        total: stats.totalKeys,
+        healthy: stats.healthyKeys,
+        unhealthy: stats.unhealthyKeys
+      },
+      keys: stats.keyDetails
+    });
+  }
+
+  /**
+   * 查看单个密钥
+   * @returns {Response}
+   */
+  getKey(keyManager, keyId) {
+    const detail = this.findKeyDetail(keyManager, keyId);
+    if (!detail) return this.keyNotFound(keyId);
+    return this.jsonResponse(detail);
+  }
+
+  /**
+   * 添加密钥，请求体：{ "key": "AIza...", "weight": 5, "tags": ["paid"], "schedule": { "exp": "2026-12-31", "hours": "22-08", "tz": "Asia/Shanghai" } }
+   * @returns {Promise<Response>}
+   */
+  async addKey(keyManager, request) {
+    const body = await this.readJson(request);
+    if (typeof body.key !== 'string' || !body.key.trim()) {
+      return this.jsonResponse({ error: 'Request body must contain "key"' }, 400);
+    }
+    // 与 GEMINI_API_KEY 中的条目相同：去掉空白、引号和 key= 前缀后按 keyValidation 校验格式
+    const { key, error } = validateKeyEntry(body.key, keyManager.config.keyValidation);
+    if (error) {
+      return this.jsonResponse({ error }, 400);
+    }
+    const weight = body.weight === undefined ? 1 : Number(body.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      return this.jsonResponse({ error: '"weight" must be a positive number' }, 400);
+    }
+
+    const tags = Array.isArray(body.tags) ? body.tags.filter(t => typeof t === 'string' && t) : [];
+
+    const schedule = body.schedule && typeof body.schedule === 'object'
+      ? Object.fromEntries(['nbf', 'exp', 'hours', 'tz'].filter(f => body.schedule[f] != null).map(f => [f, String(body.schedule[f])]))
+      : null;
+
+    const added = keyManager.addKey(key, weight, tags, schedule);
+    await keyManager.saveState();
+    return this.jsonResponse({ added, key: this.findKeyDetail(keyManager, key) }, added ? 201 : 200);
+  }
+
+  /**
+   * 加密密钥列表，请求体：{ "keys": "key1:10:paid,key2" }，返回可直接作为 GEMINI_API_KEY 的密文
+   * @returns {Promise<Response>}
+   */
+  async encryptKeyList(request) {
+    if (!this.encryptionSecret) {
+      return this.jsonResponse({ error: 'KEY_ENCRYPTION_SECRET is not configured' }, 400);
+    }
+    const body = await this.readJson(request);
+    const keys = typeof body.keys === 'string' ? body.keys.trim() : '';
+    if (!keys) {
+      return this.jsonResponse({ error: 'Request body must contain "keys"' }, 400);
+    }
+    return this.jsonResponse({ value: await encryptKeys(keys, this.encryptionSecret) });
+  }
+
+  /**
+   * 签发短期令牌，请求体：{ "sub": "ci-job", "ttl": 3600, "models": ["gemini-2.5-flash*"], "quota": { "rpm": 30 }, "pool": "team-a", "policy": "intern" }
+   * ttl 为有效期（秒，默认 1 小时）
+   * @returns {Promise<Response>}
+   */
+  async mintSignedToken(request) {
+    if (!this.jwtSecret) {
+      return this.jsonResponse({ error: 'JWT_SECRET is not configured' }, 400);
+    }
+    // exp / iat 由 ttl 计算，请求体中的值被忽略
+    const { ttl = 3600, exp: _exp, iat: _iat, ...claims } = await this.readJson(request);
+    if (!Number.isInteger(ttl) || ttl <= 0) {
+      return this.jsonResponse({ error: '"ttl" must be a positive integer (seconds)' }, 400);
+    }
+    if (claims.pool != null && !KeyManager.getPool(claims.pool)) {
+      return this.jsonResponse({ error: `Key pool "${claims.pool}" not found` }, 400);
+    }
+    if (claims.policy != null && !this.policies[claims.policy]) {
+      return this.jsonResponse({ error: `Policy "${claims.policy}" not found` }, 400);
+    }
+
+    let token;
+    try {
+      token = await signToken(claims, this.jwtSecret, { ttlSeconds: ttl });
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 400);
+    }
+    const expiresAt = new Date((Math.floor(Date.now() / 1000) + ttl) * 1000).toISOString();
+    logger.info(`签发签名令牌（sub: ${claims.sub}，有效期 ${ttl} 秒）`);
+    return this.jsonResponse({ token, sub: claims.sub, expiresAt }, 201);
+  }
+
+  /**
+   * 移除密钥
+   * @returns {Promise<Response>}
+   */
+  async removeKey(keyManager, keyId) {
+    if (!keyManager.removeKey(keyId)) return this.keyNotFound(keyId);
+    await keyManager.saveState();
+    return this.jsonResponse({ removed: true, id: keyId });
+  }
+
+  /**
+   * 执行密钥操作：enable | disable | weight | recover | unhealthy
+   * @returns {Promise<Response>}
+   */
+  async applyKeyAction(keyManager, keyId, action, request) {
+    const body = await this.readJson(request);
+    let found;
+
+    switch (action) {
+      case 'enable':
+        found = keyManager.setKeyEnabled(keyId, true);
+        break;
+      case 'disable':
+        found = keyManager.setKeyEnabled(keyId, false);
+        break;
+      case 'weight': {
+        const weight = Number(body.weight);
+        if (!Number.isFinite(weight) || weight <= 0) {
+          return this.jsonResponse({ error: '"weight" must be a positive number' }, 400);
+        }
+        found = keyManager.setKeyWeight(keyId, weight);
+        break;
+      }
+      case 'recover':
+        found = keyManager.recoverKey(keyId);
+        break;
+      case 'unhealthy':
+        found = keyManager.markAsUnhealthy(keyId, body.reason || 'Marked unhealthy via admin API');
+        break;
+      default:
+        return this.jsonResponse({ error: `Unknown action "${action}"` }, 404);
+    }
+
+    if (!found) return this.keyNotFound(keyId);
+    await keyManager.saveState();
+    return this.jsonResponse({ action, key: this.findKeyDetail(keyManager, keyId) });
+  }
+
+  /**
+   * 处理客户端令牌请求：
+   *   GET /admin/tokens、POST /admin/tokens、GET|PATCH|DELETE /admin/tokens/:id、POST /admin/tokens/:id/enable|disable
+   * @returns {Promise<Response>}
+   */
+  async handleTokenRequest(request, segments) {
+    const [, , tokenId, action] = segments;
+    const method = request.method;
+
+    if (!tokenId) {
+      if (method === 'GET') return this.jsonResponse({ tokens: this.tokenRegistry.list() });
+      if (method === 'POST') return await this.createToken(request);
+    } else if (!action) {
+      if (method === 'GET') {
+        const token = this.tokenRegistry.get(tokenId);
+        return token ? this.jsonResponse(token) : this.tokenNotFound(tokenId);
+      }
+      if (method === 'PATCH') return await this.updateToken(tokenId, await this.readJson(request));
+      if (method === 'DELETE') {
+        try {
+          const removed = await this.tokenRegistry.remove(tokenId);
+          return removed ? this.jsonResponse({ removed: true, id: tokenId }) : this.tokenNotFound(tokenId);
+        } catch (error) {
+          return this.jsonResponse({ error: error.message }, 409);
+        }
+      }
+    } else if (method === 'POST' && (action === 'enable' || action === 'disable')) {
+      return await this.updateToken(tokenId, { enabled: action === 'enable' });
+    } else if (method === 'POST') {
+      return this.jsonResponse({ error: `Unknown action "${action}"` }, 404);
+    }
+
+    return this.jsonResponse({ error: `Method ${method} not allowed for /${segments.join('/')}` }, 405);
+  }
+
+  /**
+   * 创建客户端令牌，请求体：{ "name": "team-a", "pool": "team-a", "expiresAt": "2026-12-31", "rpm": 60, "tpm": 100000, "policy": "intern", "token": "可选" }
+   * 响应中的 token 为明文令牌，只返回这一次
+   * @returns {Promise<Response>}
+   */
+  async createToken(request) {
+    const body = await this.readJson(request);
+    const fields = this.validateTokenFields(body);
+    if (fields.error) return this.jsonResponse({ error: fields.error }, 400);
+    if (body.token !== undefined && (typeof body.token !== 'string' || body.token.length < 16)) {
+      return this.jsonResponse({ error: '"token" must be a string of at least 16 characters' }, 400);
+    }
+
+    const { token, record } = await this.tokenRegistry.create({ ...fields.values, token: body.token });
+    return this.jsonResponse({ token, ...record }, 201);
+  }
+
+  /**
+   * 修改客户端令牌的 name / pool / enabled / expiresAt / rpm / tpm / policy
+   * @returns {Promise<Response>}
+   */
+  async updateToken(tokenId, body) {
+    const fields = this.validateTokenFields(body);
+    if (fields.error) return this.jsonResponse({ error: fields.error }, 400);
+    const record = await this.tokenRegistry.update(tokenId, fields.values);
+    return record ? this.jsonResponse(record) : this.tokenNotFound(tokenId);
+  }
+
+  /**
+   * 校验令牌字段，只返回请求体中出现的字段
+   * @returns {{values: Object, error?: string}}
+   */
+  validateTokenFields(body) {
+    const values = {};
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || !body.name.trim()) return { values, error: '"name" must be a non-empty string' };
+      values.name = body.name.trim();
+    }
+    if (body.pool !== undefined) {
+      if (typeof body.pool !== 'string' || !KeyManager.getPool(body.pool)) {
+        return { values, error: `Key pool "${body.pool}" not found` };
+      }
+      values.pool = body.pool;
+    }
+    if (body.enabled !== undefined) {
+      if (typeof body.enabled !== 'boolean') return { values, error: '"enabled" must be a boolean' };
+      values.enabled = body.enabled;
+    }
+    if (body.expiresAt !== undefined) {
+      const expiresAt = parseExpiry(body.expiresAt);
+      if (expiresAt === undefined) return { values, error: '"expiresAt" must be a valid date or null' };
+      values.expiresAt = expiresAt;
+    }
+    for (const field of ['rpm', 'tpm']) {
+      if (body[field] !== undefined) {
+        if (body[field] !== null && !(Number.isInteger(body[field]) && body[field] >= 0)) {
+          return { values, error: `"${field}" must be a non-negative integer or null` };
+        }
+        values[field] = body[field];
+      }
+    }
+    if (body.policy !== undefined) {
+      if (body.policy !== null && (typeof body.policy !== 'string' || !this.policies[body.policy])) {
+        return { values, error: `Policy "${body.policy}" not found` };
+      }
+      values.policy = body.policy;
+    }
+    return { values };
+  }
+
+  /**
+   * 查找密钥的脱敏详情
+   * @returns {Object|null}
+   */
+  findKeyDetail(keyManager, keyOrId) {
+    const keyObj = keyManager.findKey(keyOrId);
+    if (!keyObj) return null;
+    const id = fingerprintKey(keyObj.key);
+    return keyManager.getStats().keyDetails.find(d => d.id === id) || null;
+  }
+
+  /**
+   * 读取 JSON 请求体，空请求体返回 {}
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   * @throws {HttpError} 请求体不是合法的 JSON 对象时抛出 400
+   */
+  async readJson(request) {
+    const text = await request.text();
+    if (!text) return {};
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw new HttpError(`Request body is not valid JSON: ${error.message}`, 400);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError('Request body must be a JSON object', 400);
+    }
+    return body;
+  }
+
+  keyNotFound(keyId) {
+    return this.jsonResponse({ error: `Key "${keyId}" not found` }, 404);
+  }
+
+  tokenNotFound(tokenId) {
+    return this.jsonResponse({ error: `Token "${tokenId}" not found` }, 404);
+  }
+
+  /**
+   * 构造 JSON 响应
+   * @param {Object} data
+   * @param {number} [status=200]
+   * @returns {Response}
+   */
+  jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data, null, 2), {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+}
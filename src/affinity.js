@@ -0,0 +1,238 @@
+/**
+ * 密钥亲和路由
+ * Files API 上传的文件、cachedContents 缓存以及可续传上传会话都只属于创建它们的密钥，
+ * 换用其他密钥访问会得到 403/404。本模块记录这些资源的所属密钥，并把引用它们的后续请求路由回该密钥。
+ *
+ * 另外提供可选的会话亲和：按会话前缀（模型 + 系统指令 + 第一轮消息）的哈希，
+ * 在密钥可用时优先复用上次处理该会话的密钥，以提高隐式上下文缓存的命中率。
+ *
+ * 所属关系保存在状态存储（见 storage.js）中，只记录密钥指纹，多实例部署时共享。
+ */
+
+import { logger as defaultLogger } from './logger.mjs';
+import { fingerprintKey } from './utils.js';
+
+// 资源名，如 files/abc-123、cachedContents/xyz
+const RESOURCE_PATTERN = /\b(files|cachedContents)\/([A-Za-z0-9_-]+)/g;
+
+export class AffinityRouter {
+  /**
+   * @param {Object} config - KEY_MANAGER_CONFIG.affinity
+   * @param {Object} [logger] - 日志记录器
+   */
+  constructor(config, logger = defaultLogger) {
+    this.config = config;
+    this.logger = logger;
+    this.storage = null;
+  }
+
+  /**
+   * 挂载状态存储；未挂载时不记录也不路由
+   * @param {Object} storage - 存储适配器（见 storage.js）
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * 从请求路径、查询参数和 JSON 请求体中提取引用的资源
+   * @param {URL} url
+   * @param {Object|null} requestJson
+   * @returns {string[]} 资源标识，如 files/abc、cachedContents/xyz、upload/<upload_id>
+   */
+  static extractResourceRefs(url, requestJson) {
+    const refs = new Set();
+    const uploadId = url.searchParams.get('upload_id');
+    if (uploadId) refs.add(`upload/${uploadId}`);
+
+    const texts = [decodeURIComponent(url.pathname)];
+    if (requestJson) texts.push(JSON.stringify(requestJson));
+    for (const text of texts) {
+      for (const match of text.matchAll(RESOURCE_PATTERN)) {
+        refs.add(`${match[1]}/${match[2]}`);
+      }
+    }
+    return [...refs];
+  }
+
+  /**
+   * 为请求确定亲和密钥
+   * - 引用了已知资源时返回资源所属密钥（pinned，即使该密钥暂不可用也只能用它）
+   * - 开启会话亲和时，返回上次处理该会话且当前可用的密钥
+   * @param {Object} keyManager - 当前使用的 KeyManager
+   * @param {Object} request
+   * @param {URL} request.url
+   * @param {Object|null} request.requestJson
+   * @param {string|null} request.model
+   * @param {Object} request.selectionContext - 传给 isKeyAvailable 的上下文
+   * @returns {Promise<{apiKey: string|null, pinned: boolean, conversationHash: string|null}>}
+   */
+  async resolve(keyManager, { url, requestJson, model, selectionContext }) {
+    const result = { apiKey: null, pinned: false, conversationHash: null };
+    if (!this.storage) return result;
+
+    try {
+      for (const ref of AffinityRouter.extractResourceRefs(url, requestJson)) {
+        const owner = await this.storage.get(`affinity:resource:${ref}`);
+        const keyObj = owner && keyManager.findKey(owner.keyId);
+        if (keyObj && !keyObj.disabled) {
+          this.logger.info(`资源 ${ref} 属于密钥 ...${keyObj.key.slice(-4)}，固定使用该密钥`);
+          return { ...result, apiKey: keyObj.key, pinned: true };
+        }
+        if (owner) {
+          this.logger.warn(`资源 ${ref} 的所属密钥已不在密钥池中或已禁用，按常规策略选择密钥`);
+        }
+      }
+
+      if (!this.config.conversation.enabled) return result;
+      const conversationHash = await AffinityRouter.conversationHash(model, requestJson);
+      if (!conversationHash) return result;
+      result.conversationHash = conversationHash;
+
+      const owner = await this.storage.get(`affinity:conversation:${conversationHash}`);
+      const keyObj = owner && keyManager.findKey(owner.keyId);
+      if (keyObj && keyManager.isKeyAvailable(keyObj.key, selectionContext)) {
+        result.apiKey = keyObj.key;
+      }
+    } catch (error) {
+      this.logger.warn('读取密钥亲和记录失败，按常规策略选择密钥:', error.message);
+    }
+    return result;
+  }
+
+  /**
+   * 从成功的上游响应中记录资源所属密钥，并改写可续传上传地址使后续分片经过代理
+   * @param {Response} response - 上游响应
+   * @param {string} apiKey - 处理本次请求的密钥
+   * @param {Object} request
+   * @param {URL} request.url - 客户端请求地址
+   * @param {string} request.method
+   * @param {boolean} request.isStream
+   * @returns {Promise<Response>} 原响应，或改写了上传地址的新响应
+   */
+  async recordResponse(response, apiKey, { url, method, isStream }) {
+    if (!this.storage || !response.ok) return response;
+
+    try {
+      // 删除资源后清除记录
+      if (method === 'DELETE') {
+        for (const ref of AffinityRouter.extractResourceRefs(url, null)) {
+          await this.storage.delete(`affinity:resource:${ref}`);
+        }
+        return response;
+      }
+
+      const uploadUrl = response.headers.get('x-goog-upload-url');
+      if (uploadUrl) {
+        response = await this._recordUploadSession(response, uploadUrl, apiKey, url);
+      }
+
+      // 只解析文件、缓存相关接口的非流式 JSON 响应
+      if (!isStream && /\/(files|cachedContents)\b/.test(url.pathname) &&
+          (response.headers.get('content-type') || '').includes('application/json')) {
+        const body = await response.clone().json();
+        for (const name of collectResourceNames(body)) {
+          await this._recordOwner(name, apiKey, this.config.resourceTtlMs);
+        }
+      }
+    } catch (error) {
+      this.logger.warn('记录密钥亲和失败:', error.message);
+    }
+    return response;
+  }
+
+  /**
+   * 记录会话与处理它的密钥
+   * @param {string|null} conversationHash
+   * @param {string} apiKey
+   */
+  async recordConversation(conversationHash, apiKey) {
+    if (!this.storage || !conversationHash) return;
+    try {
+      await this.storage.set(
+        `affinity:conversation:${conversationHash}`,
+        { keyId: fingerprintKey(apiKey) },
+        { ttl: this.config.conversation.ttlMs }
+      );
+    } catch (error) {
+      this.logger.warn('记录会话亲和失败:', error.message);
+    }
+  }
+
+  /**
+   * 计算会话前缀哈希：模型 + 系统指令 + 第一轮消息，同一会话的后续轮次保持不变
+   * @param {string|null} model
+   * @param {Object|null} requestJson - Gemini 原生或 OpenAI 兼容请求体
+   * @returns {Promise<string|null>}
+   */
+  static async conversationHash(model, requestJson) {
+    if (!model || !requestJson) return null;
+
+    let prefix;
+    if (Array.isArray(requestJson.contents) && requestJson.contents.length > 0) {
+      prefix = [requestJson.systemInstruction ?? requestJson.system_instruction ?? null, requestJson.contents[0]];
+    } else if (Array.isArray(requestJson.messages) && requestJson.messages.length > 0) {
+      const system = requestJson.messages.filter(m => m.role === 'system' || m.role === 'developer');
+      const first = requestJson.messages.find(m => m.role !== 'system' && m.role !== 'developer') ?? null;
+      prefix = [system, first];
+    } else {
+      return null;
+    }
+
+    const data = new TextEncoder().encode(JSON.stringify([model.replace(/^models\//, ''), ...prefix]));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest).slice(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 记录上传会话，并把上传地址改写为代理地址
+   * @private
+   */
+  async _recordUploadSession(response, uploadUrl, apiKey, requestUrl) {
+    const upstream = new URL(uploadUrl);
+    const uploadId = upstream.searchParams.get('upload_id');
+    if (!uploadId) return response;
+
+    await this._recordOwner(`upload/${uploadId}`, apiKey, this.config.uploadTtlMs);
+
+    const headers = new Headers(response.headers);
+    headers.set('x-goog-upload-url', `${requestUrl.origin}${upstream.pathname}${upstream.search}`);
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _recordOwner(ref, apiKey, ttl) {
+    await this.storage.set(`affinity:resource:${ref}`, { keyId: fingerprintKey(apiKey) }, { ttl });
+    this.logger.debug(`记录资源 ${ref} 属于密钥 ...${apiKey.slice(-4)}`);
+  }
+}
+
+/**
+ * 收集响应体中的资源名（name 字段），兼容单个资源、{ file } 与列表响应
+ * @param {any} body
+ * @returns {string[]}
+ */
+function collectResourceNames(body) {
+  const names = [];
+  const visit = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > 3) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, depth + 1));
+      return;
+    }
+    if (typeof value.name === 'string' && /^(files|cachedContents)\/[A-Za-z0-9_-]+$/.test(value.name)) {
+      names.push(value.name);
+    }
+    for (const child of Object.values(value)) {
+      if (child && typeof child === 'object') visit(child, depth + 1);
+    }
+  };
+  visit(body, 0);
+  return names;
+}
@@ -0,0 +1,233 @@
+/**
+ * 密钥熔断器
+ * 为每个密钥维护 closed / open / half-open 三态状态机，替代原先的健康标记与权重恢复
+ *
+ * - closed：正常参与选择；某类错误连续达到阈值后打开
+ * - open：不参与选择；到期后进入 half-open（认证错误与手动打开不会自动到期）
+ * - half-open：只放行有限数量的试探请求；连续成功达到阈值后关闭，试探失败则重新打开并延长打开时长
+ *
+ * 熔断状态保存在密钥的 circuit 字段中（普通对象，可直接持久化），本类只负责状态转换规则。
+ */
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// 错误分类
+export const FailureClass = {
+  AUTH: 'auth',            // 401/403：密钥失效、被禁用或无权限
+  RATE_LIMIT: 'rateLimit', // 429：无法从响应中得到冷却提示的限流
+  SERVER: 'server',        // 5xx：上游服务错误
+  NETWORK: 'network',      // 网络错误、超时
+  MANUAL: 'manual'         // 通过 markAsUnhealthy / 管理 API 手动打开
+};
+
+/**
+ * 根据 HTTP 状态码判断错误类别
+ * @param {number} statusCode
+ * @returns {string|null} FailureClass，不属于密钥故障（如 400/404）时返回 null
+ */
+export function classifyStatus(statusCode) {
+  if (statusCode === 401 || statusCode === 403) return FailureClass.AUTH;
+  if (statusCode === 429) return FailureClass.RATE_LIMIT;
+  if (statusCode >= 500) return FailureClass.SERVER;
+  return null;
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} config - KEY_MANAGER_CONFIG.circuitBreaker
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * 创建初始（闭合）的熔断状态
+   * @returns {Object}
+   */
+  static createState() {
+    return {
+      state: CircuitState.CLOSED,
+      failures: {},          // 错误类别 -> 连续失败次数
+      openReason: null,      // 打开时的错误类别
+      openedAt: null,
+      openUntil: null,       // null 表示不会自动进入 half-open
+      openCount: 0,          // 连续打开次数（关闭后清零），用于延长打开时长
+      trialsInFlight: 0,     // half-open 状态下进行中的试探请求数
+      trialStartedAt: null,
+      trialSuccesses: 0,
+      history: []            // 最近的状态转换记录
+    };
+  }
+
+  /**
+   * 判断熔断器当前是否放行请求；open 到期时转为 half-open
+   * @param {Object} circuit
+   * @param {number} [now]
+   * @returns {{allowed: boolean, transition: Object|null}}
+   */
+  check(circuit, now = Date.now()) {
+    let transition = null;
+    if (circuit.state === CircuitState.OPEN) {
+      if (circuit.openUntil == null || now < circuit.openUntil) {
+        return { allowed: false, transition };
+      }
+      transition = this._transition(circuit, CircuitState.HALF_OPEN, 'open timeout elapsed', now);
+      circuit.trialsInFlight = 0;
+      circuit.trialSuccesses = 0;
+    }
+
+    if (circuit.state === CircuitState.HALF_OPEN) {
+      // 试探请求长时间没有结果（如客户端中断），视为已释放
+      if (circuit.trialsInFlight > 0 && now - circuit.trialStartedAt > this.config.halfOpenTrialTimeoutMs) {
+        circuit.trialsInFlight = 0;
+      }
+      return { allowed: circuit.trialsInFlight < this.config.halfOpenMaxTrials, transition };
+    }
+
+    return { allowed: true, transition };
+  }
+
+  /**
+   * 记录一次发出的请求，half-open 状态下占用一个试探名额
+   * @param {Object} circuit
+   * @param {number} [now]
+   */
+  onRequest(circuit, now = Date.now()) {
+    if (circuit.state !== CircuitState.HALF_OPEN) return;
+    circuit.trialsInFlight++;
+    circuit.trialStartedAt = now;
+  }
+
+  /**
+   * 释放一个试探名额（请求结束但结果不能说明密钥好坏，如按提示冷却的 429）
+   * @param {Object} circuit
+   */
+  releaseTrial(circuit) {
+    if (circuit.state === CircuitState.HALF_OPEN && circuit.trialsInFlight > 0) {
+      circuit.trialsInFlight--;
+    }
+  }
+
+  /**
+   * 记录一次成功请求
+   * @param {Object} circuit
+   * @param {number} [now]
+   * @returns {Object|null} 状态转换记录
+   */
+  recordSuccess(circuit, now = Date.now()) {
+    circuit.failures = {};
+    if (circuit.state !== CircuitState.HALF_OPEN) return null;
+
+    this.releaseTrial(circuit);
+    circuit.trialSuccesses++;
+    if (circuit.trialSuccesses < this.config.halfOpenSuccessThreshold) return null;
+    return this._close(circuit, 'trial requests succeeded', now);
+  }
+
+  /**
+   * 记录一次失败请求
+   * @param {Object} circuit
+   * @param {string} failureClass - FailureClass
+   * @param {number} [now]
+   * @returns {Object|null} 状态转换记录
+   */
+  recordFailure(circuit, failureClass, now = Date.now()) {
+    const count = (circuit.failures[failureClass] || 0) + 1;
+    circuit.failures = { ...circuit.failures, [failureClass]: count };
+
+    switch (circuit.state) {
+      case CircuitState.HALF_OPEN:
+        // 任一试探失败即重新打开
+        return this._open(circuit, failureClass, `trial request failed (${failureClass})`, now);
+      case CircuitState.OPEN:
+        // 已打开时（如健康检查失败）只在更严重的认证错误时改为无限期打开
+        if (failureClass === FailureClass.AUTH && circuit.openReason !== FailureClass.AUTH) {
+          return this._open(circuit, failureClass, 'auth failure while open', now);
+        }
+        return null;
+      default: {
+        const threshold = this.config.failureThresholds[failureClass] ?? 1;
+        if (count < threshold) return null;
+        return this._open(circuit, failureClass, `${count} consecutive ${failureClass} failure(s)`, now);
+      }
+    }
+  }
+
+  /**
+   * 强制打开熔断器（手动标记不健康）
+   * @param {Object} circuit
+   * @param {string} reason
+   * @param {number} [now]
+   * @returns {Object}
+   */
+  forceOpen(circuit, reason, now = Date.now()) {
+    return this._open(circuit, FailureClass.MANUAL, reason, now);
+  }
+
+  /**
+   * 强制关闭熔断器（手动恢复、健康检查通过、全局重置）
+   * @param {Object} circuit
+   * @param {string} reason
+   * @param {number} [now]
+   * @returns {Object|null}
+   */
+  reset(circuit, reason, now = Date.now()) {
+    circuit.failures = {};
+    if (circuit.state === CircuitState.CLOSED) return null;
+    return this._close(circuit, reason, now);
+  }
+
+  /**
+   * 计算打开时长；null 表示无限期打开
+   * @private
+   */
+  _openDuration(circuit, failureClass) {
+    const base = this.config.openDurations[failureClass];
+    if (base == null) return null;
+    const factor = Math.pow(this.config.backoffMultiplier, Math.max(0, circuit.openCount - 1));
+    return Math.min(base * factor, this.config.maxOpenDurationMs);
+  }
+
+  /**
+   * @private
+   */
+  _open(circuit, failureClass, reason, now) {
+    circuit.openCount++;
+    const duration = this._openDuration(circuit, failureClass);
+    circuit.openReason = failureClass;
+    circuit.openedAt = now;
+    circuit.openUntil = duration == null ? null : now + duration;
+    circuit.trialsInFlight = 0;
+    circuit.trialSuccesses = 0;
+    return this._transition(circuit, CircuitState.OPEN, reason, now);
+  }
+
+  /**
+   * @private
+   */
+  _close(circuit, reason, now) {
+    circuit.openReason = null;
+    circuit.openedAt = null;
+    circuit.openUntil = null;
+    circuit.openCount = 0;
+    circuit.trialsInFlight = 0;
+    circuit.trialSuccesses = 0;
+    return this._transition(circuit, CircuitState.CLOSED, reason, now);
+  }
+
+  /**
+   * 执行状态转换并写入历史记录
+   * @private
+   * @returns {{from: string, to: string, reason: string, at: number}}
+   */
+  _transition(circuit, to, reason, now) {
+    const transition = { from: circuit.state, to, reason, at: now };
+    circuit.state = to;
+    circuit.history = [...circuit.history, transition].slice(-this.config.historySize);
+    return transition;
+  }
+}
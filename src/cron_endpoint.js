@@ -0,0 +1,107 @@
+/**
+ * 定时任务端点处理器
+ * GET/POST /cron/verify-keys：校验所有已注册密钥池（或 ?pool= 指定的密钥池）中的密钥，更新熔断与禁用状态，并返回变更报告
+ *
+ * 兼容 Vercel Cron（请求自动携带 Authorization: Bearer <CRON_SECRET>）；
+ * 未配置 CRON_SECRET 时使用 ADMIN_TOKEN；客户端共享的 AUTH_TOKEN 不能触发校验。
+ * Deno Deploy 与 Cloudflare Workers 通过 Deno.cron / scheduled 事件直接调用 runAllKeyVerifications()。
+ */
+
+import { logger } from './logger.mjs';
+import { KeyManager, timingSafeEqual } from './utils.js';
+
+/**
+ * 校验密钥池并立即写入状态
+ * @param {KeyManager} keyManager
+ * @returns {Promise<Object>} 校验报告，见 KeyManager.verifyAllKeys
+ */
+export async function runKeyVerification(keyManager) {
+  const report = await keyManager.verifyAllKeys();
+  await keyManager.saveState();
+  for (const change of report.changes) {
+    logger.info(`密钥 ${change.key} 状态变化：${change.from} -> ${change.to}${change.reason ? `（${change.reason}）` : ''}`);
+  }
+  return report;
+}
+
+/**
+ * 依次校验所有已注册的密钥池，某个密钥池失败时记录错误并继续校验其他密钥池
+ * @returns {Promise<{pools: Object<string, Object>, failed: string[]}>} 各密钥池的校验报告（失败的为 { error }）与失败的密钥池
+ */
+export async function runAllKeyVerifications() {
+  const result = { pools: {}, failed: [] };
+  for (const keyManager of KeyManager.listPools()) {
+    try {
+      result.pools[keyManager.poolId] = await runKeyVerification(keyManager);
+    } catch (error) {
+      logger.error(`密钥池 ${keyManager.poolId} 校验失败:`, error);
+      result.pools[keyManager.poolId] = { error: error.message };
+      result.failed.push(keyManager.poolId);
+    }
+  }
+  return result;
+}
+
+export class CronEndpoint {
+  /**
+   * @param {Object} env - 环境变量
+   */
+  constructor(env) {
+    this.cronSecret = env.CRON_SECRET || env.ADMIN_TOKEN || '';
+  }
+
+  /**
+   * 处理定时任务请求
+   * @param {Request} request - 请求对象
+   * @returns {Promise<Response>}
+   */
+  async handleCronRequest(request) {
+    const url = new URL(request.url);
+
+    if (!this.cronSecret) {
+      return this.jsonResponse({ error: 'Cron endpoints are disabled. Set CRON_SECRET to enable them.' }, 403);
+    }
+    if (!timingSafeEqual(request.headers.get('Authorization')?.split(' ')[1], this.cronSecret)) {
+      return this.jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    if (url.pathname !== '/cron/verify-keys') {
+      return this.jsonResponse({ error: 'Not found' }, 404);
+    }
+    if (request.method !== 'GET' && request.method !== 'POST') {
+      return this.jsonResponse({ error: `Method ${request.method} not allowed for ${url.pathname}` }, 405);
+    }
+
+    const poolId = url.searchParams.get('pool');
+    if (!poolId) {
+      const result = await runAllKeyVerifications();
+      return this.jsonResponse(result, result.failed.length > 0 ? 500 : 200);
+    }
+    const keyManager = KeyManager.getPool(poolId);
+    if (!keyManager) {
+      return this.jsonResponse({ error: `Key pool "${poolId}" not found` }, 404);
+    }
+
+    try {
+      return this.jsonResponse(await runKeyVerification(keyManager));
+    } catch (error) {
+      logger.error('密钥校验任务失败:', error);
+      return this.jsonResponse({ error: '密钥校验任务失败', message: error.message }, 500);
+    }
+  }
+
+  /**
+   * 构造 JSON 响应
+   * @param {Object} data
+   * @param {number} [status=200]
+   * @returns {Response}
+   */
+  jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data, null, 2), {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+}
@@ -1,10 +1,17 @@
-import { handleRequest } from './handle_request.js';
+import { handleRequest, runScheduledVerification } from './handle_request.js';
+
+// 定时校验所有密钥（Deno Deploy 的 Deno.cron），KEY_VERIFY_CRON 可覆盖默认的每 6 小时一次
+if (typeof Deno.cron === 'function') {
+  Deno.cron('verify-keys', Deno.env.get('KEY_VERIFY_CRON') || '0 */6 * * *', async () => {
+    await runScheduledVerification(Deno.env.toObject());
+  });
+}
 
 // Deno Deploy 的入口点
 Deno.serve(async (request) => {
   try {
     // 直接调用我们现有的 handleRequest 逻辑
-    return await handleRequest(request);
+    return await handleRequest({ request, env: Deno.env.toObject() });
   } catch (error) {
     console.error('Critical error in Deno server:', error);
     return new Response(
@@ -0,0 +1,202 @@
+/**
+ * Gemini 错误响应解析工具
+ * 解析 google.rpc 错误详情（RetryInfo、QuotaFailure、ErrorInfo 等）以及 Retry-After 响应头，
+ * 并按错误体将失败归类，决定是否惩罚密钥、是否换密钥重试
+ */
+
+import { FailureClass } from './circuit_breaker.js';
+
+const RETRY_INFO_TYPE = 'type.googleapis.com/google.rpc.RetryInfo';
+const QUOTA_FAILURE_TYPE = 'type.googleapis.com/google.rpc.QuotaFailure';
+const ERROR_INFO_TYPE = 'type.googleapis.com/google.rpc.ErrorInfo';
+
+// 错误类别
+export const ErrorCategory = {
+  KEY_FATAL: 'key-fatal',             // 密钥无效、过期、项目被停用或未开通：熔断该密钥直到人工恢复，换密钥重试
+  KEY_TRANSIENT: 'key-transient',     // 与密钥相关的临时错误（限流、5xx、网络）：冷却或计入熔断，换密钥重试
+  MODEL_TRANSIENT: 'model-transient', // 模型维度的限流或过载：只冷却该密钥上的该模型，不计入熔断
+  CLIENT_ERROR: 'client-error'        // 请求本身或部署环境的问题（参数错误、资源不存在、地区不支持）：不惩罚密钥、不重试
+};
+
+// ErrorInfo.reason 中表示密钥本身不可用的原因
+const KEY_FATAL_REASONS = new Set([
+  'API_KEY_INVALID',
+  'API_KEY_EXPIRED',
+  'API_KEY_SERVICE_BLOCKED',
+  'API_KEY_HTTP_REFERRER_BLOCKED',
+  'API_KEY_IP_ADDRESS_BLOCKED',
+  'CONSUMER_SUSPENDED',
+  'CONSUMER_INVALID',
+  'SERVICE_DISABLED',
+  'BILLING_DISABLED',
+  'ACCESS_TOKEN_TYPE_UNSUPPORTED',
+  'INVALID_API_KEY' // OpenAI 兼容格式的 error.code
+]);
+
+/**
+ * 解析 protobuf Duration（如 "37s"、"1.5s" 或 { seconds, nanos }）为毫秒
+ * @param {string|Object} duration
+ * @returns {number|null}
+ */
+export function parseDuration(duration) {
+  if (duration == null) return null;
+  if (typeof duration === 'object') {
+    const seconds = Number(duration.seconds || 0) + Number(duration.nanos || 0) / 1e9;
+    return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+  }
+  const match = String(duration).trim().match(/^(\d+(?:\.\d+)?)s$/);
+  return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）为毫秒
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+export function parseRetryAfterHeader(value) {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 从错误响应体中取出 google.rpc.Status 对象
+ * 原生接口返回 { error: {...} }，OpenAI 兼容接口可能返回 [{ error: {...} }]
+ * @param {any} body
+ * @returns {Object|null}
+ */
+export function extractErrorStatus(body) {
+  const payload = Array.isArray(body) ? body[0] : body;
+  return payload && typeof payload.error === 'object' ? payload.error : null;
+}
+
+/**
+ * 读取错误响应体（使用克隆，不影响原响应继续返回给客户端）
+ * @param {Response} response
+ * @returns {Promise<any|null>}
+ */
+export async function readErrorBody(response) {
+  try {
+    return await response.clone().json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 从 429 错误中提取限流提示
+ * @param {Response} response - 上游响应
+ * @param {any} body - 已解析的错误响应体
+ * @returns {{retryAfterMs: number|null, quotaViolations: Array<{quotaMetric: string, quotaId: string, model: string|null, quotaValue: string|null}>, model: string|null}}
+ */
+export function parseRateLimitHints(response, body) {
+  const status = extractErrorStatus(body);
+  const details = Array.isArray(status?.details) ? status.details : [];
+
+  const retryInfo = details.find(d => d['@type'] === RETRY_INFO_TYPE);
+  let retryAfterMs = retryInfo ? parseDuration(retryInfo.retryDelay) : null;
+  const quotaViolations = collectQuotaViolations(details);
+
+  // RetryInfo 优先，其次 Retry-After 响应头
+  if (retryAfterMs == null) {
+    retryAfterMs = parseRetryAfterHeader(response.headers.get('retry-after'));
+  }
+
+  const model = quotaViolations.find(v => v.model)?.model || null;
+  return { retryAfterMs, quotaViolations, model };
+}
+
+/**
+ * 收集 QuotaFailure 中的配额违规项
+ * @param {Array} details - google.rpc.Status.details
+ * @returns {Array<{quotaMetric: string|null, quotaId: string|null, model: string|null, quotaValue: string|null}>}
+ */
+function collectQuotaViolations(details) {
+  const quotaViolations = [];
+  for (const detail of details) {
+    if (detail['@type'] !== QUOTA_FAILURE_TYPE || !Array.isArray(detail.violations)) continue;
+    for (const violation of detail.violations) {
+      quotaViolations.push({
+        quotaMetric: violation.quotaMetric || null,
+        quotaId: violation.quotaId || null,
+        model: violation.quotaDimensions?.model || null,
+        quotaValue: violation.quotaValue ?? null
+      });
+    }
+  }
+  return quotaViolations;
+}
+
+/**
+ * 判断配额违规是否为每日配额
+ * @param {Array<{quotaId: string|null, quotaMetric: string|null}>} violations
+ * @returns {boolean}
+ */
+export function isDailyQuotaViolation(violations) {
+  return violations.some(v => /PerDay/i.test(v.quotaId || '') || /per_day/i.test(v.quotaMetric || ''));
+}
+
+/**
+ * 按状态码与错误体（原生 { error } 或 OpenAI 兼容 [{ error }] / { error: { type, code } }）对上游失败归类
+ * @param {number} statusCode - 上游状态码
+ * @param {any} body - 已解析的错误响应体，无法解析时为 null
+ * @returns {{category: string, failureClass: string|null, reason: string|null, message: string}}
+ *   failureClass 为计入熔断时使用的 FailureClass，不计入熔断时为 null
+ */
+export function classifyGeminiError(statusCode, body) {
+  const status = extractErrorStatus(body);
+  const details = Array.isArray(status?.details) ? status.details : [];
+  const reason = details.find(d => d['@type'] === ERROR_INFO_TYPE)?.reason ||
+    (typeof status?.code === 'string' ? status.code.toUpperCase() : null);
+  const rpcStatus = typeof status?.status === 'string' ? status.status : null;
+  const message = typeof status?.message === 'string' ? status.message : '';
+  const result = (category, failureClass = null) => ({ category, failureClass, reason: reason || rpcStatus, message });
+
+  if (KEY_FATAL_REASONS.has(reason)) {
+    return result(ErrorCategory.KEY_FATAL, FailureClass.AUTH);
+  }
+
+  if (statusCode === 429) {
+    // 只有按模型计量的配额耗尽时，同一密钥的其他模型仍可使用
+    const violations = collectQuotaViolations(details);
+    if (violations.length > 0 && violations.every(v => v.model)) {
+      return result(ErrorCategory.MODEL_TRANSIENT);
+    }
+    return result(ErrorCategory.KEY_TRANSIENT, FailureClass.RATE_LIMIT);
+  }
+
+  if (statusCode >= 500) {
+    if (statusCode === 503 && /overloaded/i.test(message)) {
+      return result(ErrorCategory.MODEL_TRANSIENT);
+    }
+    return result(ErrorCategory.KEY_TRANSIENT, FailureClass.SERVER);
+  }
+
+  // 没有 ErrorInfo 时（如 OpenAI 兼容接口）按错误信息识别
+  if (/api key (not valid|expired|invalid)|has been suspended|enable billing|api has not been used in project/i.test(message)) {
+    return result(ErrorCategory.KEY_FATAL, FailureClass.AUTH);
+  }
+
+  if (statusCode === 400 && rpcStatus === 'FAILED_PRECONDITION') {
+    // 部署地区不受支持，对所有密钥都一样，换密钥没有意义
+    return result(ErrorCategory.CLIENT_ERROR);
+  }
+
+  if (statusCode === 401) {
+    return result(ErrorCategory.KEY_FATAL, FailureClass.AUTH);
+  }
+
+  if (statusCode === 403) {
+    // 访问其他密钥创建的文件/缓存同样返回 403，不是密钥本身的问题
+    if (/\b(file|cachedcontent|cached content)\b/i.test(message)) {
+      return result(ErrorCategory.CLIENT_ERROR);
+    }
+    return result(ErrorCategory.KEY_FATAL, FailureClass.AUTH);
+  }
+
+  return result(ErrorCategory.CLIENT_ERROR);
+}
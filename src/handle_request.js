@@ -1,41 +1,119 @@
 // import { handleVerification } from "./verify_keys.js";
-import openai from "./openai.mjs";
-import { KeyManager } from "./utils.js";
+import openai, { enforcePolicy } from "./openai.mjs";
+import { KeyManager, fingerprintKey, timingSafeEqual } from "./utils.js";
 import { logger, redactHeaders, initializeLogger } from "./logger.mjs";
 import { StreamHandler } from "./stream_handler.js";
 import { MonitoringSystem } from "./monitoring.js";
 import { MonitorEndpoint } from "./monitor_endpoint.js";
+import { AdminEndpoint } from "./admin_endpoint.js";
+import { CronEndpoint, runAllKeyVerifications } from "./cron_endpoint.js";
 import { PerformanceOptimizer } from "./performance_optimizer.js";
+import { createStorage } from "./storage.js";
+import { parseRateLimitHints, readErrorBody, classifyGeminiError, ErrorCategory } from "./gemini_errors.js";
+import { FailureClass } from "./circuit_breaker.js";
+import { AffinityRouter } from "./affinity.js";
+import { getConfig, initializeConfig } from "./key_manager_config.js";
+import { isEncryptedKeys, decryptKeys } from "./key_crypto.js";
+import { KeySource } from "./key_source.js";
+import { TokenRegistry } from "./token_registry.js";
+import { ClientRateLimiter, getClientIp, rateLimitHeaders } from "./rate_limiter.js";
+import { parsePolicies, evaluatePolicy } from "./policy.js";
+import { isSignedToken, resolveSignedToken } from "./signed_token.js";
+import { UsageTracker } from "./usage_tracker.js";
 
 // 模块级变量，用于跨请求共享状态
 let keyManager;
 const streamHandler = new StreamHandler();
 const monitoringSystem = new MonitoringSystem();
 let monitorEndpoint;
+let adminEndpoint;
+let cronEndpoint;
+let keySource = null;
+let policies = {};
+// 依赖配置的服务在 initializeServices(env) 中创建，确保读取到平台传入的 env
+let affinityRouter;
+let tokenRegistry;
+let rateLimiter;
+let usageTracker;
 const performanceOptimizer = new PerformanceOptimizer({
   enableCaching: true,
   maxConcurrentRequests: 20,
   requestTimeout: 30000
 });
 
-// 最近成功密钥复用缓存（模块级，短暂生存）
-let lastSuccessfulKey = null;
-let lastKeyTimestamp = 0;
-const LAST_KEY_TTL_MS = 60000; // 60s 有效期
-const REUSE_PROBABILITY = 0.8; // 80% 概率优先复用
-
 // 初始化函数，确保只执行一次
+let initPromise = null;
 function initialize(env) {
   initializeLogger(env); // 初始化 logger
-  logger.info("Initializing services...");
-  if (keyManager) {
-    logger.info("Services already initialized.");
-    return;
+  initializeConfig(env); // 配置覆盖项从 env 读取（Cloudflare Workers 没有 process.env）
+  if (!initPromise) {
+    initPromise = initializeServices(env).catch(error => {
+      // 初始化失败时允许下一个请求重试
+      initPromise = null;
+      throw error;
+    });
+  } else {
+    logger.debug("Services already initialized.");
   }
-  const serverApiKey = env.GEMINI_API_KEY;
+  return initPromise;
+}
+
+async function initializeServices(env) {
+  logger.info("Initializing services...");
+  let serverApiKey = env.GEMINI_API_KEY;
   logger.info(`GEMINI_API_KEY: ${serverApiKey ? 'loaded' : 'not found'}`);
-  keyManager = KeyManager.getInstance(serverApiKey, logger);
-  monitorEndpoint = new MonitorEndpoint(monitoringSystem, keyManager, streamHandler);
+  // 加密的密钥列表只在初始化时解密一次，解密失败时初始化失败，下一个请求会重试
+  if (isEncryptedKeys(serverApiKey)) {
+    serverApiKey = await decryptKeys(serverApiKey, env.KEY_ENCRYPTION_SECRET);
+    logger.info('GEMINI_API_KEY 已使用 KEY_ENCRYPTION_SECRET 解密');
+  }
+  const storage = createStorage(env);
+  const config = getConfig(env);
+
+  // 配置了 KEY_SOURCE 时从外部来源加载密钥池，之后在请求中按 KEY_SOURCE_REFRESH 间隔后台刷新
+  keySource = KeySource.fromEnv(env, storage, logger);
+  if (keySource) {
+    try {
+      serverApiKey = await keySource.load();
+      logger.info(`已从密钥来源 ${keySource.name} 加载密钥池`);
+    } catch (error) {
+      logger.error(`加载密钥来源 ${keySource.name} 失败，使用 GEMINI_API_KEY:`, error.message);
+    }
+  }
+
+  const manager = KeyManager.getInstance(serverApiKey, logger);
+  // 健康探测与代理转发使用同一个上游地址
+  manager.setUpstream(env.GEMINI_BASE_URL, env.GEMINI_API_VERSION);
+
+  // 挂载持久化存储，并加载其他实例/上次运行留下的密钥状态
+  manager.attachStorage(storage);
+  await manager.loadState();
+  affinityRouter = new AffinityRouter(config.affinity, logger);
+  affinityRouter.attachStorage(storage);
+  rateLimiter = new ClientRateLimiter(config.clientRateLimit, logger);
+  rateLimiter.attachStorage(storage);
+  usageTracker = new UsageTracker(config.usage, logger);
+  usageTracker.attachStorage(storage);
+
+  // KEY_POOLS 中的命名密钥池，由客户端令牌（CLIENT_TOKENS、/admin/tokens）按名称引用
+  for (const [poolId, poolKeys] of Object.entries(parseKeyPools(env.KEY_POOLS))) {
+    const keysString = isEncryptedKeys(poolKeys) ? await decryptKeys(poolKeys, env.KEY_ENCRYPTION_SECRET) : poolKeys;
+    const pool = KeyManager.getInstance(keysString, logger, poolId);
+    pool.setUpstream(env.GEMINI_BASE_URL, env.GEMINI_API_VERSION);
+    pool.attachStorage(storage, poolId);
+    await pool.loadState();
+  }
+
+  tokenRegistry = new TokenRegistry(config.tokens, logger);
+  tokenRegistry.attachStorage(storage);
+  await tokenRegistry.loadConfig(env.CLIENT_TOKENS);
+  await tokenRegistry.reload();
+  policies = parsePolicies(env.CLIENT_POLICIES, logger);
+
+  keyManager = manager;
+  monitorEndpoint = new MonitorEndpoint(monitoringSystem, keyManager, streamHandler, usageTracker, env.ADMIN_TOKEN);
+  adminEndpoint = new AdminEndpoint(env, tokenRegistry, policies);
+  cronEndpoint = new CronEndpoint(env);
 
   if (serverApiKey) {
     // 首次初始化后，立即触发一次健康检查
@@ -44,12 +122,56 @@ function initialize(env) {
   logger.info("Services initialized.");
 }
 
+/**
+ * 解析 KEY_POOLS：{ "poolName": "key1:10,key2" }，值也可以是 enc:v1: 密文；default 保留给 GEMINI_API_KEY
+ * @param {string} [json]
+ * @returns {Object<string, string>}
+ */
+function parseKeyPools(json) {
+  if (!json) return {};
+  try {
+    const pools = JSON.parse(json);
+    if (!pools || typeof pools !== "object" || Array.isArray(pools)) throw new Error("expected a JSON object");
+    return Object.fromEntries(Object.entries(pools).filter(([poolId, keys]) => {
+      if (poolId === "default" || typeof keys !== "string") {
+        logger.warn(`KEY_POOLS 中的密钥池 ${poolId} 无效（default 保留给 GEMINI_API_KEY，值应为密钥字符串），已忽略`);
+        return false;
+      }
+      return true;
+    }));
+  } catch (error) {
+    logger.warn("KEY_POOLS 不是合法的 JSON 对象，已忽略:", error.message);
+    return {};
+  }
+}
+
+/**
+ * 定时校验所有服务端密钥池（default 与 KEY_POOLS），供 Deno.cron、Cloudflare scheduled 事件等不经过 HTTP 的定时触发器调用
+ * @param {Object} env - 环境变量
+ * @returns {Promise<{pools: Object<string, Object>, failed: string[]}>} 各密钥池的校验报告，见 runAllKeyVerifications
+ */
+export async function runScheduledVerification(env) {
+  await initialize(env);
+  if (keySource) await keySource.refresh(keyManager);
+  return runAllKeyVerifications();
+}
+
+/**
+ * 处理代理请求
+ * @param {Object} context
+ * @param {Request} context.request
+ * @param {Object} context.env - 环境变量
+ * @param {Function} [context.waitUntil] - 平台提供的 waitUntil，用于在响应返回后完成延迟写入
+ * @returns {Promise<Response>}
+ */
 export async function handleRequest(context) {
   const { request, env } = context;
+  // 边缘运行时在响应返回后可能冻结实例，延迟写入（密钥状态等）交给 waitUntil 完成；长驻进程中不需要
+  const waitUntil = typeof context.waitUntil === "function" ? context.waitUntil : () => {};
   logger.info("Handling request...");
   
   // 确保服务已初始化
-  initialize(env);
+  await initialize(env);
 
   const startTime = performance.now();
   const url = new URL(request.url);
@@ -92,62 +214,180 @@ export async function handleRequest(context) {
     return monitorEndpoint.handleMonitorRequest(request);
   }
 
+  // 管理端点（运行时管理密钥池）
+  if (pathname.startsWith("/admin")) {
+    return adminEndpoint.handleAdminRequest(request);
+  }
+
+  // 定时任务端点（Vercel Cron 等）
+  if (pathname.startsWith("/cron")) {
+    return cronEndpoint.handleCronRequest(request);
+  }
+
   const serverAuthToken = env.AUTH_TOKEN;
   const serverApiKey = env.GEMINI_API_KEY;
 
+  // 密钥来源过期时在后台刷新，仍存在的密钥保留原有状态
+  keySource?.refreshIfStale(keyManager);
+
   // 以 1% 的概率异步触发健康检查，以减少高并发下的开销
-  if (serverApiKey && Math.random() < 0.01) {
+  if ((serverApiKey || keySource) && Math.random() < 0.01) {
     setTimeout(() => {
       logger.info("Performing probabilistic health check.");
       keyManager.healthCheck().catch(logger.error);
     }, 0);
   }
 
+  // 缓冲请求体，以便换密钥重试时重放
+  let requestBody = (request.method === "GET" || request.method === "HEAD")
+    ? null
+    : await request.arrayBuffer();
+  let requestJson = parseJsonBody(requestBody);
+  const model = extractModel(pathname, requestJson);
+  const isOpenAIRequest =
+    url.pathname.endsWith("/chat/completions") ||
+    url.pathname.endsWith("/embeddings");
+  // 检查是否为流式请求（OpenAI 兼容请求通过请求体中的 stream 字段指定）
+  const isStream = url.searchParams.has('alt') ||
+    (request.headers.get("accept") || "").toLowerCase().includes("text/event-stream") ||
+    (isOpenAIRequest && requestJson?.stream === true);
+  // 粗略按 4 字节/Token 预估输入 Token，用于 TPM 配额判断；stream 用于流式并发上限判断
+  const selectionContext = {
+    model,
+    estimatedTokens: requestBody ? Math.ceil(requestBody.byteLength / 4) : 0,
+    stream: isStream
+  };
+
   // 克隆请求头，以便修改
   let newHeaders = new Headers(request.headers);
   let selectedKey = "";
   let clientTokenStr = "";
+  let activeKeyManager = keyManager;
 
   // 确定使用服务器密钥还是客户端密钥
   const authHeader = newHeaders.get("Authorization");
   const clientApiKey_OpenAI = authHeader?.split(" ")[1];
   const clientApiKey_Gemini = newHeaders.get("x-goog-api-key");
 
-  const usingServerKeys = !!(serverAuthToken && (clientApiKey_OpenAI === serverAuthToken || clientApiKey_Gemini === serverAuthToken));
+  // 已注册的客户端令牌与 JWT_SECRET 签发的令牌解析为租户，使用租户的密钥池；AUTH_TOKEN 对应 default 租户
+  let tenant = null;
+  for (const token of new Set([clientApiKey_OpenAI, clientApiKey_Gemini].filter(Boolean))) {
+    const resolved = env.JWT_SECRET && isSignedToken(token)
+      ? await resolveSignedToken(token, env.JWT_SECRET)
+      : await tokenRegistry.resolve(token);
+    if (resolved.error) {
+      return new Response(
+        JSON.stringify({ error: { code: 401, message: `Client token is ${resolved.error}.`, status: "UNAUTHENTICATED" } }),
+        { status: 401, headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" } }
+      );
+    }
+    if (resolved.tenant) {
+      tenant = resolved.tenant;
+      break;
+    }
+  }
+  // 与 ADMIN_TOKEN、CRON_SECRET 一样以固定时间比较
+  if (!tenant && serverAuthToken && (timingSafeEqual(clientApiKey_OpenAI, serverAuthToken) || timingSafeEqual(clientApiKey_Gemini, serverAuthToken))) {
+    tenant = { id: "default", name: "default", pool: "default" };
+  }
+
+  const usingServerKeys = !!tenant;
   if (usingServerKeys) {
-    logger.info("Using server-provided Gemini API Keys.");
-    // KeyManager 已用 serverApiKey 初始化
+    logger.info(`Using server-provided Gemini API Keys (tenant: ${tenant.name}, pool: ${tenant.pool}).`);
+    activeKeyManager = KeyManager.getPool(tenant.pool);
+    if (!activeKeyManager) {
+      logger.error(`租户 ${tenant.name} 的密钥池 ${tenant.pool} 未配置`);
+      return new Response(
+        JSON.stringify({ error: { code: 500, message: `Key pool "${tenant.pool}" is not configured.`, status: "INTERNAL" } }),
+        { status: 500, headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" } }
+      );
+    }
   } else {
     clientTokenStr = clientApiKey_OpenAI || clientApiKey_Gemini || "";
     logger.info("Using client-provided Gemini API Keys.");
-    // 为客户端密钥使用临时 KeyManager（避免注册全局缓存）
-    const clientKeyManager = KeyManager.createEphemeral(clientTokenStr, logger);
-    selectedKey = clientKeyManager.selectKey();
+    // 客户端密钥列表按哈希复用密钥池（不注册到全局注册表），保留熔断与轮询状态
+    activeKeyManager = await KeyManager.getClientPool(clientTokenStr, logger);
   }
 
-  if (!selectedKey) {
-    // 优先复用最近成功密钥（限时+概率），再回退至选择器
-    const nowTs = Date.now();
-    if (usingServerKeys && lastSuccessfulKey && (nowTs - lastKeyTimestamp) <= LAST_KEY_TTL_MS) {
-      const preferReuse = Math.random() < REUSE_PROBABILITY;
-      const isHealthy = keyManager.state?.keys?.find(k => k.key === lastSuccessfulKey)?.healthy ?? true;
-      if (preferReuse && isHealthy) {
-        selectedKey = lastSuccessfulKey;
-        logger.debug(`Reusing last successful key ...${selectedKey.slice(-4)}`);
-      }
+  // 按客户端策略（CLIENT_POLICIES）检查模型、输出与思考上限、工具和请求体大小；OpenAI 兼容路由由 openai.mjs 检查并返回 OpenAI 格式的错误
+  const policyName = tenant?.policy ?? "default";
+  const policy = policies[policyName] ?? null;
+  if (tenant?.policy && !policy) {
+    logger.error(`租户 ${tenant.name} 的策略 ${tenant.policy} 未配置`);
+    return new Response(
+      JSON.stringify({ error: { code: 500, message: `Client policy "${tenant.policy}" is not configured.`, status: "INTERNAL" } }),
+      { status: 500, headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" } }
+    );
+  }
+  const allowModels = tenant?.allowModels ?? null;
+  if (policy || allowModels) {
+    const bodyBytes = requestBody ? requestBody.byteLength : 0;
+    const checked = isOpenAIRequest
+      ? enforcePolicy(policy, { pathname, body: requestJson, bodyBytes, allowModels })
+      : evaluatePolicy(policy, {
+          format: "gemini",
+          model,
+          body: requestJson,
+          bodyBytes,
+          generation: /:(generateContent|streamGenerateContent)$/.test(pathname),
+          allowModels
+        });
+    if (checked.response) return checked.response;
+    if (checked.violation) {
+      logger.warn(`Request rejected by client policy: ${checked.violation.message}`);
+      return new Response(
+        JSON.stringify({ error: { code: 403, message: checked.violation.message, status: "PERMISSION_DENIED" } }),
+        { status: 403, headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" } }
+      );
     }
-
-    if (!selectedKey && keyManager) {
-      // 使用性能优化器优化密钥选择
-      const availableKeys = keyManager.state ? keyManager.state.keys.map(k => k.key) : [];
-      selectedKey = performanceOptimizer.optimizeKeySelection(availableKeys) || keyManager.selectKey();
+    // 请求未设置输出或思考上限时，转发补上上限后的请求体
+    if (checked.body) {
+      requestJson = checked.body;
+      requestBody = new TextEncoder().encode(JSON.stringify(requestJson)).buffer;
+      newHeaders.delete("Content-Length");
     }
   }
 
+  // 按客户端令牌与客户端 IP 限流（CLIENT_RPM/CLIENT_TPM、IP_RPM/IP_TPM），在选择密钥之前拒绝超额请求
+  const rateLimit = await rateLimiter.check({
+    tenant,
+    ip: getClientIp(request.headers),
+    estimatedTokens: selectionContext.estimatedTokens
+  });
+  if (!rateLimit.allowed) {
+    return new Response(
+      JSON.stringify({
+        error: { code: 429, message: `Client rate limit exceeded (${rateLimit.scope.split(":")[0]}). Retry later.`, status: "RESOURCE_EXHAUSTED" }
+      }),
+      {
+        status: 429,
+        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*", ...rateLimitHeaders(rateLimit) }
+      }
+    );
+  }
+
+  // 引用了文件/缓存资源的请求固定使用资源所属密钥；其余请求由 KeyManager 按配置的选择策略（KEY_SELECTION_STRATEGY）选择
+  const affinity = await affinityRouter.resolve(activeKeyManager, { url, requestJson, model, selectionContext });
+  // 没有可用密钥时按 KEY_EXHAUSTION_POLICY 排队等待或立即失败
+  const acquired = affinity.apiKey
+    ? { apiKey: affinity.apiKey, retryAfterMs: null }
+    : await activeKeyManager.acquireKey(selectionContext);
+  selectedKey = acquired.apiKey;
+
   if (!selectedKey) {
+    // 有密钥但全部熔断、处于限流冷却或超出配额时返回 429，而非服务端错误
+    const poolExhausted = !!activeKeyManager && activeKeyManager.state.keys.length > 0;
+    const headers = { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" };
+    if (poolExhausted && acquired.retryAfterMs != null) {
+      headers["Retry-After"] = String(Math.max(1, Math.ceil(acquired.retryAfterMs / 1000)));
+    }
     return new Response(
-      JSON.stringify({ error: { message: "No available API keys." } }),
-      { status: 500, headers: { "Content-Type": "application/json" } }
+      JSON.stringify({
+        error: poolExhausted
+          ? { code: 429, message: `All API keys are unavailable (circuit open), rate limited or over quota for model ${model || "unknown"}.`, status: "RESOURCE_EXHAUSTED" }
+          : { message: "No available API keys." }
+      }),
+      { status: poolExhausted ? 429 : 500, headers }
     );
   }
    logger.info(`Selected API Key ending with ...${selectedKey.slice(-4)}`);
@@ -155,9 +395,6 @@ export async function handleRequest(context) {
   // 根据请求类型设置头部
   const baseUrl = env.GEMINI_BASE_URL || "https://generativelanguage.googleapis.com";
   const apiVersion = env.GEMINI_API_VERSION || "v1beta";
-  const isOpenAIRequest =
-    url.pathname.endsWith("/chat/completions") ||
-    url.pathname.endsWith("/embeddings");
   const isOpenAIModelList = (
     url.pathname.endsWith(`/${apiVersion}/openai/models`) ||
     url.pathname.endsWith("/openai/models") ||
@@ -165,48 +402,6 @@ export async function handleRequest(context) {
     url.pathname.endsWith("/models")
   );
   const isNativeModelList = url.pathname.endsWith(`/${apiVersion}/models`);
-
-  if (isOpenAIRequest || isOpenAIModelList) {
-    // OpenAI 格式
-    newHeaders.set("Authorization", `Bearer ${selectedKey}`);
-    newHeaders.delete("x-goog-api-key");
-  } else {
-    // 默认为 Gemini 格式
-    newHeaders.set("x-goog-api-key", selectedKey);
-    newHeaders.delete("Authorization");
-  }
-
-  // OpenAI 路由转换
-  if (isOpenAIRequest) {
-    const openAIRequestStartTime = performance.now();
-    const newRequest = new Request(request.url, {
-      method: request.method,
-      headers: newHeaders,
-      body: request.body,
-    });
-    logger.debug("Forwarding to OpenAI compatible endpoint.");
-    
-    // 使用性能优化器处理请求
-    const response = await performanceOptimizer.optimizeRequest(newRequest, async (req) => {
-      return await openai.fetch(req);
-    });
-
-    if (response.status === 200 && usingServerKeys && selectedKey) {
-      lastSuccessfulKey = selectedKey;
-      lastKeyTimestamp = Date.now();
-      logger.debug(`Cached last successful key ...${selectedKey.slice(-4)}`);
-    }
-
-    const openAIRequestEndTime = performance.now();
-    logger.info(`OpenAI compatible endpoint request took ${ (openAIRequestEndTime - openAIRequestStartTime).toFixed(2) }ms`);
-    return response;
-  }
-
-  const geminiRequestStartTime = performance.now();
-  logger.info("Request Sending to Gemini");
-
-  // 检查是否为流式请求
-  const isStream = url.searchParams.has('alt') || (request.headers.get("accept") || "").toLowerCase().includes("text/event-stream");
   let targetUrl = `${baseUrl}${pathname}${search}`;
   if (isOpenAIModelList) {
     targetUrl = `${baseUrl}/${apiVersion}/openai/models${search}`;
@@ -214,76 +409,183 @@ export async function handleRequest(context) {
     targetUrl = `${baseUrl}/${apiVersion}/models${search}`;
   }
 
+  /**
+   * 使用指定密钥发送一次上游请求
+   * @param {string} apiKey
+   * @returns {Promise<Response>}
+   */
+  const sendUpstream = async (apiKey) => {
+    if (isOpenAIRequest || isOpenAIModelList) {
+      // OpenAI 格式
+      newHeaders.set("Authorization", `Bearer ${apiKey}`);
+      newHeaders.delete("x-goog-api-key");
+    } else {
+      // 默认为 Gemini 格式
+      newHeaders.set("x-goog-api-key", apiKey);
+      newHeaders.delete("Authorization");
+    }
+
+    // OpenAI 路由转换
+    if (isOpenAIRequest) {
+      const newRequest = new Request(request.url, {
+        method: request.method,
+        headers: newHeaders,
+        body: requestBody,
+      });
+      logger.debug("Forwarding to OpenAI compatible endpoint.");
+      return performanceOptimizer.optimizeRequest(newRequest, async (req) => {
+        return await openai.fetch(req);
+      });
+    }
 
-  try {
     const geminiRequest = new Request(targetUrl, {
       method: request.method,
       headers: newHeaders,
-      body: request.body
+      body: requestBody
     });
+    return performanceOptimizer.optimizeRequest(geminiRequest, async (req) => {
+      return await fetch(req);
+    });
+  };
 
-    let response;
-    try {
-      response = await performanceOptimizer.optimizeRequest(geminiRequest, async (req) => {
-        return await fetch(req);
-      });
-    } catch (fetchError) {
-      // 处理请求被取消的情况
-      if (fetchError.name === 'AbortError' || fetchError.message.includes('aborted')) {
-        logger.warn(`Request aborted for key ...${selectedKey.slice(-4)}`);
-        return new Response(
-          JSON.stringify({ error: { message: "Request was cancelled" } }),
-          { status: 499, headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" } }
+  const upstreamStartTime = performance.now();
+  logger.info(isOpenAIRequest ? "Request Sending to OpenAI compatible endpoint" : "Request Sending to Gemini");
+
+  try {
+    const retryConfig = activeKeyManager.config.retry;
+    const maxUnavailableRetries = activeKeyManager.config.serviceUnavailable.maxRetries;
+    const triedKeys = new Set();
+    let unavailableRetries = 0;
+    let response = null;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= retryConfig.maxAttempts; attempt++) {
+      triedKeys.add(selectedKey);
+      let failureCode;
+      let failureMessage;
+      let failureHints = {};
+      let retryable = true;
+
+      const attemptStartTime = performance.now();
+      try {
+        activeKeyManager.recordRequest(selectedKey, model);
+        response = await sendUpstream(selectedKey);
+        lastError = null;
+        activeKeyManager.recordLatency(selectedKey, performance.now() - attemptStartTime, response.status);
+      } catch (fetchError) {
+        // 处理请求被取消的情况
+        if (fetchError.name === 'AbortError' || fetchError.message.includes('aborted')) {
+          logger.warn(`Request aborted for key ...${selectedKey.slice(-4)}`);
+          return new Response(
+            JSON.stringify({ error: { message: "Request was cancelled" } }),
+            { status: 499, headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" } }
+          );
+        }
+        response = null;
+        lastError = fetchError;
+        activeKeyManager.recordLatency(selectedKey, performance.now() - attemptStartTime, null);
+      } finally {
+        // 成功的响应要等响应体（流式响应则为整个流）结束后才释放，见下文
+        if (!response?.ok) activeKeyManager.releaseKey(selectedKey);
+      }
+
+      if (response && response.ok) {
+        break;
+      }
+
+      if (response) {
+        logger.warn(
+          `API call failed with status ${response.status} for key ...${selectedKey.slice(-4)} (attempt ${attempt}/${retryConfig.maxAttempts})`,
+          {
+            request: {
+              url: isOpenAIRequest ? request.url : targetUrl,
+              method: request.method,
+              headers: redactHeaders(Object.fromEntries(newHeaders.entries())),
+            },
+            response: {
+              status: response.status,
+              headers: redactHeaders(Object.fromEntries(response.headers.entries())),
+            },
+          }
         );
+        // 按错误体归类（原生与 OpenAI 兼容格式），请求本身的错误不惩罚密钥
+        const errorBody = await readErrorBody(response);
+        const classification = classifyGeminiError(response.status, errorBody);
+        failureCode = response.status;
+        failureMessage = classification.message
+          ? `${classification.reason || response.status}: ${classification.message}`.slice(0, 200)
+          : `Upstream responded with ${response.status}`;
+        failureHints = { category: classification.category, errorClass: classification.failureClass };
+        if (response.status === 429) {
+          // 解析 RetryInfo / Retry-After / QuotaFailure，按提示冷却该密钥
+          const hints = parseRateLimitHints(response, errorBody);
+          failureHints = { ...failureHints, ...hints, model: hints.model || model };
+        }
+        // 密钥失效时换密钥重试；客户端错误直接返回；其余错误按 retryableStatusCodes 判断
+        retryable = classification.category === ErrorCategory.KEY_FATAL ||
+          (classification.category !== ErrorCategory.CLIENT_ERROR && activeKeyManager.isRetryableStatus(response.status));
+      } else {
+        logger.warn(`Network error for key ...${selectedKey.slice(-4)} (attempt ${attempt}/${retryConfig.maxAttempts}): ${lastError.message}`);
+        failureCode = 500;
+        failureMessage = lastError.message;
+        failureHints = { errorClass: FailureClass.NETWORK };
       }
-      throw fetchError;
-    }
 
-    // 成功（200）则更新复用缓存
-    if (response.status === 200 && usingServerKeys && selectedKey) {
-      lastSuccessfulKey = selectedKey;
-      lastKeyTimestamp = Date.now();
-      logger.debug(`Cached last successful key ...${selectedKey.slice(-4)}`);
-    }
+      await activeKeyManager.handleKeyError(selectedKey, failureCode, failureMessage, failureHints);
 
-    // 对于流式响应，使用优化的流式处理器
-    if (isStream && response.ok) {
-      logger.info("Streaming response started.");
-      return streamHandler.createStreamResponse(response, selectedKey);
-    }
+      if (!retryable) {
+        break;
+      }
 
-    // 对于非流式响应或错误响应，立即返回流式响应
-    if (!response.ok) {
-      logger.warn(
-        `API call failed with status ${response.status} for key ...${selectedKey.slice(-4)}`,
-        {
-          request: {
-            url: targetUrl,
-            method: request.method,
-            headers: redactHeaders(Object.fromEntries(newHeaders.entries())),
-          },
-          response: {
-            status: response.status,
-            headers: redactHeaders(Object.fromEntries(response.headers.entries())),
-          },
-        }
-      );
-      if (response.status === 401 || response.status === 403) {
-        await keyManager.handleKeyError(selectedKey, response.status, "Auth/Permission error");
+      if (failureCode === 503 && ++unavailableRetries > maxUnavailableRetries) {
+        logger.warn(`503 retries exceeded (${maxUnavailableRetries}), giving up.`);
+        break;
       }
-    } else {
-      logger.info("Call Gemini Success");
+      if (attempt >= retryConfig.maxAttempts) {
+        break;
+      }
+      // 资源只能由所属密钥访问，换密钥重试没有意义
+      if (affinity.pinned) {
+        break;
+      }
+
+      const nextKey = activeKeyManager.selectKey({ ...selectionContext, exclude: triedKeys });
+      if (!nextKey) {
+        logger.warn("Key pool exhausted, no untried key left for retry.");
+        break;
+      }
+
+      // 丢弃本次失败响应体，释放连接
+      if (response) {
+        await response.body?.cancel().catch(() => {});
+        response = null;
+      }
+
+      const delay = activeKeyManager.getRetryDelay(attempt, failureCode);
+      logger.info(`Retrying with key ...${nextKey.slice(-4)} in ${delay}ms`);
+      await sleep(delay);
+      selectedKey = nextKey;
     }
 
-    const responseHeaders = new Headers(response.headers);
-    responseHeaders.set("Access-Control-Allow-Origin", "*");
-    responseHeaders.set("Referrer-Policy", "no-referrer");
+    if (!response) {
+      throw lastError || new Error("No upstream response");
+    }
 
-    // 直接使用 response.body 实现流式响应，消除阻塞
-    const geminiRequestEndTime = performance.now();
-    logger.info(`Gemini request took ${(geminiRequestEndTime - geminiRequestStartTime).toFixed(2)}ms`);
+    if (response.ok) {
+      activeKeyManager.recordSuccess(selectedKey);
+      response = await affinityRouter.recordResponse(response, selectedKey, { url, method: request.method, isStream });
+      await affinityRouter.recordConversation(affinity.conversationHash, selectedKey);
+    }
+
+    const upstreamEndTime = performance.now();
+    logger.info(`Upstream request took ${(upstreamEndTime - upstreamStartTime).toFixed(2)}ms (${triedKeys.size} key(s) tried)`);
     const totalTime = performance.now() - startTime;
 
+    // 调用方：已解析的租户；客户端自带密钥时按密钥列表指纹归集
+    const usageClient = tenant
+      ? { id: tenant.id, name: tenant.name }
+      : { id: `client:${fingerprintKey(clientTokenStr)}`, name: "client-keys" };
+
     // 记录监控指标
     monitoringSystem.recordRequest({
       statusCode: response.status,
@@ -292,12 +594,66 @@ export async function handleRequest(context) {
       isStream: isStream
     });
 
+    const usageKey = selectedKey;
+    const usageManager = activeKeyManager;
+    // 用量同时计入密钥的 TPM 配额和调用方的用量统计
+    const onUsage = (usage) => {
+      usageManager.recordUsage(usageKey, model, usage);
+      usageTracker.record({ client: usageClient, model, usage });
+    };
+
+    // 成功的流式响应在流结束时释放密钥的进行中计数，其余响应立即释放
+    const holdsKey = response.ok && isStream;
+    if (holdsKey) {
+      usageManager.recordStreamStart(usageKey);
+    } else if (response.ok) {
+      usageManager.releaseKey(usageKey);
+    }
+    // 密钥状态与用量统计都是延迟写入
+    const whenPersisted = () => Promise.all([usageManager.whenSaved(), usageTracker.whenFlushed()]);
+    const onEnd = () => {
+      usageManager.releaseKey(usageKey, { stream: true });
+      waitUntil(whenPersisted());
+    };
+
+    // 非流式成功响应：异步解析用量，不阻塞响应返回
+    // 不带 alt=sse 的 streamGenerateContent 返回 JSON 数组，完整用量在最后一个带 usageMetadata 的元素中
+    if (response.ok && !isStream && model) {
+      waitUntil(response.clone().json()
+        .then(data => {
+          const last = Array.isArray(data) ? data.findLast(chunk => chunk?.usageMetadata) : data;
+          onUsage(last?.usageMetadata ?? last?.usage);
+        })
+        .catch(() => {})
+        .then(whenPersisted));
+    }
+
+    // OpenAI 兼容层已处理响应头，流式响应只需跟踪结束时间
+    if (isOpenAIRequest) {
+      return holdsKey ? streamHandler.trackStreamResponse(response, selectedKey, { onUsage, onEnd }) : response;
+    }
+
+    // 对于流式响应，使用优化的流式处理器
+    if (holdsKey) {
+      logger.info("Streaming response started.");
+      return streamHandler.createStreamResponse(response, selectedKey, { onUsage, onEnd });
+    }
+
+    if (response.ok) {
+      logger.info("Call Gemini Success");
+    }
+
+    const responseHeaders = new Headers(response.headers);
+    responseHeaders.set("Access-Control-Allow-Origin", "*");
+    responseHeaders.set("Referrer-Policy", "no-referrer");
+
     logger.info(`Request completed successfully: ${request.method} ${pathname} - ${totalTime.toFixed(2)}ms`, {
       status: response.status,
       totalTime: `${totalTime.toFixed(2)}ms`,
       keyUsed: `...${selectedKey.slice(-4)}`
     });
 
+    // 直接使用 response.body 实现流式响应，消除阻塞
     return new Response(response.body, {
       status: response.status,
       headers: responseHeaders,
@@ -329,5 +685,38 @@ export async function handleRequest(context) {
       }),
       { status: 500, headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" } }
     );
+  } finally {
+    // 流式响应结束时的状态变更在 onEnd 中处理
+    waitUntil(activeKeyManager.whenSaved());
   }
 }
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 尝试将请求体解析为 JSON，失败返回 null
+ * @param {ArrayBuffer|null} body
+ * @returns {Object|null}
+ */
+function parseJsonBody(body) {
+  if (!body || body.byteLength === 0) return null;
+  try {
+    return JSON.parse(new TextDecoder().decode(body));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 从请求路径（Gemini 原生）或请求体（OpenAI 兼容）中提取目标模型名
+ * @param {string} pathname
+ * @param {Object|null} body
+ * @returns {string|null}
+ */
+function extractModel(pathname, body) {
+  const match = pathname.match(/\/models\/([^/:]+)/);
+  if (match) return decodeURIComponent(match[1]);
+  return typeof body?.model === "string" ? body.model : null;
+}
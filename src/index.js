@@ -1,9 +1,15 @@
-  import { handleRequest } from "./handle_request.js";
+  import { handleRequest, runScheduledVerification } from "./handle_request.js";
 
   export default {
     async fetch (req, env, context) {
       const url = new URL(req.url);
       console.info('Request URL:', req.url); 
-      return handleRequest(req);
+      // waitUntil 让延迟写入的密钥状态在响应返回后仍能完成
+      return handleRequest({ request: req, env, waitUntil: (promise) => context.waitUntil(promise) });
+    },
+
+    // Cron Triggers：在 wrangler 配置中添加 [triggers] crons 后定时校验所有密钥
+    async scheduled (event, env, ctx) {
+      ctx.waitUntil(runScheduledVerification(env));
     }
   }
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * 密钥列表加密
+ * GEMINI_API_KEY 可以是加密后的密文，格式为 enc:v1:<salt>:<iv>:<ciphertext>（各段为 base64url），
+ * 用 KEY_ENCRYPTION_SECRET 经 PBKDF2-SHA256 派生的 AES-256-GCM 密钥加解密。
+ * 只依赖 WebCrypto，可在 Node、Deno、Cloudflare Workers、Vercel Edge 等运行时中使用。
+ *
+ * 生成密文：POST /admin/encrypt，或 node scripts/encrypt_keys.mjs
+ */
+
+import { toBase64Url, fromBase64Url } from './utils.js';
+
+const PREFIX = 'enc:v1:';
+// Cloudflare Workers 的 PBKDF2 迭代次数上限为 100000
+const PBKDF2_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * 判断值是否为加密的密钥列表
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isEncryptedKeys(value) {
+  return typeof value === 'string' && value.trim().startsWith(PREFIX);
+}
+
+/**
+ * 加密密钥列表
+ * @param {string} plaintext - 原始的 GEMINI_API_KEY 值（可包含权重、标签与调度元数据）
+ * @param {string} secret - KEY_ENCRYPTION_SECRET
+ * @returns {Promise<string>} enc:v1:... 密文
+ */
+export async function encryptKeys(plaintext, secret) {
+  if (!secret) throw new Error('KEY_ENCRYPTION_SECRET is not configured');
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(secret, salt);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+  return `${PREFIX}${toBase64Url(salt)}:${toBase64Url(iv)}:${toBase64Url(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * 解密密钥列表
+ * @param {string} value - enc:v1:... 密文
+ * @param {string} secret - KEY_ENCRYPTION_SECRET
+ * @returns {Promise<string>} 原始的密钥列表
+ * @throws {Error} 未配置密钥、格式错误或密钥不匹配（认证失败）时抛出
+ */
+export async function decryptKeys(value, secret) {
+  if (!secret) throw new Error('GEMINI_API_KEY is encrypted but KEY_ENCRYPTION_SECRET is not configured');
+  const parts = value.trim().slice(PREFIX.length).split(':');
+  if (parts.length !== 3) throw new Error('Encrypted GEMINI_API_KEY must look like enc:v1:<salt>:<iv>:<ciphertext>');
+
+  let salt, iv, ciphertext;
+  try {
+    [salt, iv, ciphertext] = parts.map(fromBase64Url);
+  } catch {
+    throw new Error('Encrypted GEMINI_API_KEY is not valid base64url');
+  }
+  const key = await deriveKey(secret, salt);
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    throw new Error('Failed to decrypt GEMINI_API_KEY: wrong KEY_ENCRYPTION_SECRET or corrupted value');
+  }
+}
+
+/**
+ * 从主密钥派生 AES-GCM 密钥
+ * @private
+ */
+async function deriveKey(secret, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
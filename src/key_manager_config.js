@@ -3,26 +3,33 @@
  * 可以根据实际需求调整这些参数
  */
 
+import { logger } from './logger.mjs';
+
 export const KEY_MANAGER_CONFIG = {
-  // 错误码到权重惩罚的映射
-  errorPenalties: {
-    429: 0.5,    // 速率限制，中等惩罚
-    503: 0.2,    // 服务不可用，极重惩罚（临时性错误）
-    500: 0.7,    // 服务器错误，轻度惩罚
-    502: 0.6,    // 网关错误，中度惩罚
-    504: 0.6,    // 网关超时，中度惩罚
-    401: 0.1,    // 认证错误，极重惩罚
-    403: 0.1,    // 权限错误，极重惩罚
-    default: 0.8 // 其他错误，轻微惩罚
-  },
-
-  // 权重恢复配置
-  recovery: {
-    minWeight: 0.1,           // 最小权重（10%）
-    recoveryRate: 0.1,        // 每次恢复的权重增量（10%）
-    recoveryInterval: 60000,  // 恢复检查间隔（1分钟）
-    maxRecoveryAttempts: 10,  // 最大恢复尝试次数
-    healthThreshold: 0.5      // 重新标记为健康的权重阈值（50%）
+  // 密钥熔断器配置（closed / open / half-open）
+  circuitBreaker: {
+    // 各类错误连续出现多少次后打开熔断器
+    failureThresholds: {
+      auth: 1,                // 401/403，一次即打开
+      rateLimit: 3,           // 没有冷却提示的 429
+      server: 3,              // 5xx
+      network: 3              // 网络错误/超时
+    },
+    // 各类错误打开后进入 half-open 前的等待时间，null 表示无限期打开，
+    // 只能通过 recoverKey()、管理 API 或健康检查关闭
+    openDurations: {
+      auth: null,
+      rateLimit: 60000,       // 1分钟
+      server: 30000,          // 30秒
+      network: 30000,         // 30秒
+      manual: null
+    },
+    backoffMultiplier: 2,     // 试探失败重新打开时，打开时长按倍数增长
+    maxOpenDurationMs: 600000, // 打开时长上限（10分钟）
+    halfOpenMaxTrials: 1,     // half-open 状态下同时允许的试探请求数
+    halfOpenSuccessThreshold: 2, // 连续成功多少次试探后关闭
+    halfOpenTrialTimeoutMs: 60000, // 试探请求超过该时间没有结果则释放名额
+    historySize: 20           // 每个密钥保留的状态转换记录数
   },
 
   // 健康检查配置
@@ -30,7 +37,13 @@ export const KEY_MANAGER_CONFIG = {
     interval: 300000,         // 健康检查间隔（5分钟）
     timeout: 10000,           // 请求超时时间（10秒）
     retryDelay: 5000,         // 重试延迟（5秒）
-    testEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models'
+    verifyConcurrency: 5,     // 定时校验（/cron/verify-keys）同时校验的密钥数
+    // 探测方式（请求发往代理使用的 GEMINI_BASE_URL 与 GEMINI_API_VERSION），可通过 KEY_HEALTH_PROBE 覆盖：
+    // models（列出模型，最便宜，只能证明密钥有效）| countTokens（不消耗生成配额，可证明模型可访问）|
+    // generate（生成 1 个 Token，证明能实际生成）
+    probe: 'models',
+    // countTokens / generate 探测的模型，逐个探测并报告可访问的模型，可通过 KEY_HEALTH_PROBE_MODELS（逗号分隔）覆盖
+    probeModels: ['gemini-2.5-flash-lite']
   },
 
   // 重试配置
@@ -39,7 +52,8 @@ export const KEY_MANAGER_CONFIG = {
     baseDelay: 1000,          // 基础延迟时间（1秒）
     exponentialBackoff: true, // 是否使用指数退避
     maxDelay: 30000,          // 最大延迟时间（30秒）
-    jitter: true              // 添加随机抖动避免雷群效应
+    jitter: true,             // 添加随机抖动避免雷群效应
+    retryableStatusCodes: [429, 500, 502, 503, 504] // 触发换密钥重试的状态码
   },
 
   // 503 错误特殊处理配置
@@ -51,6 +65,130 @@ export const KEY_MANAGER_CONFIG = {
     jitterRange: 0.1          // 抖动范围（±10%）
   },
 
+  // 密钥选择策略
+  selection: {
+    // swrr（加权轮询）| random-weighted（加权随机）| least-in-flight（最少进行中请求）|
+    // sticky（复用最近成功的密钥）| smart（避开最近出错的密钥）| latency（延迟感知），可通过 KEY_SELECTION_STRATEGY 覆盖
+    strategy: 'swrr',
+    sticky: {
+      ttlMs: 60000,           // 最近成功密钥的复用有效期（60秒）
+      reuseProbability: 0.8   // 有效期内复用的概率
+    },
+    smart: {
+      recentErrorWindowMs: 300000 // 在该时间窗口内出过错的密钥会被避开（5分钟）
+    },
+    latency: {
+      alpha: 0.3,             // EWMA 平滑系数，越大越偏重最近的样本
+      errorPenalty: 5,        // 错误率对代价的放大系数：代价 = 延迟 × (1 + errorPenalty × 错误率)
+      explorationRate: 0.1,   // 以该概率选择最久未采样的密钥，保持慢密钥的统计新鲜
+      minSamples: 3           // 样本数不足的密钥优先获得流量
+    }
+  },
+
+  // 所有密钥都暂不可用（熔断、冷却、配额或并发已满）时的处理策略
+  exhaustion: {
+    // queue：排队等待最早的密钥恢复，最长 maxWaitMs；fail：立即返回 429 与预计的 Retry-After；
+    // reset：熔断器全部打开时全局重置（保留认证失败与手动打开的密钥），其余情况同 fail。可通过 KEY_EXHAUSTION_POLICY 覆盖
+    policy: 'reset',
+    maxWaitMs: 10000,         // queue 策略的最长等待时间（10秒），可通过 KEY_EXHAUSTION_MAX_WAIT 覆盖
+    pollIntervalMs: 250,      // 无法预知恢复时间时（如并发已满）的重新检查间隔
+    minResetIntervalMs: 30000 // 两次全局重置之间的最小间隔（30秒），可通过 KEY_MIN_RESET_INTERVAL 覆盖
+  },
+
+  // 单个密钥的并发上限，0 表示不限制；达到上限的密钥暂时不参与选择
+  concurrency: {
+    maxInFlightPerKey: 0,     // 进行中的上游请求数上限（含流式响应），可通过 KEY_MAX_IN_FLIGHT 覆盖
+    maxStreamsPerKey: 0       // 活跃流式响应数上限，可通过 KEY_MAX_STREAMS 覆盖
+  },
+
+  // 客户端自带密钥列表的密钥池缓存（按密钥列表哈希复用熔断、冷却与轮询状态）
+  clientPools: {
+    maxPools: 100,            // 最多缓存的密钥池数量，超出时淘汰最久未使用的，可通过 KEY_CLIENT_POOL_MAX 覆盖
+    idleTtlMs: 900000         // 空闲超过该时间的密钥池被丢弃（15分钟），可通过 KEY_CLIENT_POOL_IDLE_TTL 覆盖
+  },
+
+  // 客户端令牌注册表（CLIENT_TOKENS 与 /admin/tokens，见 token_registry.js）
+  tokens: {
+    reloadIntervalMs: 60000   // 从状态存储重新加载管理 API 创建的令牌的间隔（1分钟），使多实例之间同步
+  },
+
+  // 客户端限流（令牌桶，见 rate_limiter.js）；0 表示不限制
+  clientRateLimit: {
+    // 每个客户端令牌的限额，可通过 CLIENT_RPM / CLIENT_TPM 覆盖；令牌记录中的 rpm / tpm 优先
+    perToken: { rpm: 0, tpm: 0 },
+    // 每个客户端 IP 的限额（包括自带密钥的请求），可通过 IP_RPM / IP_TPM 覆盖
+    perIp: { rpm: 0, tpm: 0 }
+  },
+
+  // 按客户端与模型统计 Token 用量（/monitor/usage，见 usage_tracker.js）
+  usage: {
+    flushDelayMs: 2000,          // 用量增量合并写入存储的延迟（2秒）
+    dailyTtlMs: 7776000000,      // 按天汇总的保留时间（90天）
+    monthlyTtlMs: 63072000000,   // 按月汇总的保留时间（2年）
+    maxReportPeriods: 93         // 单次查询最多包含的天数或月数
+  },
+
+  // 密钥条目校验（启动及同步密钥列表时执行，见 key_validation.js）
+  keyValidation: {
+    // reject（忽略格式不符的条目）| warn（只记录警告）| off（不校验），可通过 KEY_FORMAT_CHECK 覆盖；
+    // 经 GEMINI_BASE_URL 转发到使用其他密钥格式的中转服务时设为 warn 或 off
+    format: 'reject',
+    pattern: '^AIza[0-9A-Za-z_-]{35}$' // Google API 密钥格式
+  },
+
+  // 密钥调度窗口（密钥条目中的 nbf / exp / hours / tz 元数据，见 key_schedule.js）
+  schedule: {
+    expiryWarningMs: 604800000 // /monitor/keys 列出在该时长内过期的密钥（7天），可通过 KEY_EXPIRY_WARNING_DAYS 覆盖（单位：天）
+  },
+
+  // 按模型路由到密钥分组（分组来自 key:weight:tag 中的标签，无标签的密钥属于 default 组）
+  routing: {
+    // 按顺序匹配模型名（支持 * 通配），取第一条；groups 为按优先级排列的分组，
+    // 前一个分组没有可用密钥时依次回退到后面的分组
+    // 例如：{ model: 'gemini-2.5-pro*', groups: ['paid'] }、{ model: '*-flash-lite', groups: ['free', 'default'] }
+    rules: [],
+    // 没有规则匹配时使用的分组顺序；null 表示不限制分组，使用全部密钥
+    defaultGroups: null
+  },
+
+  // 密钥亲和：文件、上下文缓存等资源只能由创建它们的密钥访问（需挂载状态存储）
+  affinity: {
+    resourceTtlMs: 172800000, // 文件/缓存所属记录的保留时间（48小时，与 Files API 文件有效期一致）
+    uploadTtlMs: 86400000,    // 可续传上传会话的保留时间（24小时）
+    conversation: {
+      enabled: false,         // 按会话前缀哈希复用密钥，可通过 KEY_CONVERSATION_AFFINITY=true 开启
+      ttlMs: 3600000          // 会话亲和记录的保留时间（1小时）
+    }
+  },
+
+  // 429 限流冷却配置（依据上游 RetryInfo / Retry-After 提示）
+  rateLimit: {
+    maxCooldownMs: 86400000,  // 单次冷却的最长时间（24小时）
+    defaultModelCooldownMs: 60000 // 模型维度的配额耗尽但没有等待提示时，该模型的冷却时间（1分钟）
+  },
+
+  // 按密钥、按模型的配额跟踪（RPM/TPM/RPD）
+  quota: {
+    enabled: false,           // 默认关闭，可通过 KEY_QUOTA_ENABLED=true 开启
+    dailyResetTimeZone: 'America/Los_Angeles', // Google 按太平洋时间零点重置每日配额
+    // 按顺序匹配模型名（支持 * 通配），取第一条；0 表示不限制
+    // 默认值参考 AI Studio 免费层级，可通过 KEY_QUOTA_LIMITS（JSON 数组）覆盖
+    limits: [
+      { model: 'gemini-2.5-pro*', rpm: 5, tpm: 250000, rpd: 100 },
+      { model: 'gemini-2.5-flash-lite*', rpm: 15, tpm: 250000, rpd: 1000 },
+      { model: 'gemini-2.5-flash*', rpm: 10, tpm: 250000, rpd: 250 },
+      { model: 'gemini-2.0-flash-lite*', rpm: 30, tpm: 1000000, rpd: 200 },
+      { model: 'gemini-2.0-flash*', rpm: 15, tpm: 1000000, rpd: 200 },
+      { model: '*', rpm: 0, tpm: 0, rpd: 0 }
+    ]
+  },
+
+  // 状态持久化配置（需在初始化时挂载存储适配器）
+  persistence: {
+    debounceMs: 2000,         // 状态变更后合并写入的延迟（2秒）
+    stateTtl: 604800000       // 持久化状态的过期时间（7天）
+  },
+
   // 日志配置
   logging: {
     logLevel: 'info',         // 日志级别
@@ -59,25 +197,138 @@ export const KEY_MANAGER_CONFIG = {
   }
 };
 
-// 根据环境变量覆盖配置
-export function getConfig() {
+let configEnv = null;
+
+/**
+ * 记录运行时的环境变量，之后 getConfig() 默认从中读取覆盖项
+ * Cloudflare Workers 等平台通过 env 绑定而不是 process.env 传入配置
+ * @param {Object} env - 环境变量
+ */
+export function initializeConfig(env) {
+  configEnv = env;
+}
+
+/**
+ * 根据环境变量覆盖配置
+ * @param {Object} [env] - 环境变量，默认为 initializeConfig() 记录的 env，未初始化时为 process.env
+ * @returns {Object}
+ */
+export function getConfig(env = configEnv ?? globalThis.process?.env ?? {}) {
   const config = { ...KEY_MANAGER_CONFIG };
   
   // 从环境变量读取配置
-  if (process.env.KEY_MANAGER_MIN_WEIGHT) {
-    config.recovery.minWeight = parseFloat(process.env.KEY_MANAGER_MIN_WEIGHT);
+  if (env.KEY_CIRCUIT_BREAKER) {
+    try {
+      const circuitBreaker = JSON.parse(env.KEY_CIRCUIT_BREAKER);
+      config.circuitBreaker = {
+        ...config.circuitBreaker,
+        ...circuitBreaker,
+        failureThresholds: { ...config.circuitBreaker.failureThresholds, ...circuitBreaker.failureThresholds },
+        openDurations: { ...config.circuitBreaker.openDurations, ...circuitBreaker.openDurations }
+      };
+    } catch (error) {
+      logger.warn('KEY_CIRCUIT_BREAKER 不是合法的 JSON，已忽略:', error.message);
+    }
   }
-  
-  if (process.env.KEY_MANAGER_RECOVERY_RATE) {
-    config.recovery.recoveryRate = parseFloat(process.env.KEY_MANAGER_RECOVERY_RATE);
+
+  if (env.KEY_HEALTH_PROBE) {
+    config.healthCheck = { ...config.healthCheck, probe: env.KEY_HEALTH_PROBE };
   }
-  
-  if (process.env.KEY_MANAGER_RECOVERY_INTERVAL) {
-    config.recovery.recoveryInterval = parseInt(process.env.KEY_MANAGER_RECOVERY_INTERVAL);
+
+  if (env.KEY_HEALTH_PROBE_MODELS) {
+    config.healthCheck = {
+      ...config.healthCheck,
+      probeModels: env.KEY_HEALTH_PROBE_MODELS.split(',').map(m => m.trim()).filter(Boolean)
+    };
   }
-  
-  if (process.env.KEY_MANAGER_MAX_ATTEMPTS) {
-    config.retry.maxAttempts = parseInt(process.env.KEY_MANAGER_MAX_ATTEMPTS);
+
+  if (env.KEY_MANAGER_MAX_ATTEMPTS) {
+    const maxAttempts = parseInt(env.KEY_MANAGER_MAX_ATTEMPTS);
+    if (Number.isInteger(maxAttempts) && maxAttempts > 0) {
+      config.retry = { ...config.retry, maxAttempts };
+    } else {
+      logger.warn(`KEY_MANAGER_MAX_ATTEMPTS=${env.KEY_MANAGER_MAX_ATTEMPTS} 不是正整数，已使用默认值 ${config.retry.maxAttempts}`);
+    }
+  }
+
+  if (env.KEY_SELECTION_STRATEGY) {
+    config.selection = { ...config.selection, strategy: env.KEY_SELECTION_STRATEGY };
+  }
+
+  if (env.KEY_EXHAUSTION_POLICY) {
+    config.exhaustion = { ...config.exhaustion, policy: env.KEY_EXHAUSTION_POLICY };
+  }
+
+  if (env.KEY_EXHAUSTION_MAX_WAIT) {
+    config.exhaustion = { ...config.exhaustion, maxWaitMs: parseInt(env.KEY_EXHAUSTION_MAX_WAIT) };
+  }
+
+  if (env.KEY_MIN_RESET_INTERVAL) {
+    config.exhaustion = { ...config.exhaustion, minResetIntervalMs: parseInt(env.KEY_MIN_RESET_INTERVAL) };
+  }
+
+  if (env.KEY_MAX_IN_FLIGHT) {
+    config.concurrency = { ...config.concurrency, maxInFlightPerKey: parseInt(env.KEY_MAX_IN_FLIGHT) };
+  }
+
+  if (env.KEY_MAX_STREAMS) {
+    config.concurrency = { ...config.concurrency, maxStreamsPerKey: parseInt(env.KEY_MAX_STREAMS) };
+  }
+
+  if (env.KEY_CLIENT_POOL_MAX) {
+    config.clientPools = { ...config.clientPools, maxPools: parseInt(env.KEY_CLIENT_POOL_MAX) };
+  }
+
+  if (env.KEY_CLIENT_POOL_IDLE_TTL) {
+    config.clientPools = { ...config.clientPools, idleTtlMs: parseInt(env.KEY_CLIENT_POOL_IDLE_TTL) };
+  }
+
+  for (const [name, scope, field] of [
+    ['CLIENT_RPM', 'perToken', 'rpm'], ['CLIENT_TPM', 'perToken', 'tpm'],
+    ['IP_RPM', 'perIp', 'rpm'], ['IP_TPM', 'perIp', 'tpm']
+  ]) {
+    if (env[name]) {
+      config.clientRateLimit = {
+        ...config.clientRateLimit,
+        [scope]: { ...config.clientRateLimit[scope], [field]: parseInt(env[name]) }
+      };
+    }
+  }
+
+  if (env.KEY_FORMAT_CHECK) {
+    config.keyValidation = { ...config.keyValidation, format: env.KEY_FORMAT_CHECK };
+  }
+
+  if (env.KEY_EXPIRY_WARNING_DAYS) {
+    config.schedule = { ...config.schedule, expiryWarningMs: parseFloat(env.KEY_EXPIRY_WARNING_DAYS) * 86400000 };
+  }
+
+  if (env.KEY_ROUTING) {
+    try {
+      const routing = JSON.parse(env.KEY_ROUTING);
+      config.routing = { ...config.routing, ...routing };
+    } catch (error) {
+      logger.warn('KEY_ROUTING 不是合法的 JSON，已忽略:', error.message);
+    }
+  }
+
+  if (env.KEY_CONVERSATION_AFFINITY) {
+    config.affinity = {
+      ...config.affinity,
+      conversation: { ...config.affinity.conversation, enabled: env.KEY_CONVERSATION_AFFINITY === 'true' }
+    };
+  }
+
+  if (env.KEY_QUOTA_ENABLED) {
+    config.quota = { ...config.quota, enabled: env.KEY_QUOTA_ENABLED === 'true' };
+  }
+
+  if (env.KEY_QUOTA_LIMITS) {
+    try {
+      config.quota = { ...config.quota, limits: JSON.parse(env.KEY_QUOTA_LIMITS) };
+    } catch (error) {
+      logger.warn('KEY_QUOTA_LIMITS 不是合法的 JSON，已使用默认配额表:', error.message);
+    }
   }
   
   return config;
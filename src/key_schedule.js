@@ -0,0 +1,145 @@
+/**
+ * 密钥调度窗口
+ * 密钥条目可以带上生效时间、过期时间和每日可用时段，窗口之外的密钥不参与选择。
+ *
+ * 在 GEMINI_API_KEY 中以分号附加在条目之后：
+ *   key:weight:tag;nbf=2026-01-01T00:00:00Z;exp=2026-03-31;hours=22:00-08:00;tz=Asia/Shanghai
+ *
+ * - nbf / exp：任意 Date.parse 可解析的时间（只有日期时按 UTC 零点）
+ * - hours：每日可用时段 HH[:MM]-HH[:MM]，结束早于开始表示跨过午夜
+ * - tz：hours 使用的 IANA 时区，默认 UTC
+ */
+
+import { logger } from './logger.mjs';
+
+const MINUTE_MS = 60000;
+const DAY_MINUTES = 24 * 60;
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+/**
+ * 解析调度元数据
+ * @param {Object} spec - { nbf, exp, hours, tz }，值为字符串
+ * @param {string} [label] - 出错时日志中使用的密钥标识
+ * @returns {{notBefore: number|null, expiresAt: number|null, activeHours: {start: number, end: number}|null, timeZone: string}|null}
+ *   没有任何调度信息时返回 null；activeHours 的 start / end 为一天中的分钟数
+ */
+export function parseKeySchedule(spec = {}, label = '') {
+  const notBefore = parseTime(spec.nbf, 'nbf', label);
+  const expiresAt = parseTime(spec.exp, 'exp', label);
+  const activeHours = parseHours(spec.hours, label);
+  let timeZone = spec.tz || 'UTC';
+
+  if (!isValidTimeZone(timeZone)) {
+    logger.warn(`密钥 ${label} 的时区 ${timeZone} 无效，使用 UTC`);
+    timeZone = 'UTC';
+  }
+  if (notBefore == null && expiresAt == null && !activeHours) return null;
+  return { notBefore, expiresAt, activeHours, timeZone };
+}
+
+/**
+ * 判断当前时间是否在密钥的调度窗口内
+ * @param {Object|null} schedule
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isWithinSchedule(schedule, now = Date.now()) {
+  return msUntilWithinSchedule(schedule, now) === 0;
+}
+
+/**
+ * 距离密钥进入调度窗口还需等待的时间
+ * @param {Object|null} schedule
+ * @param {number} [now]
+ * @returns {number} 毫秒数；已在窗口内为 0，已过期为 Infinity
+ */
+export function msUntilWithinSchedule(schedule, now = Date.now()) {
+  if (!schedule) return 0;
+  const { notBefore, expiresAt, activeHours, timeZone } = schedule;
+  if (expiresAt != null && now >= expiresAt) return Infinity;
+
+  const start = notBefore != null && now < notBefore ? notBefore : now;
+  let wait = start - now;
+  if (activeHours) {
+    wait += minutesUntilActive(activeHours, minuteOfDay(start, timeZone)) * MINUTE_MS;
+  }
+  if (expiresAt != null && now + wait >= expiresAt) return Infinity;
+  return wait;
+}
+
+/**
+ * 调度信息的展示形式
+ * @param {Object|null} schedule
+ * @returns {Object|null}
+ */
+export function describeSchedule(schedule) {
+  if (!schedule) return null;
+  const { notBefore, expiresAt, activeHours, timeZone } = schedule;
+  return {
+    notBefore: notBefore != null ? new Date(notBefore).toISOString() : null,
+    expiresAt: expiresAt != null ? new Date(expiresAt).toISOString() : null,
+    activeHours: activeHours ? `${formatMinutes(activeHours.start)}-${formatMinutes(activeHours.end)}` : null,
+    timeZone
+  };
+}
+
+function parseTime(value, field, label) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    logger.warn(`密钥 ${label} 的 ${field}=${value} 不是有效时间，已忽略`);
+    return null;
+  }
+  return time;
+}
+
+function parseHours(value, label) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{1,2})(?::(\d{2}))?-(\d{1,2})(?::(\d{2}))?$/);
+  const start = match && Number(match[1]) * 60 + Number(match[2] || 0);
+  const end = match && Number(match[3]) * 60 + Number(match[4] || 0);
+  if (!match || start > DAY_MINUTES || end > DAY_MINUTES || start === end) {
+    logger.warn(`密钥 ${label} 的 hours=${value} 格式无效（应为 HH[:MM]-HH[:MM]），已忽略`);
+    return null;
+  }
+  return { start, end };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 指定时区下一天中的第几分钟
+ */
+function minuteOfDay(time, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    formatters.set(timeZone, formatter);
+  }
+  const parts = formatter.formatToParts(time);
+  const get = type => parseInt(parts.find(p => p.type === type)?.value || '0', 10);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * 从当前分钟到可用时段开始的分钟数，已在时段内为 0
+ */
+function minutesUntilActive({ start, end }, minute) {
+  const inside = start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+  if (inside) return 0;
+  return (start - minute + DAY_MINUTES) % DAY_MINUTES;
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,171 @@
+/**
+ * 外部密钥来源
+ * 从外部来源加载服务端密钥池并定期刷新。配置后以来源为准，启动时加载失败才使用环境变量 GEMINI_API_KEY：
+ *   KEY_SOURCE=https://example.com/keys.json   URL，可用 KEY_SOURCE_TOKEN 作为 Bearer 令牌
+ *   KEY_SOURCE=kv:gemini-keys                  状态存储（见 storage.js）中的条目，键名会加上 STATE_KEY_PREFIX
+ *   KEY_SOURCE=file:./keys.txt                 本地文件（Node.js / Deno）
+ *
+ * 内容可以是：
+ * - 按行分隔的密钥条目（格式同 GEMINI_API_KEY，# 开头为注释）
+ * - JSON 数组：元素为条目字符串，或 { key, weight, tags, nbf, exp, hours, tz, enabled } 对象（enabled: false 的条目被跳过）；
+ *   也可以是 { keys: [...] }
+ * - enc:v1: 开头的密文（见 key_crypto.js），解密后再按上述格式解析
+ *
+ * 刷新时把新的密钥列表交给 KeyManager.syncKeys()，仍存在的密钥保留原有状态。
+ */
+
+import { logger as defaultLogger } from './logger.mjs';
+import { isEncryptedKeys, decryptKeys } from './key_crypto.js';
+
+const DEFAULT_REFRESH_MS = 300000; // 5分钟
+
+export class KeySource {
+  /**
+   * @param {Object} options
+   * @param {string} options.uri - KEY_SOURCE
+   * @param {string} [options.token] - URL 来源的 Bearer 令牌
+   * @param {number} [options.refreshMs] - 刷新间隔，0 表示只在启动时加载
+   * @param {string} [options.encryptionSecret] - 内容加密时使用的 KEY_ENCRYPTION_SECRET
+   * @param {Object} [storage] - kv: 来源使用的状态存储
+   * @param {Object} [logger]
+   */
+  constructor({ uri, token, refreshMs = DEFAULT_REFRESH_MS, encryptionSecret }, storage = null, logger = defaultLogger) {
+    this.uri = uri;
+    this.token = token;
+    this.refreshMs = refreshMs;
+    this.encryptionSecret = encryptionSecret;
+    this.storage = storage;
+    this.logger = logger;
+    this.lastLoadedAt = 0;
+    this.refreshPromise = null;
+  }
+
+  /**
+   * 根据环境变量创建密钥来源，未配置 KEY_SOURCE 时返回 null
+   * @param {Object} env
+   * @param {Object} [storage] - 状态存储
+   * @param {Object} [logger]
+   * @returns {KeySource|null}
+   */
+  static fromEnv(env, storage = null, logger = defaultLogger) {
+    if (!env.KEY_SOURCE) return null;
+    const refreshMs = env.KEY_SOURCE_REFRESH != null ? parseInt(env.KEY_SOURCE_REFRESH, 10) : DEFAULT_REFRESH_MS;
+    return new KeySource({
+      uri: env.KEY_SOURCE.trim(),
+      token: env.KEY_SOURCE_TOKEN,
+      refreshMs: Number.isNaN(refreshMs) ? DEFAULT_REFRESH_MS : refreshMs,
+      encryptionSecret: env.KEY_ENCRYPTION_SECRET
+    }, storage, logger);
+  }
+
+  /**
+   * 来源的脱敏描述（不含查询参数）
+   * @returns {string}
+   */
+  get name() {
+    return this.uri.split('?')[0];
+  }
+
+  /**
+   * 读取来源并转换为密钥字符串
+   * @returns {Promise<string>}
+   * @throws {Error} 读取失败或内容为空时抛出
+   */
+  async load() {
+    let content = await this._read();
+    if (typeof content === 'string' && isEncryptedKeys(content)) {
+      content = await decryptKeys(content, this.encryptionSecret);
+    }
+    const keysString = toKeysString(content);
+    if (!keysString) throw new Error(`Key source ${this.name} is empty`);
+    this.lastLoadedAt = Date.now();
+    return keysString;
+  }
+
+  /**
+   * 重新加载来源并同步到 KeyManager；加载失败时保留当前密钥池
+   * @param {Object} keyManager
+   * @returns {Promise<{added: string[], removed: string[], updated: string[]}|null>} 密钥列表没有变化或加载失败时返回 null
+   */
+  async refresh(keyManager) {
+    try {
+      const keysString = await this.load();
+      if (keysString === keyManager.keysString) return null;
+      return keyManager.syncKeys(keysString);
+    } catch (error) {
+      this.logger.warn(`刷新密钥来源 ${this.name} 失败，保留当前密钥池:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 距上次加载超过刷新间隔时在后台刷新（同一时间只有一次刷新），不阻塞调用方
+   * @param {Object} keyManager
+   */
+  refreshIfStale(keyManager) {
+    if (!this.refreshMs || this.refreshPromise || Date.now() - this.lastLoadedAt < this.refreshMs) return;
+    this.refreshPromise = this.refresh(keyManager).finally(() => {
+      this.refreshPromise = null;
+    });
+  }
+
+  /**
+   * 按来源类型读取原始内容
+   * @private
+   * @returns {Promise<any>} 文本或已解析的 JSON 值
+   */
+  async _read() {
+    if (/^https?:\/\//i.test(this.uri)) {
+      const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+      const response = await fetch(this.uri, { headers });
+      if (!response.ok) throw new Error(`Key source ${this.name} returned status ${response.status}`);
+      return await response.text();
+    }
+    if (this.uri.startsWith('kv:')) {
+      if (!this.storage) throw new Error('Key source kv: requires a state storage');
+      const value = await this.storage.get(this.uri.slice(3));
+      if (value == null) throw new Error(`Key source ${this.name} not found in ${this.storage.name}`);
+      return value;
+    }
+    if (this.uri.startsWith('file:')) {
+      const fs = await import('node:fs/promises');
+      const path = this.uri.startsWith('file://') ? new URL(this.uri) : this.uri.slice(5);
+      return await fs.readFile(path, 'utf8');
+    }
+    throw new Error(`Unsupported KEY_SOURCE: ${this.name}（应为 https://、kv: 或 file:）`);
+  }
+}
+
+/**
+ * 将来源内容转换为 GEMINI_API_KEY 格式的密钥字符串（条目以换行分隔）
+ * @param {any} content - 文本，或 KV 中已解析的 JSON 值
+ * @returns {string}
+ */
+export function toKeysString(content) {
+  let value = content;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (!text.startsWith('[') && !text.startsWith('{')) {
+      return text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#')).join('\n');
+    }
+    value = JSON.parse(text);
+  }
+  const entries = Array.isArray(value) ? value : value?.keys;
+  if (!Array.isArray(entries)) throw new Error('Key source JSON must be an array or { "keys": [...] }');
+  return entries.map(toKeyEntry).filter(Boolean).join('\n');
+}
+
+/**
+ * 单个 JSON 条目转换为 key:weight:tag;name=value 格式
+ * @private
+ */
+function toKeyEntry(entry) {
+  if (typeof entry === 'string') return entry.trim();
+  if (!entry || typeof entry.key !== 'string' || entry.enabled === false) return '';
+  const tags = Array.isArray(entry.tags) ? entry.tags : [];
+  let text = [entry.key.trim(), entry.weight ?? 1, ...tags].join(':');
+  for (const field of ['nbf', 'exp', 'hours', 'tz']) {
+    if (entry[field] != null) text += `;${field}=${entry[field]}`;
+  }
+  return text;
+}
@@ -0,0 +1,130 @@
+/**
+ * 密钥条目解析与校验
+ * 把 GEMINI_API_KEY 这类密钥字符串拆成条目，规范化常见的粘贴错误（多余空白、引号、key= 前缀），
+ * 合并重复密钥（权重相加），并按 Google API 密钥格式校验。被修正或拒绝的条目以结构化警告返回。
+ */
+
+// 条目警告代码
+export const KeyWarningCode = {
+  NORMALIZED: 'NORMALIZED',             // 去掉了空白、引号或 key= 前缀
+  DUPLICATE_MERGED: 'DUPLICATE_MERGED', // 重复密钥，权重已合并到第一次出现的条目
+  INVALID_FORMAT: 'INVALID_FORMAT',     // 不符合密钥格式
+  INVALID_WEIGHT: 'INVALID_WEIGHT'      // 权重不是正整数，按 1 处理
+};
+
+const stripQuotes = s => s.replace(/^["'`]+|["'`]+$/g, '');
+
+/**
+ * 去掉条目两端的引号和 NAME= 前缀（如 key=、GEMINI_API_KEY=），以及所有空白
+ * 只用于分号前的密钥部分，调度元数据中的空白（如 exp=2026-01-01 08:00）需要保留
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeKeyText(value) {
+  return stripQuotes(stripQuotes(value.replace(/\s+/g, '')).replace(/^[A-Za-z_][A-Za-z0-9_]*=/, ''));
+}
+
+/**
+ * 去掉整个条目两端的空白、引号和 NAME= 前缀，不改动条目内部
+ * @private
+ */
+function unwrapEntry(value) {
+  return stripQuotes(stripQuotes(value.trim()).replace(/^[A-Za-z_][A-Za-z0-9_]*\s*=\s*/, '').trim()).trim();
+}
+
+/**
+ * 脱敏显示条目，只保留首尾各 4 个字符
+ * @param {string} value
+ * @returns {string}
+ */
+export function maskKeyText(value) {
+  return value.length > 12 ? `${value.slice(0, 4)}...${value.slice(-4)}（${value.length} 字符）` : `***（${value.length} 字符）`;
+}
+
+/**
+ * 解析并校验密钥字符串，条目以逗号或换行分隔，格式为 key[:weight[:tag...]][;name=value...]
+ * @param {string} keysString
+ * @param {Object} options - KEY_MANAGER_CONFIG.keyValidation
+ * @param {string} options.format - reject（拒绝格式不符的条目）| warn（只警告）| off（不校验格式）
+ * @param {string} options.pattern - 密钥格式正则
+ * @returns {{entries: Array<{key: string, weight: number, tags: string[], metadata: Object}>, warnings: Array<{code: string, index: number, entry: string, message: string}>}}
+ *   metadata 为分号后的 name=value 字段；index 为条目在列表中的位置（从 1 开始）
+ */
+export function parseKeyEntries(keysString, { format, pattern }) {
+  const entries = [];
+  const warnings = [];
+  const byKey = new Map();
+  const formatPattern = new RegExp(pattern);
+
+  (keysString || '').split(/[,\r\n]+/).forEach((item, i) => {
+    const index = i + 1;
+    if (!item.trim()) return;
+
+    const [spec, ...metadataParts] = unwrapEntry(item).split(';');
+    const parts = normalizeKeyText(spec).split(':');
+    const key = normalizeKeyText(parts[0] || '');
+    if (!key) return;
+    const warn = (code, message) => warnings.push({ code, index, entry: maskKeyText(key), message });
+
+    if (key !== item.trim().split(/[:;]/)[0]) {
+      warn(KeyWarningCode.NORMALIZED, '已去掉多余的空白、引号或 key= 前缀');
+    }
+    if (format !== 'off' && !formatPattern.test(key)) {
+      if (format === 'reject') {
+        warn(KeyWarningCode.INVALID_FORMAT, `不符合密钥格式 ${pattern}，已忽略该条目`);
+        return;
+      }
+      warn(KeyWarningCode.INVALID_FORMAT, `不符合密钥格式 ${pattern}`);
+    }
+
+    let weight = parts.length > 1 ? Number(parts[1]) : 1;
+    if (!Number.isInteger(weight) || weight <= 0) {
+      warn(KeyWarningCode.INVALID_WEIGHT, `权重 "${parts[1]}" 不是正整数，按 1 处理`);
+      weight = 1;
+    }
+    const tags = parts.slice(2).map(t => t.trim()).filter(Boolean);
+    const metadata = Object.fromEntries(metadataParts.map(m => {
+      const eq = m.indexOf('=');
+      return eq === -1 ? [m.trim(), ''] : [m.slice(0, eq).trim(), m.slice(eq + 1).trim()];
+    }));
+
+    const first = byKey.get(key);
+    if (first) {
+      first.weight += weight;
+      first.tags = [...new Set([...first.tags, ...tags])];
+      const metadataNote = JSON.stringify(first.metadata) !== JSON.stringify(metadata) ? '，调度元数据以第一次出现的为准' : '';
+      warn(KeyWarningCode.DUPLICATE_MERGED, `与第 ${first.index} 项重复，权重合并为 ${first.weight}${metadataNote}`);
+      return;
+    }
+    const entry = { key, weight, tags, metadata, index };
+    byKey.set(key, entry);
+    entries.push(entry);
+  });
+
+  return {
+    entries: entries.map(({ key, weight, tags, metadata }) => ({ key, weight, tags, metadata })),
+    warnings
+  };
+}
+
+/**
+ * 校验运行时添加的单个密钥（KeyManager.addKey、POST /admin/keys），规范化与格式检查同 parseKeyEntries
+ * @param {string} value - 单个密钥，权重、标签与调度窗口另行传入
+ * @param {Object} options - KEY_MANAGER_CONFIG.keyValidation
+ * @returns {{key: string|null, warnings: Array<{code: string, index: number, entry: string, message: string}>, error: string|null}}
+ *   key 为规范化后的密钥；不是单个密钥或格式不符（format 为 reject）时 key 为 null，error 为原因
+ */
+export function validateKeyEntry(value, options) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { key: null, warnings: [], error: 'Key must be a non-empty string' };
+  }
+  if (/[,;:\r\n]/.test(unwrapEntry(value))) {
+    return { key: null, warnings: [], error: 'Key must be a single key without weight, tags or metadata' };
+  }
+  const { entries, warnings } = parseKeyEntries(value, options);
+  if (entries.length === 0) {
+    const rejected = warnings.find(w => w.code === KeyWarningCode.INVALID_FORMAT);
+    return { key: null, warnings, error: rejected ? `Key does not match the expected format ${options.pattern}` : 'Key is empty' };
+  }
+  return { key: entries[0].key, warnings, error: null };
+}
@@ -0,0 +1,94 @@
+/**
+ * 延迟跟踪器
+ * 按密钥维护响应延迟与错误率的指数加权移动平均（EWMA），供延迟感知的密钥选择使用
+ */
+
+export class LatencyTracker {
+  /**
+   * @param {Object} config - KEY_MANAGER_CONFIG.selection.latency
+   */
+  constructor(config) {
+    this.config = config;
+    this.stats = new Map(); // apiKey -> { latencyEwma, errorRateEwma, samples, lastSeq }
+    this.sequence = 0;      // 全局采样序号，用于找出最久未采样的密钥
+  }
+
+  /**
+   * 记录一次上游请求结果
+   * @param {string} apiKey
+   * @param {number} latencyMs - 从发出请求到收到响应头的耗时
+   * @param {boolean} success - 是否成功（与密钥无关的错误应视为成功）
+   */
+  record(apiKey, latencyMs, success) {
+    const { alpha } = this.config;
+    const stat = this.stats.get(apiKey);
+    const errorSample = success ? 0 : 1;
+
+    if (!stat) {
+      this.stats.set(apiKey, {
+        latencyEwma: latencyMs,
+        errorRateEwma: errorSample,
+        samples: 1,
+        lastSeq: ++this.sequence
+      });
+      return;
+    }
+
+    stat.latencyEwma = alpha * latencyMs + (1 - alpha) * stat.latencyEwma;
+    stat.errorRateEwma = alpha * errorSample + (1 - alpha) * stat.errorRateEwma;
+    stat.samples++;
+    stat.lastSeq = ++this.sequence;
+  }
+
+  /**
+   * 计算密钥的期望代价，越小越好；错误率按 errorPenalty 放大延迟
+   * @param {string} apiKey
+   * @returns {number}
+   */
+  score(apiKey) {
+    const stat = this.stats.get(apiKey);
+    if (!stat) return 0;
+    return stat.latencyEwma * (1 + this.config.errorPenalty * stat.errorRateEwma);
+  }
+
+  /**
+   * 从候选密钥中选择：样本不足的密钥优先；以 explorationRate 的概率选择最久未采样的密钥，
+   * 使较慢的密钥也能持续获得少量流量、保持统计新鲜；其余情况选择期望代价最小的密钥
+   * @param {Array<{key: string, originalWeight: number}>} keys
+   * @returns {string|null}
+   */
+  select(keys) {
+    if (keys.length === 0) return null;
+
+    const unsampled = keys.filter(k => (this.stats.get(k.key)?.samples || 0) < this.config.minSamples);
+    if (unsampled.length > 0) {
+      return unsampled[Math.floor(Math.random() * unsampled.length)].key;
+    }
+
+    if (keys.length > 1 && Math.random() < this.config.explorationRate) {
+      return keys.reduce((oldest, k) =>
+        this.stats.get(k.key).lastSeq < this.stats.get(oldest.key).lastSeq ? k : oldest
+      ).key;
+    }
+
+    // 权重越高，代价按比例越低，保留配置权重的影响
+    return keys.reduce((best, k) =>
+      this.score(k.key) / k.originalWeight < this.score(best.key) / best.originalWeight ? k : best
+    ).key;
+  }
+
+  /**
+   * 获取密钥的延迟统计
+   * @param {string} apiKey
+   * @returns {{latencyMs: number, errorRate: number, samples: number}|null}
+   */
+  getStats(apiKey) {
+    const stat = this.stats.get(apiKey);
+    if (!stat) return null;
+    return {
+      latencyMs: Math.round(stat.latencyEwma),
+      errorRate: parseFloat(stat.errorRateEwma.toFixed(3)),
+      samples: stat.samples
+    };
+  }
+}
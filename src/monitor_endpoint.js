@@ -1,15 +1,28 @@
 /**
  * 监控端点处理器
  * 提供系统状态和性能监控的 API 端点
+ * 包含调用方信息或完整配置的 /monitor/usage、/monitor/config 需携带 ADMIN_TOKEN（与管理 API 相同），未配置 ADMIN_TOKEN 时关闭
  */
 
 import { logger } from './logger.mjs';
+import { KeyManager } from './utils.js';
+import { formatUsageCsv } from './usage_tracker.js';
+import { isAdminRequest } from './admin_endpoint.js';
 
 export class MonitorEndpoint {
-  constructor(monitoringSystem, keyManager, streamHandler) {
+  /**
+   * @param {Object} monitoringSystem
+   * @param {KeyManager} keyManager - default 密钥池
+   * @param {Object} streamHandler
+   * @param {import('./usage_tracker.js').UsageTracker} [usageTracker]
+   * @param {string} [adminToken] - ADMIN_TOKEN，用于保护敏感的监控端点
+   */
+  constructor(monitoringSystem, keyManager, streamHandler, usageTracker = null, adminToken = '') {
     this.monitoring = monitoringSystem;
     this.keyManager = keyManager;
     this.streamHandler = streamHandler;
+    this.usageTracker = usageTracker;
+    this.adminToken = adminToken;
   }
 
   /**
@@ -33,6 +46,12 @@ export class MonitorEndpoint {
         case '/monitor/keys':
           return this.getKeyStatus();
         
+        case '/monitor/config':
+          return this.requireAdmin(request) || this.getConfigReport();
+        
+        case '/monitor/usage':
+          return this.requireAdmin(request) || await this.getUsageReport(searchParams);
+        
         case '/monitor/streams':
           return this.getStreamStatus();
         
@@ -60,6 +79,108 @@ export class MonitorEndpoint {
     }
   }
 
+  /**
+   * 校验管理令牌
+   * @param {Request} request
+   * @returns {Response|null} 未通过时返回错误响应
+   */
+  requireAdmin(request) {
+    if (!this.adminToken) {
+      return new Response(JSON.stringify({ error: 'This endpoint is disabled. Set ADMIN_TOKEN to enable it.' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+      });
+    }
+    if (!isAdminRequest(request, this.adminToken)) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+      });
+    }
+    return null;
+  }
+
+  /**
+   * 获取按调用方与模型汇总的 Token 用量
+   * 查询参数：period=day|month、from、to、client（租户 id）、format=json|csv
+   * @param {URLSearchParams} searchParams
+   * @returns {Promise<Response>}
+   */
+  async getUsageReport(searchParams) {
+    if (!this.usageTracker) {
+      return new Response(JSON.stringify({ error: 'Usage tracking is not available' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+      });
+    }
+
+    let report;
+    try {
+      report = await this.usageTracker.getReport({
+        period: searchParams.get('period') || 'day',
+        from: searchParams.get('from') || undefined,
+        to: searchParams.get('to') || undefined,
+        client: searchParams.get('client') || undefined
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+      });
+    }
+
+    if (searchParams.get('format') === 'csv') {
+      return new Response(formatUsageCsv(report), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="usage-${report.period}-${report.from}-${report.to}.csv"`,
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    }
+
+    return new Response(JSON.stringify({ timestamp: new Date().toISOString(), ...report }, null, 2), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
+  /**
+   * 获取各密钥池（default 与 KEY_POOLS）的密钥配置校验结果与生效的 KeyManager 配置
+   * @returns {Response}
+   */
+  getConfigReport() {
+    const pools = {};
+    for (const keyManager of KeyManager.listPools()) {
+      const warnings = keyManager.configWarnings;
+      pools[keyManager.poolId] = {
+        summary: {
+          keys: keyManager.initialKeys.length,
+          warnings: warnings.length,
+          byCode: warnings.reduce((counts, w) => {
+            counts[w.code] = (counts[w.code] || 0) + 1;
+            return counts;
+          }, {})
+        },
+        warnings,
+        config: keyManager.config
+      };
+    }
+    const response = {
+      timestamp: new Date().toISOString(),
+      pools
+    };
+
+    return new Response(JSON.stringify(response, null, 2), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
   /**
    * 获取健康状态
    * @returns {Response}
@@ -135,9 +256,15 @@ export class MonitorEndpoint {
         total: keyStats.totalKeys,
         healthy: keyStats.healthyKeys,
         unhealthy: keyStats.unhealthyKeys,
-        averageWeight: keyStats.averageWeight
+        averageWeight: keyStats.averageWeight,
+        circuits: keyStats.keyDetails.reduce((counts, k) => {
+          counts[k.circuit.state] = (counts[k.circuit.state] || 0) + 1;
+          return counts;
+        }, { closed: 0, open: 0, 'half-open': 0 }),
+        clientPools: KeyManager.getClientPoolCount()
       },
       keys: keyStats.keyDetails,
+      upcomingExpirations: this.keyManager.getUpcomingExpirations(this.keyManager.config.schedule.expiryWarningMs),
       errorDistribution: monitoring.keys.byErrorCode,
       weightDistribution: monitoring.keys.weightDistribution
     };
@@ -167,6 +294,9 @@ export class MonitorEndpoint {
         failed: streamStats.errorStreams
       },
       activeStreams: streamStats.activeStreamDetails,
+      activeStreamsByKey: Object.fromEntries(
+        Array.from(this.streamHandler.getActiveStreamCounts(), ([key, count]) => [`...${key.slice(-4)}`, count])
+      ),
       performance: {
         averageDuration: monitoring.streams.averageDuration
       }
@@ -313,6 +443,18 @@ export class MonitorEndpoint {
             <p>包括健康状态、错误统计、权重分布等信息</p>
         </div>
 
+        <div class="endpoint">
+            <h3><span class="method">GET</span> 密钥配置</h3>
+            <p><span class="url">/monitor/config</span> - 查看密钥列表的校验警告和生效的配置</p>
+            <p>按密钥池列出被规范化、合并或拒绝的条目（已脱敏）；需携带 ADMIN_TOKEN</p>
+        </div>
+
+        <div class="endpoint">
+            <h3><span class="method">GET</span> Token 用量</h3>
+            <p><span class="url">/monitor/usage</span> - 按调用方和模型汇总的 Token 用量</p>
+            <p>支持 period=day|month、from、to、client 参数，以及 JSON 和 CSV（format=csv）格式输出；需携带 ADMIN_TOKEN</p>
+        </div>
+
         <div class="endpoint">
             <h3><span class="method">GET</span> 流状态</h3>
             <p><span class="url">/monitor/streams</span> - 监控流式响应的状态</p>
@@ -2,6 +2,7 @@
 //Project: https://github.com/muskke/gemini-balance-edge
 //MIT License : https://github.com/muskke/gemini-balance-edge/blob/main/LICENSE
 import { logger, redactHeaders } from "./logger.mjs";
+import { evaluatePolicy } from "./policy.js";
 
 export default {
   async fetch (request) {
@@ -44,6 +45,40 @@ export default {
   }
 };
 
+/**
+ * 在转发前按客户端策略检查 OpenAI 兼容请求（见 policy.js）
+ * @param {Object|null} policy - 客户端策略
+ * @param {Object} request
+ * @param {string} request.pathname
+ * @param {Object|null} request.body - 已解析的 JSON 请求体
+ * @param {number} [request.bodyBytes=0]
+ * @param {string[]|null} [request.allowModels] - 令牌自身允许的模型
+ * @returns {{response: Response|null, body: Object|null}} 违反策略时 response 为 OpenAI 格式的 403；
+ *   body 为补上输出与思考上限后的请求体，未修改时为 null
+ */
+export function enforcePolicy(policy, { pathname, body, bodyBytes = 0, allowModels = null }) {
+  const { violation, body: capped } = evaluatePolicy(policy, {
+    format: "openai",
+    model: typeof body?.model === "string" ? body.model : null,
+    body,
+    bodyBytes,
+    generation: pathname.endsWith("/chat/completions"),
+    allowModels,
+  });
+  if (!violation) {
+    return { response: null, body: capped };
+  }
+  logger.warn(`Request rejected by client policy: ${violation.message}`);
+  const error = { message: violation.message, type: "permission_error", param: violation.param, code: violation.code };
+  return {
+    response: new Response(JSON.stringify({ error }), fixCors({
+      status: 403,
+      headers: { "Content-Type": "application/json" },
+    })),
+    body: null,
+  };
+}
+
 class HttpError extends Error {
   constructor(message, status) {
     super(message);
@@ -193,13 +228,14 @@ async function handleCompletions(request) {
           const model = requestBody.model || "gemini";
           const normalized = normalizeOpenAIChatResponse(data, model);
           const payload = normalized.ok ? normalized.data : data;
-          controller.enqueue(JSON.stringify(payload));
+          // 响应体必须是字节流：写入字符串时 Node/undici 读取（含 response.clone().json() 统计用量）会抛出非 Uint8Array 分片错误
+          controller.enqueue(new TextEncoder().encode(JSON.stringify(payload)));
         } catch (e) {
           logger.error("JSON aggregation/normalization failed", e);
           // 尽最大努力返回合并文本，保底为原始内容
           try {
             const merged = __concatUint8Arrays(__chunks);
-            controller.enqueue(new TextDecoder().decode(merged));
+            controller.enqueue(merged);
           } catch (_) {
             // 若仍失败，不再输出内容以避免破碎响应
           }
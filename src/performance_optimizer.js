@@ -218,41 +218,6 @@ export class PerformanceOptimizer {
     return metrics;
   }
 
-  /**
-   * 优化密钥选择
-   * @param {Array} keys - 密钥列表
-   * @param {Object} context - 上下文
-   * @returns {string|null}
-   */
-  optimizeKeySelection(keys, context = {}) {
-    if (!keys || keys.length === 0) {
-      return null;
-    }
-
-    // 使用缓存的状态信息
-    const keyStatuses = keys.map(key => {
-      const cached = this.keyCache.getKeyStatus(key);
-      return {
-        key,
-        status: cached || { healthy: true, weight: 1, lastUsed: 0 }
-      };
-    });
-
-    // 按健康状态和权重排序
-    const sortedKeys = keyStatuses
-      .filter(ks => ks.status.healthy)
-      .sort((a, b) => {
-        // 优先选择权重高的
-        if (b.status.weight !== a.status.weight) {
-          return b.status.weight - a.status.weight;
-        }
-        // 然后选择最近使用时间早的
-        return a.status.lastUsed - b.status.lastUsed;
-      });
-
-    return sortedKeys.length > 0 ? sortedKeys[0].key : keys[0];
-  }
-
   /**
    * 清理资源
    */
@@ -0,0 +1,251 @@
+/**
+ * 客户端策略
+ * 按客户端令牌限制可用的模型与请求参数，handleRequest（原生路由）与 openai.mjs（OpenAI 兼容路由）在转发前检查。
+ *
+ * 策略通过 CLIENT_POLICIES 环境变量（JSON 对象，名称 -> 策略）定义，令牌记录的 policy 字段引用策略名称；
+ * 名为 default 的策略作用于没有指定策略的请求（包括客户端自带密钥的请求）：
+ *   {
+ *     "intern": {
+ *       "allowModels": ["gemini-2.5-flash*"],   // 允许的模型（支持 * 通配），未设置表示不限制
+ *       "denyModels": ["*-pro*"],               // 禁止的模型，优先于 allowModels
+ *       "maxOutputTokens": 4096,                // 输出 Token 上限
+ *       "maxThinkingBudget": 1024,              // 思考预算上限
+ *       "blockedTools": ["codeExecution"],      // 禁止的工具，如 codeExecution、googleSearch、urlContext、functionDeclarations
+ *       "maxBodyBytes": 1048576                 // 请求体大小上限（字节）
+ *     }
+ *   }
+ *
+ * 请求未设置 maxOutputTokens / thinkingBudget 时按上限补上，否则模型默认值可能远超上限。
+ */
+
+import { logger as defaultLogger } from './logger.mjs';
+import { matchGlob } from './utils.js';
+import { QuotaTracker } from './quota_tracker.js';
+
+// OpenAI 兼容接口的 reasoning_effort 对应的思考预算（与 Gemini 文档一致）
+const REASONING_EFFORT_BUDGETS = { none: 0, minimal: 0, low: 1024, medium: 8192, high: 24576 };
+
+export const PolicyViolationCode = {
+  BODY_TOO_LARGE: 'body_too_large',
+  MODEL_NOT_ALLOWED: 'model_not_allowed',
+  TOOL_BLOCKED: 'tool_blocked',
+  MAX_OUTPUT_TOKENS_EXCEEDED: 'max_output_tokens_exceeded',
+  THINKING_BUDGET_EXCEEDED: 'thinking_budget_exceeded'
+};
+
+/**
+ * 解析 CLIENT_POLICIES，格式错误的策略记录警告后跳过
+ * @param {string} [json]
+ * @param {Object} [logger]
+ * @returns {Object<string, Object>} 策略名称 -> 策略
+ */
+export function parsePolicies(json, logger = defaultLogger) {
+  if (!json) return {};
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (error) {
+    logger.warn('CLIENT_POLICIES 不是合法的 JSON，已忽略:', error.message);
+    return {};
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    logger.warn('CLIENT_POLICIES 应为 JSON 对象（策略名称 -> 策略），已忽略');
+    return {};
+  }
+
+  const policies = {};
+  for (const [name, spec] of Object.entries(raw)) {
+    const error = validatePolicy(spec);
+    if (error) {
+      logger.warn(`CLIENT_POLICIES 中的策略 ${name} 无效（${error}），已跳过`);
+      continue;
+    }
+    policies[name] = {
+      name,
+      allowModels: spec.allowModels ?? null,
+      denyModels: spec.denyModels ?? [],
+      maxOutputTokens: spec.maxOutputTokens ?? null,
+      maxThinkingBudget: spec.maxThinkingBudget ?? null,
+      blockedTools: (spec.blockedTools ?? []).map(toCamelCase),
+      maxBodyBytes: spec.maxBodyBytes ?? null
+    };
+  }
+  logger.info(`已加载 ${Object.keys(policies).length} 个客户端策略`);
+  return policies;
+}
+
+/**
+ * 校验策略字段
+ * @private
+ * @returns {string|null} 错误描述
+ */
+function validatePolicy(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return 'expected an object';
+  for (const field of ['allowModels', 'denyModels', 'blockedTools']) {
+    if (spec[field] != null && !(Array.isArray(spec[field]) && spec[field].every(v => typeof v === 'string'))) {
+      return `${field} must be an array of strings`;
+    }
+  }
+  for (const field of ['maxOutputTokens', 'maxThinkingBudget', 'maxBodyBytes']) {
+    if (spec[field] != null && !(Number.isInteger(spec[field]) && spec[field] >= 0)) {
+      return `${field} must be a non-negative integer`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 检查请求是否符合策略
+ * @param {Object|null} policy - parsePolicies() 返回的策略，null 表示不限制
+ * @param {Object} request
+ * @param {'gemini'|'openai'} request.format - 请求体格式
+ * @param {string|null} request.model
+ * @param {Object|null} request.body - 已解析的 JSON 请求体
+ * @param {number} [request.bodyBytes=0] - 请求体大小
+ * @param {boolean} [request.generation=false] - 是否为生成请求（只有生成请求需要补上输出与思考上限）
+ * @param {string[]|null} [request.allowModels] - 令牌自身允许的模型（签名令牌的 models 声明，见 signed_token.js），与策略同时生效
+ * @returns {{violation: {code: string, param: string|null, message: string}|null, body: Object|null}}
+ *   body 为补上上限后的请求体，未修改时为 null
+ */
+export function evaluatePolicy(policy, { format, model, body, bodyBytes = 0, generation = false, allowModels = null }) {
+  const result = { violation: null, body: null };
+  if (allowModels && model) {
+    const name = QuotaTracker.normalizeModel(model);
+    if (!allowModels.some(pattern => matchGlob(pattern, name))) {
+      return { ...result, violation: { code: PolicyViolationCode.MODEL_NOT_ALLOWED, param: 'model', message: `Model "${name}" is not allowed for this token` } };
+    }
+  }
+  if (!policy) return result;
+
+  const violate = (code, param, message) => ({ ...result, violation: { code, param, message: `${message} (policy "${policy.name}")` } });
+
+  if (policy.maxBodyBytes != null && bodyBytes > policy.maxBodyBytes) {
+    return violate(PolicyViolationCode.BODY_TOO_LARGE, null, `Request body is ${bodyBytes} bytes, larger than the allowed ${policy.maxBodyBytes} bytes`);
+  }
+
+  if (model) {
+    const name = QuotaTracker.normalizeModel(model);
+    const denied = policy.denyModels.some(pattern => matchGlob(pattern, name));
+    const allowed = !policy.allowModels || policy.allowModels.some(pattern => matchGlob(pattern, name));
+    if (denied || !allowed) {
+      return violate(PolicyViolationCode.MODEL_NOT_ALLOWED, 'model', `Model "${name}" is not allowed`);
+    }
+  }
+
+  if (!body || typeof body !== 'object') return result;
+  const fields = format === 'openai' ? inspectOpenAIBody(body) : inspectGeminiBody(body);
+
+  const blocked = fields.tools.find(tool => policy.blockedTools.includes(tool));
+  if (blocked) {
+    return violate(PolicyViolationCode.TOOL_BLOCKED, 'tools', `Tool "${blocked}" is not allowed`);
+  }
+  if (policy.maxOutputTokens != null && fields.maxOutputTokens != null && fields.maxOutputTokens > policy.maxOutputTokens) {
+    return violate(PolicyViolationCode.MAX_OUTPUT_TOKENS_EXCEEDED, fields.maxOutputTokensParam,
+      `${fields.maxOutputTokensParam} ${fields.maxOutputTokens} exceeds the allowed ${policy.maxOutputTokens}`);
+  }
+  if (policy.maxThinkingBudget != null && fields.thinkingBudget != null &&
+      (fields.thinkingBudget < 0 || fields.thinkingBudget > policy.maxThinkingBudget)) {
+    let requested = fields.thinkingBudget < 0 ? `${fields.thinkingBudget} (dynamic thinking)` : fields.thinkingBudget;
+    if (fields.thinkingBudgetParam === 'reasoning_effort') requested = `"${body.reasoning_effort}" (${fields.thinkingBudget} thinking tokens)`;
+    return violate(PolicyViolationCode.THINKING_BUDGET_EXCEEDED, fields.thinkingBudgetParam,
+      `${fields.thinkingBudgetParam} ${requested} exceeds the allowed ${policy.maxThinkingBudget}`);
+  }
+
+  if (generation) {
+    const capped = structuredClone(body);
+    const changed = format === 'openai' ? capOpenAIBody(capped, fields, policy) : capGeminiBody(capped, fields, policy);
+    if (changed) result.body = capped;
+  }
+  return result;
+}
+
+/**
+ * 提取原生请求的工具、输出与思考参数（同时接受 camelCase 与 snake_case）
+ * @private
+ */
+function inspectGeminiBody(body) {
+  const config = body.generationConfig ?? body.generation_config ?? {};
+  const thinking = config.thinkingConfig ?? config.thinking_config ?? {};
+  const tools = Array.isArray(body.tools) ? body.tools.flatMap(tool => Object.keys(tool ?? {}).map(toCamelCase)) : [];
+  return {
+    tools,
+    maxOutputTokens: config.maxOutputTokens ?? config.max_output_tokens ?? null,
+    maxOutputTokensParam: 'generationConfig.maxOutputTokens',
+    thinkingBudget: thinking.thinkingBudget ?? thinking.thinking_budget ?? null,
+    thinkingBudgetParam: 'generationConfig.thinkingConfig.thinkingBudget'
+  };
+}
+
+/**
+ * 提取 OpenAI 兼容请求的工具、输出与思考参数
+ * @private
+ */
+function inspectOpenAIBody(body) {
+  const tools = Array.isArray(body.tools)
+    ? body.tools.map(tool => (tool?.type === 'function' ? 'functionDeclarations' : toCamelCase(tool?.type || '')))
+    : [];
+  const thinking = body.extra_body?.google?.thinking_config ?? body.google?.thinking_config ?? {};
+  let thinkingBudget = thinking.thinking_budget ?? null;
+  let thinkingBudgetParam = 'thinking_budget';
+  if (thinkingBudget == null && body.reasoning_effort != null) {
+    thinkingBudget = REASONING_EFFORT_BUDGETS[body.reasoning_effort] ?? null;
+    thinkingBudgetParam = 'reasoning_effort';
+  }
+  const maxOutputTokensParam = body.max_completion_tokens != null ? 'max_completion_tokens' : 'max_tokens';
+  return {
+    tools,
+    maxOutputTokens: body[maxOutputTokensParam] ?? null,
+    maxOutputTokensParam,
+    thinkingBudget,
+    thinkingBudgetParam
+  };
+}
+
+/**
+ * 为原生请求补上未设置的输出与思考上限
+ * @private
+ * @returns {boolean} 是否修改
+ */
+function capGeminiBody(body, fields, policy) {
+  const capOutput = policy.maxOutputTokens != null && fields.maxOutputTokens == null;
+  const capThinking = policy.maxThinkingBudget != null && fields.thinkingBudget == null;
+  if (!capOutput && !capThinking) return false;
+
+  const config = { ...(body.generationConfig ?? body.generation_config) };
+  if (capOutput) config.maxOutputTokens = policy.maxOutputTokens;
+  if (capThinking) {
+    const thinking = config.thinkingConfig ?? config.thinking_config;
+    delete config.thinking_config;
+    config.thinkingConfig = { ...thinking, thinkingBudget: policy.maxThinkingBudget };
+  }
+  delete body.generation_config;
+  body.generationConfig = config;
+  return true;
+}
+
+/**
+ * 为 OpenAI 兼容请求补上未设置的输出与思考上限
+ * @private
+ * @returns {boolean} 是否修改
+ */
+function capOpenAIBody(body, fields, policy) {
+  let changed = false;
+  if (policy.maxOutputTokens != null && fields.maxOutputTokens == null) {
+    body.max_tokens = policy.maxOutputTokens;
+    changed = true;
+  }
+  // reasoning_effort 与 thinking_budget 不能同时设置
+  if (policy.maxThinkingBudget != null && fields.thinkingBudget == null && body.reasoning_effort == null) {
+    const google = body.extra_body?.google ?? {};
+    body.extra_body = {
+      ...body.extra_body,
+      google: { ...google, thinking_config: { ...google.thinking_config, thinking_budget: policy.maxThinkingBudget } }
+    };
+    changed = true;
+  }
+  return changed;
+}
+
+function toCamelCase(name) {
+  return name.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
@@ -0,0 +1,237 @@
+/**
+ * 配额跟踪器
+ * 按密钥、按模型统计请求数与 Token 用量，在超出 RPM/TPM/RPD 限额前提前规避
+ */
+
+import { logger as defaultLogger } from './logger.mjs';
+import { matchGlob } from './utils.js';
+
+const MINUTE_MS = 60000;
+
+export class QuotaTracker {
+  /**
+   * @param {Object} config - KEY_MANAGER_CONFIG.quota
+   * @param {Object} logger - 日志记录器
+   */
+  constructor(config, logger = defaultLogger) {
+    this.config = config;
+    this.logger = logger;
+    this.usage = new Map(); // apiKey -> Map(model -> 使用记录)
+    this.dayFormatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: config.dailyResetTimeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+    this.clockFormatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: config.dailyResetTimeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+
+  /**
+   * 规范化模型名，去掉 "models/" 前缀
+   * @param {string} model
+   * @returns {string}
+   */
+  static normalizeModel(model) {
+    return (model || 'unknown').replace(/^models\//, '');
+  }
+
+  /**
+   * 获取模型对应的限额
+   * @param {string} model
+   * @returns {{rpm: number, tpm: number, rpd: number}}
+   */
+  getLimits(model) {
+    const name = QuotaTracker.normalizeModel(model);
+    const rule = this.config.limits.find(r => matchGlob(r.model, name));
+    return {
+      rpm: rule?.rpm || 0,
+      tpm: rule?.tpm || 0,
+      rpd: rule?.rpd || 0
+    };
+  }
+
+  /**
+   * 当前配额日（太平洋时间日期）
+   * @param {number} now
+   * @returns {string} YYYY-MM-DD
+   */
+  _quotaDay(now) {
+    return this.dayFormatter.format(now);
+  }
+
+  /**
+   * 某一时刻在重置时区相对 UTC 的偏移毫秒数（夏令时期间会变化）
+   * @param {number} time
+   * @returns {number}
+   */
+  _zoneOffset(time) {
+    const parts = this.clockFormatter.formatToParts(time);
+    const get = type => parseInt(parts.find(p => p.type === type)?.value || '0', 10);
+    const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return wallClock - (time - (time % 1000));
+  }
+
+  /**
+   * 距离下一次每日配额重置（太平洋时间零点）的毫秒数
+   * 按目标日零点的实际时区偏移计算，夏令时切换当天为 23 或 25 小时
+   * @param {number} [now]
+   * @returns {number}
+   */
+  msUntilDailyReset(now = Date.now()) {
+    const [year, month, day] = this._quotaDay(now).split('-').map(Number);
+    const nextMidnight = Date.UTC(year, month - 1, day + 1);
+    // 先按当前偏移估算，再用估算时刻的偏移修正一次
+    const guess = nextMidnight - this._zoneOffset(now);
+    return nextMidnight - this._zoneOffset(guess) - now;
+  }
+
+  /**
+   * 获取（并清理）密钥在某个模型上的使用记录
+   * @private
+   */
+  _getRecord(apiKey, model, now = Date.now()) {
+    const name = QuotaTracker.normalizeModel(model);
+    let byModel = this.usage.get(apiKey);
+    if (!byModel) {
+      byModel = new Map();
+      this.usage.set(apiKey, byModel);
+    }
+
+    let record = byModel.get(name);
+    if (!record) {
+      record = { requests: [], tokens: [], day: this._quotaDay(now), dayRequests: 0 };
+      byModel.set(name, record);
+    }
+
+    // 滑动窗口：只保留最近一分钟的记录
+    const windowStart = now - MINUTE_MS;
+    while (record.requests.length > 0 && record.requests[0] <= windowStart) {
+      record.requests.shift();
+    }
+    while (record.tokens.length > 0 && record.tokens[0].timestamp <= windowStart) {
+      record.tokens.shift();
+    }
+
+    // 跨过太平洋时间零点后重置每日计数
+    const day = this._quotaDay(now);
+    if (record.day !== day) {
+      record.day = day;
+      record.dayRequests = 0;
+    }
+
+    return record;
+  }
+
+  /**
+   * 判断密钥在该模型上是否还能承接一次请求
+   * @param {string} apiKey
+   * @param {string} model
+   * @param {number} estimatedTokens - 本次请求预估消耗的 Token 数
+   * @returns {boolean}
+   */
+  canAccept(apiKey, model, estimatedTokens = 0) {
+    if (!this.config.enabled || !model) return true;
+
+    const limits = this.getLimits(model);
+    const record = this._getRecord(apiKey, model);
+
+    if (limits.rpm && record.requests.length >= limits.rpm) return false;
+    if (limits.rpd && record.dayRequests >= limits.rpd) return false;
+    if (limits.tpm) {
+      const usedTokens = record.tokens.reduce((sum, t) => sum + t.count, 0);
+      if (usedTokens + estimatedTokens > limits.tpm) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 计算密钥在该模型上还需等待多久才能承接一次请求
+   * @param {string} apiKey
+   * @param {string} model
+   * @param {number} estimatedTokens
+   * @param {number} [now]
+   * @returns {number} 毫秒数，当前即可承接时为 0
+   */
+  msUntilAvailable(apiKey, model, estimatedTokens = 0, now = Date.now()) {
+    if (!this.config.enabled || !model) return 0;
+
+    const limits = this.getLimits(model);
+    const record = this._getRecord(apiKey, model, now);
+    let wait = 0;
+
+    if (limits.rpd && record.dayRequests >= limits.rpd) {
+      return this.msUntilDailyReset(now);
+    }
+    if (limits.rpm && record.requests.length >= limits.rpm) {
+      // 窗口内最早的请求滑出后才有空位
+      wait = Math.max(wait, record.requests[record.requests.length - limits.rpm] + MINUTE_MS - now);
+    }
+    if (limits.tpm) {
+      let usedTokens = record.tokens.reduce((sum, t) => sum + t.count, 0);
+      for (const entry of record.tokens) {
+        if (usedTokens + estimatedTokens <= limits.tpm) break;
+        usedTokens -= entry.count;
+        wait = Math.max(wait, entry.timestamp + MINUTE_MS - now);
+      }
+    }
+    return wait;
+  }
+
+  /**
+   * 记录一次发往上游的请求
+   * @param {string} apiKey
+   * @param {string} model
+   */
+  recordRequest(apiKey, model) {
+    if (!this.config.enabled || !model) return;
+    const now = Date.now();
+    const record = this._getRecord(apiKey, model, now);
+    record.requests.push(now);
+    record.dayRequests++;
+  }
+
+  /**
+   * 记录一次请求实际消耗的 Token（来自 usageMetadata）
+   * @param {string} apiKey
+   * @param {string} model
+   * @param {number} count
+   */
+  recordTokens(apiKey, model, count) {
+    if (!this.config.enabled || !model || !count) return;
+    const now = Date.now();
+    const record = this._getRecord(apiKey, model, now);
+    record.tokens.push({ timestamp: now, count });
+    this.logger.debug(`配额记录：密钥 ...${apiKey.slice(-4)} 模型 ${QuotaTracker.normalizeModel(model)} 消耗 ${count} tokens`);
+  }
+
+  /**
+   * 获取密钥各模型的当前用量
+   * @param {string} apiKey
+   * @returns {Object} model -> { rpm, tpm, rpd, limits }
+   */
+  getUsage(apiKey) {
+    const byModel = this.usage.get(apiKey);
+    if (!byModel) return {};
+
+    const result = {};
+    for (const model of byModel.keys()) {
+      const record = this._getRecord(apiKey, model);
+      result[model] = {
+        rpm: record.requests.length,
+        tpm: record.tokens.reduce((sum, t) => sum + t.count, 0),
+        rpd: record.dayRequests,
+        limits: this.getLimits(model)
+      };
+    }
+    return result;
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * 客户端限流
+ * 按客户端令牌（租户）和客户端 IP 分别限制每分钟请求数（RPM）与预估 Token 数（TPM），
+ * 使用令牌桶算法：桶容量为每分钟上限，按 容量/60秒 的速率匀速补充，允许短时突发。
+ *
+ * 桶状态保存在状态存储（见 storage.js）中，使用共享存储（Upstash、Deno KV 等）时限额在多个实例之间生效；
+ * 读改写不是原子操作，高并发下可能略微超出上限。
+ */
+
+import { logger as defaultLogger } from './logger.mjs';
+
+const WINDOW_MS = 60000;
+// 桶状态的保留时间：超过一个窗口未访问的桶已补满，过期即可
+const BUCKET_TTL_MS = 2 * WINDOW_MS;
+
+export class ClientRateLimiter {
+  /**
+   * @param {Object} config - KEY_MANAGER_CONFIG.clientRateLimit
+   * @param {Object} [logger]
+   */
+  constructor(config, logger = defaultLogger) {
+    this.config = config;
+    this.logger = logger;
+    this.storage = null;
+  }
+
+  /**
+   * 挂载状态存储；未挂载时不限流
+   * @param {Object} storage
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * 检查请求是否超出限额；所有桶都允许时才扣减
+   * @param {Object} params
+   * @param {Object|null} params.tenant - 租户，可带 limits: { rpm, tpm } 覆盖默认的 perToken 限额
+   * @param {string|null} params.ip - 客户端 IP
+   * @param {number} [params.estimatedTokens=0] - 预估的输入 Token 数
+   * @returns {Promise<{allowed: boolean, scope: string|null, retryAfterMs: number, limits: Object}>}
+   *   limits 为限制最严的请求桶与 Token 桶：{ requests: {limit, remaining, resetMs}, tokens: {...} }
+   */
+  async check({ tenant, ip, estimatedTokens = 0 }) {
+    const result = { allowed: true, scope: null, retryAfterMs: 0, limits: {} };
+    const buckets = this._buckets(tenant, ip, estimatedTokens);
+    if (!this.storage || buckets.length === 0) return result;
+
+    const now = Date.now();
+    const states = await Promise.all(buckets.map(bucket => this._load(bucket, now)));
+
+    for (const [index, bucket] of buckets.entries()) {
+      const state = states[index];
+      if (state.tokens < bucket.cost) {
+        const retryAfterMs = Math.ceil((bucket.cost - state.tokens) / bucket.capacity * WINDOW_MS);
+        if (retryAfterMs > result.retryAfterMs) {
+          result.allowed = false;
+          result.scope = bucket.scope;
+          result.retryAfterMs = retryAfterMs;
+        }
+      }
+    }
+
+    if (result.allowed) {
+      for (const state of states) state.tokens -= state.bucket.cost;
+      await Promise.all(states.map(state => this._save(state, now)));
+    } else {
+      this.logger.warn(`客户端超出 ${result.scope} 限额，${result.retryAfterMs}ms 后可重试`);
+    }
+
+    for (const state of states) {
+      const { unit, capacity } = state.bucket;
+      const remaining = Math.max(0, Math.floor(state.tokens));
+      const current = result.limits[unit];
+      if (!current || remaining < current.remaining) {
+        result.limits[unit] = {
+          limit: capacity,
+          remaining,
+          resetMs: Math.ceil((capacity - state.tokens) / capacity * WINDOW_MS)
+        };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 本次请求涉及的令牌桶；上限为 0 的维度不限制
+   * @private
+   */
+  _buckets(tenant, ip, estimatedTokens) {
+    const scopes = [];
+    if (tenant) {
+      scopes.push({ scope: `token:${tenant.id}`, limits: { ...this.config.perToken, ...tenant.limits } });
+    }
+    if (ip) {
+      scopes.push({ scope: `ip:${ip}`, limits: this.config.perIp });
+    }
+
+    const buckets = [];
+    for (const { scope, limits } of scopes) {
+      if (limits.rpm > 0) {
+        buckets.push({ scope, unit: 'requests', capacity: limits.rpm, cost: 1 });
+      }
+      if (limits.tpm > 0) {
+        // 单个请求的预估 Token 超过桶容量时按容量计，否则该请求永远无法通过
+        buckets.push({ scope, unit: 'tokens', capacity: limits.tpm, cost: Math.min(estimatedTokens, limits.tpm) });
+      }
+    }
+    return buckets;
+  }
+
+  /**
+   * 读取桶状态并按经过的时间补充
+   * @private
+   */
+  async _load(bucket, now) {
+    let saved = null;
+    try {
+      saved = await this.storage.get(bucketKey(bucket));
+    } catch (error) {
+      this.logger.warn('读取限流状态失败，按满桶处理:', error.message);
+    }
+    // 容量调小后，已保存的余量不超过新容量
+    let tokens = bucket.capacity;
+    if (saved && typeof saved.tokens === 'number') {
+      const refill = (now - saved.updatedAt) / WINDOW_MS * bucket.capacity;
+      tokens = Math.min(bucket.capacity, saved.tokens + refill);
+    }
+    return { bucket, tokens };
+  }
+
+  /**
+   * 保存桶状态，写入失败只记录警告
+   * @private
+   */
+  async _save({ bucket, tokens }, now) {
+    try {
+      await this.storage.set(bucketKey(bucket), { tokens, updatedAt: now }, { ttl: BUCKET_TTL_MS });
+    } catch (error) {
+      this.logger.warn('保存限流状态失败:', error.message);
+    }
+  }
+}
+
+/**
+ * 从请求头中取客户端 IP（依次尝试各平台的请求头）
+ * @param {Headers} headers
+ * @returns {string|null}
+ */
+export function getClientIp(headers) {
+  const ip = headers.get('cf-connecting-ip') ||
+    headers.get('x-real-ip') ||
+    headers.get('x-forwarded-for')?.split(',')[0] ||
+    headers.get('x-nf-client-connection-ip');
+  return ip?.trim() || null;
+}
+
+/**
+ * 限流响应头（x-ratelimit-* 与 OpenAI 的命名一致）
+ * @param {Object} result - check() 的返回值
+ * @returns {Object<string, string>}
+ */
+export function rateLimitHeaders(result) {
+  const headers = {};
+  if (!result.allowed) {
+    headers['Retry-After'] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+  }
+  for (const [unit, { limit, remaining, resetMs }] of Object.entries(result.limits)) {
+    headers[`x-ratelimit-limit-${unit}`] = String(limit);
+    headers[`x-ratelimit-remaining-${unit}`] = String(remaining);
+    headers[`x-ratelimit-reset-${unit}`] = `${Math.max(0, Math.ceil(resetMs / 1000))}s`;
+  }
+  return headers;
+}
+
+function bucketKey(bucket) {
+  return `ratelimit:${bucket.scope}:${bucket.unit}`;
+}
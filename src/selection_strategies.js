@@ -0,0 +1,180 @@
+/**
+ * 密钥选择策略
+ * KeyManager.selectKey 先按禁用、排除、熔断、冷却、配额与分组过滤出候选密钥，再交给策略选出一个。
+ *
+ * 策略接口：
+ *   select(keys, context) -> string|null   keys 为过滤后的密钥对象（非空），context 为 { model, estimatedTokens }
+ *   onSuccess(apiKey)     -> void          可选，请求成功后调用
+ *   reset()               -> void          可选，全局重置时调用，清理策略内部状态
+ *
+ * 策略可以在密钥对象上读取 originalWeight、currentWeight、inFlight、errorCount 等字段。
+ *
+ * 通过 KEY_SELECTION_STRATEGY（或 selection.strategy）按名称选择，
+ * 也可以用 registerSelectionStrategy() 注册自定义策略。
+ */
+
+/**
+ * 平滑加权轮询（SWRR，默认）
+ * 每次选择时所有候选密钥的 currentWeight 加上各自权重，选出 currentWeight 最大者并减去总权重，
+ * 使高权重密钥的请求均匀穿插在其他密钥之间，而不是连续集中
+ */
+export class SmoothWeightedRoundRobinStrategy {
+  constructor() {
+    this.name = 'swrr';
+  }
+
+  select(keys) {
+    let totalWeight = 0;
+    let best = null;
+    for (const keyObj of keys) {
+      keyObj.currentWeight += keyObj.originalWeight;
+      totalWeight += keyObj.originalWeight;
+      if (!best || keyObj.currentWeight > best.currentWeight) {
+        best = keyObj;
+      }
+    }
+    best.currentWeight -= totalWeight;
+    return best.key;
+  }
+}
+
+/**
+ * 加权随机：按权重比例随机选择，无需维护轮转状态，适合多实例部署
+ */
+export class RandomWeightedStrategy {
+  constructor() {
+    this.name = 'random-weighted';
+  }
+
+  select(keys) {
+    const totalWeight = keys.reduce((sum, k) => sum + k.originalWeight, 0);
+    let point = Math.random() * totalWeight;
+    for (const keyObj of keys) {
+      point -= keyObj.originalWeight;
+      if (point < 0) return keyObj.key;
+    }
+    return keys[keys.length - 1].key;
+  }
+}
+
+/**
+ * 最少进行中请求：按权重归一化的负载（进行中请求数 / 权重）选择最空闲的密钥，相同时按平滑加权轮询。
+ * 流式响应在结束前一直计入进行中请求，长时间的流不会继续堆积在同一个密钥上
+ */
+export class LeastInFlightStrategy {
+  constructor() {
+    this.name = 'least-in-flight';
+    this.tieBreaker = new SmoothWeightedRoundRobinStrategy();
+  }
+
+  select(keys) {
+    const load = k => (k.inFlight || 0) / Math.max(k.originalWeight, 1e-6);
+    const minLoad = Math.min(...keys.map(load));
+    return this.tieBreaker.select(keys.filter(k => load(k) === minLoad));
+  }
+}
+
+/**
+ * 粘性复用：在有效期内以一定概率复用最近一次成功的密钥，其余情况回退到加权轮询
+ */
+export class StickyLastSuccessStrategy {
+  /**
+   * @param {Object} config - KEY_MANAGER_CONFIG.selection.sticky
+   */
+  constructor(config) {
+    this.name = 'sticky';
+    this.config = config;
+    this.fallback = new SmoothWeightedRoundRobinStrategy();
+    this.lastSuccessfulKey = null;
+    this.lastSuccessAt = 0;
+  }
+
+  select(keys) {
+    const fresh = this.lastSuccessfulKey && Date.now() - this.lastSuccessAt <= this.config.ttlMs;
+    if (fresh && Math.random() < this.config.reuseProbability && keys.some(k => k.key === this.lastSuccessfulKey)) {
+      return this.lastSuccessfulKey;
+    }
+    return this.fallback.select(keys);
+  }
+
+  onSuccess(apiKey) {
+    this.lastSuccessfulKey = apiKey;
+    this.lastSuccessAt = Date.now();
+  }
+
+  reset() {
+    this.lastSuccessfulKey = null;
+  }
+}
+
+/**
+ * 智能选择：避开最近出过错的密钥，并优先选择累计错误最少的密钥
+ */
+export class SmartStrategy {
+  /**
+   * @param {Object} config - KEY_MANAGER_CONFIG.selection.smart
+   */
+  constructor(config) {
+    this.name = 'smart';
+    this.config = config;
+    this.tieBreaker = new SmoothWeightedRoundRobinStrategy();
+  }
+
+  select(keys) {
+    const recentErrorThreshold = Date.now() - this.config.recentErrorWindowMs;
+    const stable = keys.filter(k => !k.lastErrorCode || (k.last_error_at ?? k.last_checked) < recentErrorThreshold);
+    const pool = stable.length > 0 ? stable : keys;
+    const minErrors = Math.min(...pool.map(k => k.errorCount));
+    return this.tieBreaker.select(pool.filter(k => k.errorCount === minErrors));
+  }
+}
+
+/**
+ * 延迟感知：按延迟与错误率的 EWMA 选择，见 latency_tracker.js
+ */
+export class LatencyAwareStrategy {
+  /**
+   * @param {import('./latency_tracker.js').LatencyTracker} latencyTracker
+   */
+  constructor(latencyTracker) {
+    this.name = 'latency';
+    this.latencyTracker = latencyTracker;
+  }
+
+  select(keys) {
+    return this.latencyTracker.select(keys);
+  }
+}
+
+const strategyFactories = new Map([
+  ['swrr', () => new SmoothWeightedRoundRobinStrategy()],
+  ['random-weighted', () => new RandomWeightedStrategy()],
+  ['least-in-flight', () => new LeastInFlightStrategy()],
+  ['sticky', manager => new StickyLastSuccessStrategy(manager.config.selection.sticky)],
+  ['smart', manager => new SmartStrategy(manager.config.selection.smart)],
+  ['latency', manager => new LatencyAwareStrategy(manager.latencyTracker)]
+]);
+
+/**
+ * 注册自定义选择策略
+ * @param {string} name - 策略名称
+ * @param {(manager: Object) => Object} factory - 根据 KeyManager 创建策略实例
+ */
+export function registerSelectionStrategy(name, factory) {
+  strategyFactories.set(name, factory);
+}
+
+/**
+ * 按名称创建选择策略，未知名称回退到 swrr
+ * @param {string} name
+ * @param {Object} manager - KeyManager 实例
+ * @returns {Object}
+ */
+export function createSelectionStrategy(name, manager) {
+  const factory = strategyFactories.get(name);
+  if (!factory) {
+    manager.logger.warn(`未知的密钥选择策略: ${name}，使用 swrr`);
+    return strategyFactories.get('swrr')(manager);
+  }
+  return factory(manager);
+}
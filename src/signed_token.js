@@ -0,0 +1,164 @@
+/**
+ * 签名客户端令牌（HS256 JWT）
+ * 用 JWT_SECRET 签发的短期令牌可代替共享的 AUTH_TOKEN，不需要重新部署即可发给 CI 任务或外部协作者，过期后自动失效。
+ * 只依赖 WebCrypto（HMAC-SHA256），可在各边缘运行时中使用。
+ *
+ * 支持的声明：
+ *   sub     必填，调用方标识，用作租户名称与限流维度
+ *   exp     必填，过期时间（秒级时间戳）
+ *   nbf     可选，生效时间（秒级时间戳）
+ *   models  可选，允许的模型（支持 * 通配）
+ *   quota   可选，{ rpm, tpm } 该调用方的限流额度（见 rate_limiter.js）
+ *   pool    可选，使用的密钥池（KEY_POOLS 中的名称，默认 default）
+ *   policy  可选，客户端策略名称（CLIENT_POLICIES，见 policy.js）
+ *
+ * 签发：POST /admin/jwt，或 node scripts/mint_token.mjs
+ */
+
+import { timingSafeEqual, toBase64Url, fromBase64Url } from './utils.js';
+
+const ALGORITHM = { name: 'HMAC', hash: 'SHA-256' };
+const CLOCK_SKEW_SECONDS = 30;
+const JWT_PATTERN = /^eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+/**
+ * 判断值是否像 JWT（不校验签名）
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isSignedToken(token) {
+  return typeof token === 'string' && JWT_PATTERN.test(token);
+}
+
+/**
+ * 签发令牌
+ * @param {Object} claims - 至少包含 sub；未指定 exp 时由 ttlSeconds 计算
+ * @param {string} secret - JWT_SECRET
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds=3600] - 有效期（秒）
+ * @returns {Promise<string>}
+ */
+export async function signToken(claims, secret, { ttlSeconds = 3600 } = {}) {
+  if (!secret) throw new Error('JWT_SECRET is not configured');
+  if (typeof claims?.sub !== 'string' || !claims.sub) throw new Error('Claim "sub" is required');
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, exp: now + ttlSeconds, ...claims };
+  const claimError = validateClaims(payload);
+  if (claimError) throw new Error(claimError);
+
+  const signingInput = `${encodeJson({ alg: 'HS256', typ: 'JWT' })}.${encodeJson(payload)}`;
+  const key = await importKey(secret, 'sign');
+  const signature = await crypto.subtle.sign(ALGORITHM, key, new TextEncoder().encode(signingInput));
+  return `${signingInput}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * 校验令牌签名与有效期
+ * @param {string} token
+ * @param {string} secret - JWT_SECRET
+ * @returns {Promise<{claims: Object|null, error: string|null}>} error 为 invalid / expired / not yet valid
+ */
+export async function verifyToken(token, secret) {
+  const invalid = { claims: null, error: 'invalid' };
+  if (!secret || !isSignedToken(token)) return invalid;
+
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  let header, claims, signature;
+  try {
+    header = decodeJson(encodedHeader);
+    claims = decodeJson(encodedPayload);
+    signature = fromBase64Url(encodedSignature);
+  } catch {
+    return invalid;
+  }
+  // 只接受 HS256，拒绝 alg: none 等
+  if (header?.alg !== 'HS256') return invalid;
+
+  const key = await importKey(secret, 'verify');
+  const valid = await crypto.subtle.verify(ALGORITHM, key, signature, new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`));
+  if (!valid || validateClaims(claims)) return invalid;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (now >= claims.exp + CLOCK_SKEW_SECONDS) return { claims: null, error: 'expired' };
+  if (claims.nbf != null && now < claims.nbf - CLOCK_SKEW_SECONDS) return { claims: null, error: 'not yet valid' };
+  return { claims, error: null };
+}
+
+/**
+ * 判断令牌是否为 AUTH_TOKEN 或有效的签名令牌，供 /verify 等只需鉴权、不选择密钥池的入口使用
+ * @param {string} token
+ * @param {Object} options
+ * @param {string} [options.authToken] - AUTH_TOKEN
+ * @param {string} [options.jwtSecret] - JWT_SECRET
+ * @returns {Promise<boolean>}
+ */
+export async function isAuthorizedToken(token, { authToken, jwtSecret }) {
+  if (!token) return false;
+  if (authToken && timingSafeEqual(token, authToken)) return true;
+  if (!jwtSecret || !isSignedToken(token)) return false;
+  return !(await verifyToken(token, jwtSecret)).error;
+}
+
+/**
+ * 把令牌解析为租户，结构与 TokenRegistry.resolve() 相同
+ * @param {string} token
+ * @param {string} secret - JWT_SECRET
+ * @returns {Promise<{tenant: Object|null, error: string|null}>}
+ */
+export async function resolveSignedToken(token, secret) {
+  const { claims, error } = await verifyToken(token, secret);
+  if (error) return { tenant: null, error };
+  const limits = {};
+  if (claims.quota?.rpm != null) limits.rpm = claims.quota.rpm;
+  if (claims.quota?.tpm != null) limits.tpm = claims.quota.tpm;
+  return {
+    tenant: {
+      id: `jwt:${claims.sub}`,
+      name: claims.sub,
+      pool: claims.pool || 'default',
+      limits,
+      policy: claims.policy || null,
+      allowModels: claims.models ?? null
+    },
+    error: null
+  };
+}
+
+/**
+ * 校验声明格式
+ * @private
+ * @returns {string|null} 错误描述
+ */
+function validateClaims(claims) {
+  if (!claims || typeof claims !== 'object') return 'Claims must be an object';
+  if (typeof claims.sub !== 'string' || !claims.sub) return 'Claim "sub" must be a non-empty string';
+  if (!Number.isFinite(claims.exp)) return 'Claim "exp" must be a timestamp in seconds';
+  if (claims.nbf != null && !Number.isFinite(claims.nbf)) return 'Claim "nbf" must be a timestamp in seconds';
+  if (claims.models != null && !(Array.isArray(claims.models) && claims.models.every(m => typeof m === 'string'))) {
+    return 'Claim "models" must be an array of strings';
+  }
+  if (claims.quota != null) {
+    if (typeof claims.quota !== 'object') return 'Claim "quota" must be an object';
+    for (const field of ['rpm', 'tpm']) {
+      const value = claims.quota[field];
+      if (value != null && !(Number.isInteger(value) && value >= 0)) return `Claim "quota.${field}" must be a non-negative integer`;
+    }
+  }
+  for (const field of ['pool', 'policy']) {
+    if (claims[field] != null && typeof claims[field] !== 'string') return `Claim "${field}" must be a string`;
+  }
+  return null;
+}
+
+async function importKey(secret, usage) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), ALGORITHM, false, [usage]);
+}
+
+function encodeJson(value) {
+  return toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+function decodeJson(text) {
+  return JSON.parse(new TextDecoder().decode(fromBase64Url(text)));
+}
+
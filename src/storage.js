@@ -0,0 +1,303 @@
+/**
+ * 状态存储适配器
+ * 为 KeyManager 等模块提供统一的键值存储接口，屏蔽各平台 KV 的差异
+ *
+ * 所有适配器实现相同的异步接口：
+ *   get(key) -> 值或 null
+ *   set(key, value, { ttl }) -> void（ttl 单位毫秒，可选）
+ *   delete(key) -> void
+ * 值均为可 JSON 序列化的对象。
+ */
+
+import { logger } from './logger.mjs';
+
+/**
+ * 内存存储（默认），仅在当前实例生命周期内有效
+ */
+export class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.store = new Map();
+  }
+
+  async get(key) {
+    const item = this.store.get(key);
+    if (!item) return null;
+    if (item.expiresAt && Date.now() > item.expiresAt) {
+      this.store.delete(key);
+      return null;
+    }
+    return item.value;
+  }
+
+  async set(key, value, options = {}) {
+    const { ttl } = options;
+    this.store.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+  }
+
+  async delete(key) {
+    this.store.delete(key);
+  }
+}
+
+/**
+ * Upstash Redis REST 存储，兼容 Vercel KV（KV_REST_API_URL / KV_REST_API_TOKEN）
+ */
+export class UpstashStorage {
+  constructor({ url, token }) {
+    this.name = 'upstash';
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+  }
+
+  /**
+   * 执行一条 Redis 命令
+   * @param {Array<string|number>} command
+   * @returns {Promise<any>}
+   */
+  async _command(command) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(command)
+    });
+    if (!response.ok) {
+      throw new Error(`Upstash command ${command[0]} failed with status ${response.status}`);
+    }
+    const data = await response.json();
+    if (data.error) {
+      throw new Error(`Upstash command ${command[0]} failed: ${data.error}`);
+    }
+    return data.result;
+  }
+
+  async get(key) {
+    const result = await this._command(['GET', key]);
+    return result == null ? null : JSON.parse(result);
+  }
+
+  async set(key, value, options = {}) {
+    const { ttl } = options;
+    const command = ['SET', key, JSON.stringify(value)];
+    if (ttl) command.push('PX', Math.ceil(ttl));
+    await this._command(command);
+  }
+
+  async delete(key) {
+    await this._command(['DEL', key]);
+  }
+}
+
+/**
+ * Deno KV 存储（Deno Deploy 原生支持）
+ */
+export class DenoKvStorage {
+  constructor({ path } = {}) {
+    this.name = 'deno-kv';
+    this.path = path;
+    this.kvPromise = null;
+  }
+
+  _kv() {
+    if (!this.kvPromise) {
+      this.kvPromise = Deno.openKv(this.path);
+    }
+    return this.kvPromise;
+  }
+
+  async get(key) {
+    const kv = await this._kv();
+    const entry = await kv.get(['gbe', key]);
+    return entry.value ?? null;
+  }
+
+  async set(key, value, options = {}) {
+    const { ttl } = options;
+    const kv = await this._kv();
+    await kv.set(['gbe', key], value, ttl ? { expireIn: ttl } : undefined);
+  }
+
+  async delete(key) {
+    const kv = await this._kv();
+    await kv.delete(['gbe', key]);
+  }
+}
+
+/**
+ * Cloudflare Workers KV 存储，需传入 KV 命名空间绑定
+ */
+export class CloudflareKvStorage {
+  constructor({ namespace }) {
+    this.name = 'cloudflare-kv';
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    return await this.namespace.get(key, { type: 'json' });
+  }
+
+  async set(key, value, options = {}) {
+    const { ttl } = options;
+    // Cloudflare KV 的最小过期时间为 60 秒
+    const putOptions = ttl ? { expirationTtl: Math.max(60, Math.ceil(ttl / 1000)) } : undefined;
+    await this.namespace.put(key, JSON.stringify(value), putOptions);
+  }
+
+  async delete(key) {
+    await this.namespace.delete(key);
+  }
+}
+
+/**
+ * 本地 JSON 文件存储（Node.js / Deno 本地运行）
+ * 整个存储保存在单个 JSON 文件中，写操作串行执行
+ */
+export class FileStorage {
+  constructor({ path }) {
+    this.name = 'file';
+    this.path = path;
+    this.data = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async _load() {
+    if (this.data) return this.data;
+    const fs = await import('node:fs/promises');
+    try {
+      this.data = JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`读取状态文件 ${this.path} 失败，将使用空状态:`, error.message);
+      }
+      this.data = {};
+    }
+    return this.data;
+  }
+
+  _flush() {
+    this.writeChain = this.writeChain.then(async () => {
+      const fs = await import('node:fs/promises');
+      const pathModule = await import('node:path');
+      await fs.mkdir(pathModule.dirname(this.path), { recursive: true });
+      const tmpPath = `${this.path}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+      await fs.rename(tmpPath, this.path);
+    }).catch(error => {
+      logger.error(`写入状态文件 ${this.path} 失败:`, error.message);
+    });
+    return this.writeChain;
+  }
+
+  async get(key) {
+    const data = await this._load();
+    const item = data[key];
+    if (!item) return null;
+    if (item.expiresAt && Date.now() > item.expiresAt) {
+      delete data[key];
+      return null;
+    }
+    return item.value;
+  }
+
+  async set(key, value, options = {}) {
+    const { ttl } = options;
+    const data = await this._load();
+    data[key] = { value, expiresAt: ttl ? Date.now() + ttl : null };
+    await this._flush();
+  }
+
+  async delete(key) {
+    const data = await this._load();
+    delete data[key];
+    await this._flush();
+  }
+}
+
+/**
+ * 为存储适配器的所有键添加统一前缀
+ */
+class PrefixedStorage {
+  constructor(storage, prefix) {
+    this.name = storage.name;
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  get(key) {
+    return this.storage.get(this.prefix + key);
+  }
+
+  set(key, value, options) {
+    return this.storage.set(this.prefix + key, value, options);
+  }
+
+  delete(key) {
+    return this.storage.delete(this.prefix + key);
+  }
+}
+
+/**
+ * 根据环境变量创建存储适配器
+ *
+ * STATE_STORAGE 可显式指定 memory | upstash | vercel-kv | deno-kv | cloudflare-kv | file，
+ * 未指定时按以下顺序自动检测：Vercel KV / Upstash 凭据 -> Cloudflare KV 绑定 -> Deno KV -> 内存。
+ *
+ * @param {Object} env - 环境变量/平台绑定
+ * @returns {MemoryStorage|UpstashStorage|DenoKvStorage|CloudflareKvStorage|FileStorage|PrefixedStorage}
+ */
+export function createStorage(env = {}) {
+  const prefix = env.STATE_KEY_PREFIX ?? 'gbe:';
+  const storage = createBaseStorage(env);
+  logger.info(`State storage: ${storage.name}`);
+  return prefix ? new PrefixedStorage(storage, prefix) : storage;
+}
+
+function createBaseStorage(env) {
+  const type = (env.STATE_STORAGE || '').toLowerCase();
+  const upstashUrl = env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL;
+  const upstashToken = env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN;
+  const hasDenoKv = typeof Deno !== 'undefined' && typeof Deno.openKv === 'function';
+
+  switch (type) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'upstash':
+    case 'vercel-kv':
+      if (upstashUrl && upstashToken) {
+        return new UpstashStorage({ url: upstashUrl, token: upstashToken });
+      }
+      logger.warn(`STATE_STORAGE=${type} 但未配置 KV_REST_API_URL/KV_REST_API_TOKEN，回退到内存存储`);
+      return new MemoryStorage();
+    case 'deno-kv':
+      if (hasDenoKv) return new DenoKvStorage({ path: env.DENO_KV_PATH });
+      logger.warn('STATE_STORAGE=deno-kv 但当前运行时不支持 Deno KV，回退到内存存储');
+      return new MemoryStorage();
+    case 'cloudflare-kv':
+      if (env.STATE_KV) return new CloudflareKvStorage({ namespace: env.STATE_KV });
+      logger.warn('STATE_STORAGE=cloudflare-kv 但未绑定 STATE_KV 命名空间，回退到内存存储');
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage({ path: env.STATE_FILE_PATH || './.data/state.json' });
+    case '':
+      break;
+    default:
+      logger.warn(`未知的 STATE_STORAGE 类型: ${type}，将自动检测`);
+  }
+
+  if (upstashUrl && upstashToken) {
+    return new UpstashStorage({ url: upstashUrl, token: upstashToken });
+  }
+  if (env.STATE_KV && typeof env.STATE_KV.get === 'function') {
+    return new CloudflareKvStorage({ namespace: env.STATE_KV });
+  }
+  if (hasDenoKv) {
+    return new DenoKvStorage({ path: env.DENO_KV_PATH });
+  }
+  return new MemoryStorage();
+}
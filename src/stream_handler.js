@@ -20,19 +20,13 @@ export class StreamHandler {
    * 创建优化的流式响应
    * @param {Response} upstreamResponse - 上游响应
    * @param {string} selectedKey - 使用的密钥
+   * @param {Object} [options]
+   * @param {Function} [options.onUsage] - 流结束时以最后一个 usageMetadata 回调
+   * @param {Function} [options.onEnd] - 流结束（完成、出错、取消或超时）时以结束状态回调
    * @returns {Response}
    */
-  createStreamResponse(upstreamResponse, selectedKey) {
-    const streamId = this.generateStreamId();
-    this.activeStreams.set(streamId, {
-      startTime: Date.now(),
-      key: selectedKey,
-      status: 'active'
-    });
-
-    this.streamStats.totalStreams++;
-    this.streamStats.activeStreams++;
-
+  createStreamResponse(upstreamResponse, selectedKey, options = {}) {
+    const streamId = this.registerStream(selectedKey, options.onEnd);
     logger.info(`创建流式响应 ${streamId}，使用密钥 ...${selectedKey.slice(-4)}`);
 
     // 创建优化的响应头
@@ -40,7 +34,7 @@ export class StreamHandler {
     this.optimizeStreamHeaders(responseHeaders);
 
     // 创建流式响应体
-    const streamBody = this.createOptimizedStream(upstreamResponse.body, streamId);
+    const streamBody = this.createOptimizedStream(upstreamResponse.body, streamId, options);
 
     return new Response(streamBody, {
       status: upstreamResponse.status,
@@ -48,6 +42,95 @@ export class StreamHandler {
     });
   }
 
+  /**
+   * 跟踪由其他模块生成的流式响应（如 OpenAI 兼容层），响应体原样透传，
+   * 在读取结束、出错或被取消时登记流结束
+   * @param {Response} response - 流式响应
+   * @param {string} selectedKey - 使用的密钥
+   * @param {Object} [options]
+   * @param {Function} [options.onEnd] - 流结束时以结束状态回调
+   * @param {Function} [options.onUsage] - 流结束时以最后一个 usage 回调（OpenAI 兼容流需请求 stream_options.include_usage）
+   * @returns {Response}
+   */
+  trackStreamResponse(response, selectedKey, options = {}) {
+    const { onUsage } = options;
+    const streamId = this.registerStream(selectedKey, options.onEnd);
+    const reader = response.body.getReader();
+    const usageCollector = onUsage ? new SseUsageCollector() : null;
+    const handleStreamEndBound = this.handleStreamEnd.bind(this);
+
+    const body = new ReadableStream({
+      async pull(controller) {
+        try {
+          const { done, value } = await reader.read();
+          if (done) {
+            const usage = usageCollector?.finish();
+            if (usage) {
+              try {
+                onUsage(usage);
+              } catch (error) {
+                logger.warn(`流式响应 ${streamId} 用量回调失败:`, error.message);
+              }
+            }
+            handleStreamEndBound(streamId, 'completed');
+            controller.close();
+            return;
+          }
+          controller.enqueue(value);
+          usageCollector?.push(value);
+        } catch (error) {
+          logger.error(`流式响应 ${streamId} 处理错误:`, error);
+          handleStreamEndBound(streamId, 'error');
+          controller.error(error);
+        }
+      },
+
+      cancel(reason) {
+        logger.info(`流式响应 ${streamId} 被取消`);
+        handleStreamEndBound(streamId, 'cancelled');
+        return reader.cancel(reason);
+      }
+    });
+
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+
+  /**
+   * 登记一个活跃的流
+   * @param {string} selectedKey - 使用的密钥
+   * @param {Function} [onEnd] - 流结束时的回调
+   * @returns {string} 流ID
+   */
+  registerStream(selectedKey, onEnd) {
+    const streamId = this.generateStreamId();
+    this.activeStreams.set(streamId, {
+      startTime: Date.now(),
+      key: selectedKey,
+      status: 'active',
+      onEnd
+    });
+
+    this.streamStats.totalStreams++;
+    this.streamStats.activeStreams++;
+    return streamId;
+  }
+
+  /**
+   * 按密钥统计活跃的流数量
+   * @returns {Map<string, number>} 密钥 -> 活跃流数量
+   */
+  getActiveStreamCounts() {
+    const counts = new Map();
+    for (const info of this.activeStreams.values()) {
+      counts.set(info.key, (counts.get(info.key) || 0) + 1);
+    }
+    return counts;
+  }
+
   /**
    * 优化流式响应头
    * @param {Headers} headers - 响应头
@@ -73,11 +156,14 @@ export class StreamHandler {
    * 创建优化的流式响应体
    * @param {ReadableStream} upstreamBody - 上游响应体
    * @param {string} streamId - 流ID
+   * @param {Object} [options]
+   * @param {Function} [options.onUsage] - 流结束时以最后一个 usageMetadata 回调
    * @returns {ReadableStream}
    */
-  createOptimizedStream(upstreamBody, streamId) {
+  createOptimizedStream(upstreamBody, streamId, options = {}) {
+    const { onUsage } = options;
     const encoder = new TextEncoder();
-    let buffer = '';
+    const usageCollector = onUsage ? new SseUsageCollector() : null;
     let chunkCount = 0;
     let lastChunkTime = Date.now();
 
@@ -100,6 +186,14 @@ export class StreamHandler {
 
           if (done) {
             // 流结束
+            const usage = usageCollector?.finish();
+            if (usage) {
+              try {
+                onUsage(usage);
+              } catch (error) {
+                logger.warn(`流式响应 ${streamId} 用量回调失败:`, error.message);
+              }
+            }
             handleStreamEndBound(streamId, 'completed');
             controller.enqueue(encoder.encode(`data: {"type":"stream_end","stream_id":"${streamId}"}\n\n`));
             controller.close();
@@ -112,6 +206,7 @@ export class StreamHandler {
 
           // 发送数据块
           controller.enqueue(value);
+          usageCollector?.push(value);
 
           // 每100个块记录一次统计
           if (chunkCount % 100 === 0) {
@@ -146,6 +241,14 @@ export class StreamHandler {
       
       this.activeStreams.delete(streamId);
       this.streamStats.activeStreams--;
+
+      if (streamInfo.onEnd) {
+        try {
+          streamInfo.onEnd(status);
+        } catch (error) {
+          logger.warn(`流式响应 ${streamId} 结束回调失败:`, error.message);
+        }
+      }
       
       if (status === 'completed') {
         this.streamStats.completedStreams++;
@@ -199,3 +302,55 @@ export class StreamHandler {
     });
   }
 }
+
+/**
+ * 从 SSE 数据流中收集最后一个用量信息
+ * Gemini 原生流在每个事件中携带累计的 usageMetadata，OpenAI 兼容流在最后的事件中携带 usage
+ */
+class SseUsageCollector {
+  constructor() {
+    this.decoder = new TextDecoder();
+    this.buffer = '';
+    this.usage = null;
+  }
+
+  /**
+   * @param {Uint8Array} chunk
+   */
+  push(chunk) {
+    this.buffer += this.decoder.decode(chunk, { stream: true });
+    const events = this.buffer.split(/\r?\n\r?\n/);
+    // 最后一段可能是不完整的事件，留待下个数据块
+    this.buffer = events.pop();
+    for (const event of events) {
+      this._parseEvent(event);
+    }
+  }
+
+  /**
+   * 处理剩余缓冲并返回最后一个用量信息
+   * @returns {Object|null}
+   */
+  finish() {
+    if (this.buffer) {
+      this._parseEvent(this.buffer);
+      this.buffer = '';
+    }
+    return this.usage;
+  }
+
+  _parseEvent(event) {
+    const data = event
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('');
+    if (!data || data === '[DONE]' || !data.includes('usage')) return;
+    try {
+      const payload = JSON.parse(data);
+      this.usage = payload.usageMetadata ?? payload.usage ?? this.usage;
+    } catch {
+      // 忽略无法解析的事件
+    }
+  }
+}
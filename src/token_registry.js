@@ -0,0 +1,289 @@
+/**
+ * 客户端令牌注册表
+ * 每个客户端令牌对应一个租户：显示名称、使用的密钥池（KEY_POOLS 中的名称，默认 default）、启用状态与过期时间。
+ * handleRequest 先把调用方令牌解析为租户，再从租户的密钥池中选择密钥，不同团队可以共用一个部署而不共享密钥。
+ *
+ * 令牌来源：
+ * - CLIENT_TOKENS 环境变量（JSON 数组）：
+ *   [{ "token": "...", "name": "team-a", "pool": "team-a", "enabled": true, "expiresAt": "2026-12-31", "rpm": 60, "tpm": 100000, "policy": "intern" }]
+ *   rpm / tpm 为该令牌的限流额度（见 rate_limiter.js），未设置时使用 CLIENT_RPM / CLIENT_TPM；
+ *   policy 为 CLIENT_POLICIES 中的策略名称（见 policy.js），未设置时使用 default 策略
+ * - 管理 API（/admin/tokens）创建或修改的令牌，保存在状态存储（见 storage.js）中，多实例共享
+ *
+ * 注册表只保存令牌的 SHA-256 哈希；管理 API 只在创建时返回一次明文令牌。
+ */
+
+import { logger as defaultLogger } from './logger.mjs';
+import { timingSafeEqual, toBase64Url } from './utils.js';
+
+const STORAGE_KEY = 'tokens:registry';
+
+export class TokenRegistry {
+  /**
+   * @param {Object} config - KEY_MANAGER_CONFIG.tokens
+   * @param {Object} [logger]
+   */
+  constructor(config, logger = defaultLogger) {
+    this.config = config;
+    this.logger = logger;
+    this.storage = null;
+    this.configRecords = new Map(); // id -> 来自 CLIENT_TOKENS 的令牌
+    this.storedRecords = new Map(); // id -> 管理 API 创建或修改的令牌（覆盖同 id 的 CLIENT_TOKENS 条目）
+    this.lastReloadAt = 0;
+  }
+
+  /**
+   * 挂载状态存储；未挂载时管理 API 的变更只保存在当前实例内存中
+   * @param {Object} storage
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * 加载 CLIENT_TOKENS 中的令牌，格式错误的条目记录警告后跳过
+   * @param {string} [json] - CLIENT_TOKENS
+   */
+  async loadConfig(json) {
+    this.configRecords.clear();
+    if (!json) return;
+
+    let entries;
+    try {
+      entries = JSON.parse(json);
+    } catch (error) {
+      this.logger.warn('CLIENT_TOKENS 不是合法的 JSON，已忽略:', error.message);
+      return;
+    }
+    if (!Array.isArray(entries)) {
+      this.logger.warn('CLIENT_TOKENS 应为 JSON 数组，已忽略');
+      return;
+    }
+
+    for (const [index, entry] of entries.entries()) {
+      if (!entry || typeof entry.token !== 'string' || !entry.token) {
+        this.logger.warn(`CLIENT_TOKENS 第 ${index + 1} 项缺少 token，已跳过`);
+        continue;
+      }
+      const expiresAt = parseExpiry(entry.expiresAt);
+      if (expiresAt === undefined) {
+        this.logger.warn(`CLIENT_TOKENS 第 ${index + 1} 项的 expiresAt 不是有效时间，已跳过`);
+        continue;
+      }
+      const tokenHash = await hashToken(entry.token);
+      const id = tokenHash.slice(0, 16);
+      this.configRecords.set(id, {
+        id,
+        tokenHash,
+        name: entry.name || id,
+        pool: entry.pool || 'default',
+        enabled: entry.enabled !== false,
+        expiresAt,
+        rpm: parseLimit(entry.rpm),
+        tpm: parseLimit(entry.tpm),
+        policy: typeof entry.policy === 'string' && entry.policy ? entry.policy : null,
+        createdAt: null,
+        source: 'config'
+      });
+    }
+    this.logger.info(`已加载 ${this.configRecords.size} 个客户端令牌`);
+  }
+
+  /**
+   * 从状态存储重新加载管理 API 创建的令牌
+   */
+  async reload() {
+    this.lastReloadAt = Date.now();
+    if (!this.storage) return;
+    try {
+      const data = await this.storage.get(STORAGE_KEY);
+      this.storedRecords = new Map(Object.entries(data?.records || {}));
+    } catch (error) {
+      this.logger.warn('读取客户端令牌失败，继续使用已加载的令牌:', error.message);
+    }
+  }
+
+  /**
+   * 把调用方令牌解析为租户
+   * @param {string} token
+   * @returns {Promise<{tenant: {id: string, name: string, pool: string, limits: Object, policy: string|null}|null, error: string|null}>}
+   *   不是已注册的令牌时 tenant 与 error 均为 null；令牌已禁用或过期时 error 为 disabled / expired
+   */
+  async resolve(token) {
+    const result = { tenant: null, error: null };
+    if (!token || (this.configRecords.size === 0 && this.storedRecords.size === 0 && !this.storage)) return result;
+
+    if (Date.now() - this.lastReloadAt >= this.config.reloadIntervalMs) await this.reload();
+    const tokenHash = await hashToken(token);
+    const record = this._record(tokenHash.slice(0, 16));
+    if (!record || !timingSafeEqual(tokenHash, record.tokenHash)) return result;
+
+    if (!record.enabled) return { ...result, error: 'disabled' };
+    if (record.expiresAt && Date.now() >= record.expiresAt) return { ...result, error: 'expired' };
+    const limits = {};
+    if (record.rpm != null) limits.rpm = record.rpm;
+    if (record.tpm != null) limits.tpm = record.tpm;
+    return { ...result, tenant: { id: record.id, name: record.name, pool: record.pool, limits, policy: record.policy ?? null } };
+  }
+
+  /**
+   * 列出所有令牌（不含令牌哈希）
+   * @returns {Array<Object>}
+   */
+  list() {
+    const ids = new Set([...this.configRecords.keys(), ...this.storedRecords.keys()]);
+    return [...ids].map(id => describeRecord(this._record(id)));
+  }
+
+  /**
+   * 查看单个令牌
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const record = this._record(id);
+    return record ? describeRecord(record) : null;
+  }
+
+  /**
+   * 创建令牌
+   * @param {Object} options
+   * @param {string} options.name - 显示名称
+   * @param {string} [options.pool='default'] - 密钥池名称
+   * @param {number|null} [options.expiresAt] - 过期时间（毫秒时间戳）
+   * @param {number|null} [options.rpm] - 每分钟请求数限额，未设置时使用默认限额
+   * @param {number|null} [options.tpm] - 每分钟 Token 数限额，未设置时使用默认限额
+   * @param {string|null} [options.policy] - 客户端策略名称，未设置时使用 default 策略
+   * @param {string} [options.token] - 指定令牌，未指定时随机生成
+   * @returns {Promise<{token: string, record: Object}>} 明文令牌只在此返回一次
+   */
+  async create({ name, pool = 'default', expiresAt = null, rpm = null, tpm = null, policy = null, token }) {
+    const plaintext = token || generateToken();
+    const tokenHash = await hashToken(plaintext);
+    const id = tokenHash.slice(0, 16);
+    const record = { id, tokenHash, name: name || id, pool, enabled: true, expiresAt, rpm, tpm, policy, createdAt: Date.now(), source: 'admin' };
+    await this._save(records => { records[id] = record; });
+    this.logger.info(`创建客户端令牌 ${record.name}（${id}，密钥池 ${pool}）`);
+    return { token: plaintext, record: describeRecord(record) };
+  }
+
+  /**
+   * 修改令牌的名称、密钥池、启用状态、过期时间、限流额度或策略；修改 CLIENT_TOKENS 中的令牌时保存为覆盖记录
+   * @param {string} id
+   * @param {Object} changes - { name, pool, enabled, expiresAt, rpm, tpm, policy }
+   * @returns {Promise<Object|null>} 修改后的令牌，不存在时返回 null
+   */
+  async update(id, changes) {
+    await this.reload();
+    const current = this._record(id);
+    if (!current) return null;
+    const record = { ...current, ...changes, id, tokenHash: current.tokenHash };
+    await this._save(records => { records[id] = record; });
+    this.logger.info(`客户端令牌 ${record.name}（${id}）已更新`);
+    return describeRecord(record);
+  }
+
+  /**
+   * 删除管理 API 创建的令牌
+   * @param {string} id
+   * @returns {Promise<boolean>} 是否删除
+   * @throws {Error} 令牌来自 CLIENT_TOKENS 时抛出（只能禁用）
+   */
+  async remove(id) {
+    await this.reload();
+    if (this.configRecords.has(id)) {
+      throw new Error(`Token "${id}" is defined in CLIENT_TOKENS; disable it instead`);
+    }
+    if (!this.storedRecords.has(id)) return false;
+    await this._save(records => { delete records[id]; });
+    this.logger.info(`删除客户端令牌 ${id}`);
+    return true;
+  }
+
+  /**
+   * 合并后的令牌记录
+   * @private
+   */
+  _record(id) {
+    const stored = this.storedRecords.get(id);
+    const configured = this.configRecords.get(id);
+    if (!stored && !configured) return null;
+    return configured ? { ...configured, ...stored, source: 'config' } : stored;
+  }
+
+  /**
+   * 读取最新记录、应用修改并写回存储
+   * @private
+   */
+  async _save(mutate) {
+    if (this.storage) {
+      const data = await this.storage.get(STORAGE_KEY);
+      this.storedRecords = new Map(Object.entries(data?.records || {}));
+    }
+    const records = Object.fromEntries(this.storedRecords);
+    mutate(records);
+    this.storedRecords = new Map(Object.entries(records));
+    if (this.storage) {
+      await this.storage.set(STORAGE_KEY, { records, updatedAt: Date.now() });
+    }
+  }
+}
+
+/**
+ * 解析过期时间
+ * @param {string|number|null|undefined} value
+ * @returns {number|null|undefined} 毫秒时间戳；未设置为 null，无效为 undefined
+ */
+export function parseExpiry(value) {
+  if (value == null || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : undefined;
+}
+
+/**
+ * 解析限流额度，非负整数以外的值视为未设置
+ * @param {any} value
+ * @returns {number|null}
+ */
+function parseLimit(value) {
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+/**
+ * 令牌的 SHA-256 哈希（十六进制）
+ * @param {string} token
+ * @returns {Promise<string>}
+ */
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 生成随机令牌
+ * @returns {string}
+ */
+function generateToken() {
+  return `gbe_${toBase64Url(crypto.getRandomValues(new Uint8Array(24)))}`;
+}
+
+/**
+ * 令牌记录的展示形式（不含哈希）
+ * @param {Object} record
+ * @returns {Object}
+ */
+function describeRecord(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    pool: record.pool,
+    enabled: record.enabled,
+    expiresAt: record.expiresAt ? new Date(record.expiresAt).toISOString() : null,
+    expired: !!record.expiresAt && Date.now() >= record.expiresAt,
+    rpm: record.rpm ?? null,
+    tpm: record.tpm ?? null,
+    policy: record.policy ?? null,
+    createdAt: record.createdAt ? new Date(record.createdAt).toISOString() : null,
+    source: record.source
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * 按客户端统计 Token 用量
+ * 把上游返回的用量（原生响应的 usageMetadata，包括流式响应的最后一个事件；OpenAI 兼容响应的 usage）
+ * 按调用方（客户端令牌对应的租户）和模型归集为输入、输出、思考与缓存命中 Token，按天和按月汇总。
+ *
+ * 汇总保存在状态存储（见 storage.js）中：usage:day:<YYYY-MM-DD>、usage:month:<YYYY-MM>（UTC 日期）。
+ * 各实例在内存中累积增量，延迟合并写入；多个实例同时写入同一天的记录时可能丢失少量增量。
+ * 边缘运行时在响应返回后可能冻结实例、丢弃定时器，请求结束时应把 whenFlushed() 交给 waitUntil。
+ */
+
+import { logger as defaultLogger } from './logger.mjs';
+import { QuotaTracker } from './quota_tracker.js';
+
+const COUNTER_FIELDS = ['requests', 'promptTokens', 'outputTokens', 'thinkingTokens', 'cachedTokens', 'totalTokens'];
+const DAY_MS = 86400000;
+
+export class UsageTracker {
+  /**
+   * @param {Object} config - KEY_MANAGER_CONFIG.usage
+   * @param {Object} [logger]
+   */
+  constructor(config, logger = defaultLogger) {
+    this.config = config;
+    this.logger = logger;
+    this.storage = null;
+    this.pending = new Map(); // 存储键 -> 尚未写入的增量
+    this.flushTimer = null;
+    this.pendingFlush = null; // 等待中的延迟写入：{ promise, resolve }，见 whenFlushed()
+  }
+
+  /**
+   * 挂载状态存储；未挂载时汇总只保存在当前实例内存中
+   * @param {Object} storage
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * 记录一次请求的用量
+   * @param {Object} params
+   * @param {{id: string, name: string}} params.client - 调用方
+   * @param {string|null} params.model
+   * @param {Object} params.usage - Gemini usageMetadata 或 OpenAI usage
+   */
+  record({ client, model, usage }) {
+    const counters = normalizeUsage(usage);
+    if (!counters) return;
+    const modelName = QuotaTracker.normalizeModel(model);
+    const date = new Date().toISOString();
+    for (const key of [`usage:day:${date.slice(0, 10)}`, `usage:month:${date.slice(0, 7)}`]) {
+      if (!this.pending.has(key)) this.pending.set(key, { clients: {} });
+      addUsage(this.pending.get(key), client, modelName, counters);
+    }
+    this._scheduleFlush();
+  }
+
+  /**
+   * 把累积的增量合并写入存储，等待中的延迟写入由本次写入完成
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const scheduled = this.pendingFlush;
+    this.pendingFlush = null;
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    try {
+      await this._writePending();
+    } finally {
+      scheduled?.resolve();
+    }
+  }
+
+  /**
+   * 等待延迟写入完成；没有等待中的写入时立即完成，不会失败
+   * @returns {Promise<void>}
+   */
+  whenFlushed() {
+    return this.pendingFlush?.promise ?? Promise.resolve();
+  }
+
+  /**
+   * 写入累积的增量
+   * @private
+   */
+  async _writePending() {
+    if (!this.storage || this.pending.size === 0) return;
+    // 先取出增量，写入期间新记录的用量留到下一次
+    const pending = this.pending;
+    this.pending = new Map();
+
+    for (const [key, delta] of pending) {
+      try {
+        const stored = (await this.storage.get(key)) || {};
+        stored.clients ??= {};
+        mergeUsage(stored, delta);
+        stored.updatedAt = Date.now();
+        const ttl = key.startsWith('usage:day:') ? this.config.dailyTtlMs : this.config.monthlyTtlMs;
+        await this.storage.set(key, stored, { ttl });
+      } catch (error) {
+        this.logger.error(`写入用量统计 ${key} 失败:`, error.message);
+        // 放回增量，下次重试
+        if (!this.pending.has(key)) this.pending.set(key, { clients: {} });
+        mergeUsage(this.pending.get(key), delta);
+      }
+    }
+  }
+
+  /**
+   * 查询用量汇总
+   * @param {Object} [options]
+   * @param {'day'|'month'} [options.period='day'] - 汇总粒度
+   * @param {string} [options.from] - 起始日期（YYYY-MM-DD 或 YYYY-MM），默认按天为 30 天前、按月为 11 个月前
+   * @param {string} [options.to] - 结束日期，默认今天
+   * @param {string} [options.client] - 只返回该调用方（租户 id）
+   * @returns {Promise<{period: string, from: string, to: string, rows: Array<Object>, totals: Object}>}
+   * @throws {Error} 日期格式错误或范围超过 maxReportPeriods 时抛出
+   */
+  async getReport({ period = 'day', from, to, client } = {}) {
+    if (period !== 'day' && period !== 'month') throw new Error('period must be "day" or "month"');
+    const periods = listPeriods(period, from, to, this.config.maxReportPeriods);
+
+    const rows = [];
+    for (const name of periods) {
+      const key = `usage:${period}:${name}`;
+      const data = { clients: {} };
+      if (this.storage) {
+        try {
+          mergeUsage(data, (await this.storage.get(key)) || { clients: {} });
+        } catch (error) {
+          this.logger.warn(`读取用量统计 ${key} 失败:`, error.message);
+        }
+      }
+      if (this.pending.has(key)) mergeUsage(data, this.pending.get(key));
+
+      for (const [clientId, entry] of Object.entries(data.clients)) {
+        if (client && clientId !== client) continue;
+        for (const [model, counters] of Object.entries(entry.models)) {
+          rows.push({ period: name, client: clientId, clientName: entry.name, model, ...counters });
+        }
+      }
+    }
+    rows.sort((a, b) => a.period.localeCompare(b.period) || a.client.localeCompare(b.client) || a.model.localeCompare(b.model));
+
+    const totals = emptyCounters();
+    for (const row of rows) {
+      for (const field of COUNTER_FIELDS) totals[field] += row[field];
+    }
+    return { period, from: periods[0], to: periods[periods.length - 1], rows, totals };
+  }
+
+  /**
+   * 安排一次延迟写入
+   * @private
+   */
+  _scheduleFlush() {
+    if (!this.storage || this.flushTimer) return;
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    this.pendingFlush = { promise, resolve };
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.config.flushDelayMs);
+  }
+}
+
+/**
+ * 把上游用量转换为统一的计数
+ * - Gemini：promptTokenCount / candidatesTokenCount / thoughtsTokenCount / cachedContentTokenCount / totalTokenCount
+ * - OpenAI：prompt_tokens / completion_tokens（含 reasoning_tokens，输出 Token 扣除思考部分）/ prompt_tokens_details.cached_tokens / total_tokens
+ * @param {Object} usage
+ * @returns {Object|null} 不是可识别的用量时返回 null
+ */
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const counters = emptyCounters();
+  counters.requests = 1;
+  if ('promptTokenCount' in usage || 'totalTokenCount' in usage) {
+    counters.promptTokens = usage.promptTokenCount || 0;
+    counters.outputTokens = usage.candidatesTokenCount || 0;
+    counters.thinkingTokens = usage.thoughtsTokenCount || 0;
+    counters.cachedTokens = usage.cachedContentTokenCount || 0;
+    counters.totalTokens = usage.totalTokenCount || 0;
+  } else if ('prompt_tokens' in usage || 'total_tokens' in usage) {
+    const reasoning = usage.completion_tokens_details?.reasoning_tokens || 0;
+    counters.promptTokens = usage.prompt_tokens || 0;
+    counters.outputTokens = Math.max(0, (usage.completion_tokens || 0) - reasoning);
+    counters.thinkingTokens = reasoning;
+    counters.cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+    counters.totalTokens = usage.total_tokens || 0;
+  } else {
+    return null;
+  }
+  return counters;
+}
+
+/**
+ * 用量报告转换为 CSV
+ * @param {Object} report - getReport() 的返回值
+ * @returns {string}
+ */
+export function formatUsageCsv(report) {
+  const header = ['period', 'client', 'clientName', 'model', ...COUNTER_FIELDS];
+  const lines = [header.join(',')];
+  for (const row of report.rows) {
+    lines.push(header.map(field => csvCell(row[field])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function emptyCounters() {
+  return Object.fromEntries(COUNTER_FIELDS.map(field => [field, 0]));
+}
+
+function addUsage(data, client, model, counters) {
+  const entry = data.clients[client.id] ??= { name: client.name, models: {} };
+  entry.name = client.name;
+  const target = entry.models[model] ??= emptyCounters();
+  for (const field of COUNTER_FIELDS) target[field] += counters[field] || 0;
+}
+
+function mergeUsage(target, source) {
+  for (const [clientId, entry] of Object.entries(source.clients || {})) {
+    for (const [model, counters] of Object.entries(entry.models || {})) {
+      addUsage(target, { id: clientId, name: entry.name }, model, counters);
+    }
+  }
+}
+
+/**
+ * 列出查询范围内的日期（YYYY-MM-DD）或月份（YYYY-MM）
+ * @private
+ */
+function listPeriods(period, from, to, maxPeriods) {
+  const length = period === 'day' ? 10 : 7;
+  const toDate = (text) => {
+    const date = new Date(`${text}${period === 'day' ? '' : '-01'}T00:00:00Z`);
+    if (text.length !== length || Number.isNaN(date.getTime())) {
+      throw new Error(period === 'day' ? 'from/to must look like YYYY-MM-DD' : 'from/to must look like YYYY-MM');
+    }
+    return date;
+  };
+
+  const end = (to || new Date().toISOString()).slice(0, length);
+  toDate(end);
+  let cursor;
+  if (from) {
+    cursor = toDate(from.slice(0, length));
+  } else {
+    cursor = toDate(end);
+    if (period === 'day') cursor.setTime(cursor.getTime() - 30 * DAY_MS);
+    else cursor.setUTCMonth(cursor.getUTCMonth() - 11);
+  }
+
+  const periods = [];
+  while (cursor.toISOString().slice(0, length) <= end) {
+    periods.push(cursor.toISOString().slice(0, length));
+    if (periods.length > maxPeriods) throw new Error(`Range is limited to ${maxPeriods} ${period}s`);
+    if (period === 'day') cursor.setTime(cursor.getTime() + DAY_MS);
+    else cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  if (periods.length === 0) throw new Error('from must not be later than to');
+  return periods;
+}
@@ -1,59 +1,200 @@
 import { logger as defaultLogger } from "./logger.mjs";
 import { getConfig } from "./key_manager_config.js";
+import { QuotaTracker } from "./quota_tracker.js";
+import { isDailyQuotaViolation, classifyGeminiError, ErrorCategory } from "./gemini_errors.js";
+import { CircuitBreaker, CircuitState, FailureClass, classifyStatus } from "./circuit_breaker.js";
+import { LatencyTracker } from "./latency_tracker.js";
+import { createSelectionStrategy } from "./selection_strategies.js";
+import { parseKeySchedule, msUntilWithinSchedule, describeSchedule } from "./key_schedule.js";
+import { parseKeyEntries, validateKeyEntry } from "./key_validation.js";
 
 /**
  * KeyManager 类负责管理、选择和健康检查 API 密钥。
- * 支持加权轮询、动态权重调整和智能错误处理。
- * 采用多例模式，确保每个 keysString 只有一个实例。
+ * 支持加权轮询、按密钥熔断和智能错误处理。
+ * 采用多例模式，确保每个密钥池（poolId）只有一个实例。
  */
 
 const managerRegistry = new Map();
 
+// 客户端自带密钥列表的密钥池：密钥列表哈希 -> { manager, lastUsedAt }，按最近使用排序（LRU）
+const clientPoolCache = new Map();
+
+// 健康探测默认的上游地址，实际由 setUpstream() 设置为代理使用的 GEMINI_BASE_URL / GEMINI_API_VERSION
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com';
+const DEFAULT_API_VERSION = 'v1beta';
+
+// 持久化状态的结构版本，结构不兼容时递增以丢弃旧数据
+const STATE_SCHEMA_VERSION = 2;
+
+// 需要持久化的密钥字段
+const PERSISTED_KEY_FIELDS = [
+  'circuit',
+  'errorCount',
+  'lastErrorCode',
+  'last_error_at',
+  'last_error_message',
+  'last_checked',
+  'cooldownUntil',
+  'modelCooldowns',
+  'disabled',
+  'disabledReason',
+  'lastVerifiedAt',
+  'weightOverride'
+];
+
+/**
+ * 判断字符串是否匹配通配符模式（仅支持 *，不区分大小写）
+ * @param {string} pattern - 如 "gemini-2.5-pro*"、"*-flash-lite"
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function matchGlob(pattern, value) {
+  if (pattern === '*') return true;
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i').test(value || '');
+}
+
+/**
+ * 以固定时间比较两个字符串，用于校验管理令牌等密钥，避免通过响应时间逐字节猜测
+ * @param {string} value - 客户端提供的值
+ * @param {string} secret - 期望的值
+ * @returns {boolean}
+ */
+export function timingSafeEqual(value, secret) {
+  if (typeof value !== 'string' || typeof secret !== 'string') return false;
+  const left = new TextEncoder().encode(value);
+  const right = new TextEncoder().encode(secret);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < right.length; i++) {
+    diff |= right[i] ^ (left[i] ?? 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * 字节编码为 base64url（无填充），用于密文、签名令牌与随机令牌
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 解码 base64url（可无填充）为字节
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} 不是合法的 base64 时抛出
+ */
+export function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * 计算密钥指纹（cyrb53），持久化时用于代替明文密钥
+ * @param {string} key
+ * @returns {string}
+ */
+export function fingerprintKey(key) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < key.length; i++) {
+    const ch = key.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
 export class KeyManager {
   /**
    * @private constructor - Please use KeyManager.getInstance() instead.
    * @param {string} keysString - 带权重的密钥字符串，例如 "key1:10,key2:5,key3"
    * @param {object} logger - 日志记录器
+   * @param {object} [options]
+   * @param {boolean} [options.skipRegistryCheck] - 跳过注册表检查（临时实例）
+   * @param {string} [options.poolId='default'] - 密钥池标识
    */
   constructor(keysString, logger = defaultLogger, options = {}) {
-    const { skipRegistryCheck = false } = options;
-    if (!skipRegistryCheck && managerRegistry.has(keysString)) {
+    const { skipRegistryCheck = false, poolId = 'default' } = options;
+    if (!skipRegistryCheck && managerRegistry.has(poolId)) {
       // This check prevents direct instantiation, guiding users to the factory.
-      throw new Error("KeyManager instance for this keysString already exists. Use KeyManager.getInstance().");
+      throw new Error(`KeyManager instance for pool "${poolId}" already exists. Use KeyManager.getInstance().`);
     }
     this.config = getConfig();
-    this.initialKeys = this._parseKeys(keysString);
+    this.poolId = poolId;
     this.logger = logger;
+    this.keysString = keysString;
+    this.configWarnings = []; // 最近一次解析密钥字符串的警告，见 key_validation.js
+    this.initialKeys = this._parseKeys(keysString);
+    this.poolOverrides = {}; // 运行时增删密钥的记录：fingerprint -> { action, key, weight, at }
+    this.quotaTracker = new QuotaTracker(this.config.quota, logger);
+    this.circuitBreaker = new CircuitBreaker(this.config.circuitBreaker);
+    this.latencyTracker = new LatencyTracker(this.config.selection.latency);
+    this.selectionStrategy = createSelectionStrategy(this.config.selection.strategy, this);
     this.state = null; // 状态将在 initState 中初始化
+    this.upstream = { baseUrl: DEFAULT_BASE_URL, apiVersion: DEFAULT_API_VERSION }; // 健康探测使用的上游地址
+    this.storage = null; // 可选的持久化存储适配器
+    this.storageKey = null;
+    this.stateRevision = 0;
+    this.saveTimer = null;
+    this.pendingSave = null; // 等待中的延迟写入：{ promise, resolve }，见 whenSaved()
     this.logger.debug(`KeyManager created for keys: "${keysString}"`);
   }
 
   /**
-   * 获取或创建 KeyManager 的单例实例。
-   * @param {string} keysString - The key string used to identify the manager instance.
+   * 获取或创建密钥池的单例实例。
+   * 若同一密钥池的 keysString 发生变化，会在原实例上同步密钥，保留仍存在的密钥状态。
+   * @param {string} keysString - 带权重的密钥字符串
    * @param {object} logger - The logger instance.
-   * @returns {KeyManager} The singleton instance for the given keysString.
+   * @param {string} [poolId='default'] - 密钥池标识
+   * @returns {KeyManager} The singleton instance for the given pool.
    */
-  static getInstance(keysString, logger = defaultLogger) {
+  static getInstance(keysString, logger = defaultLogger, poolId = 'default') {
     if (!keysString) {
       // Handle cases where keysString might be empty or null
       keysString = '';
     }
 
-    if (!managerRegistry.has(keysString)) {
-      const newInstance = new KeyManager(keysString, logger);
-      managerRegistry.set(keysString, newInstance);
+    if (!managerRegistry.has(poolId)) {
+      const newInstance = new KeyManager(keysString, logger, { poolId });
+      managerRegistry.set(poolId, newInstance);
     }
 
-    const instance = managerRegistry.get(keysString);
+    const instance = managerRegistry.get(poolId);
     // 如果实例尚未初始化状态，则进行初始化
     if (!instance.state) {
       instance.initState();
     }
+    if (instance.keysString !== keysString) {
+      instance.syncKeys(keysString);
+    }
 
     return instance;
   }
 
+  /**
+   * 获取已注册的密钥池实例
+   * @param {string} [poolId='default']
+   * @returns {KeyManager|null}
+   */
+  static getPool(poolId = 'default') {
+    return managerRegistry.get(poolId) || null;
+  }
+
+  /**
+   * 列出所有已注册的密钥池（default 与 KEY_POOLS 中的命名密钥池，不含客户端密钥池）
+   * @returns {KeyManager[]}
+   */
+  static listPools() {
+    return [...managerRegistry.values()];
+  }
+
   /**
    * 创建临时 KeyManager，不注册到全局缓存，适用于客户端密钥。
    */
@@ -61,6 +202,66 @@ export class KeyManager {
     return new KeyManager(keysString || '', logger, { skipRegistryCheck: true });
   }
 
+  /**
+   * 获取客户端自带密钥列表对应的密钥池。
+   * 按密钥列表的 SHA-256 哈希缓存在有上限的 LRU 中，空闲超过 clientPools.idleTtlMs 后丢弃，
+   * 使同一客户端的多次请求共享熔断、冷却与轮询状态；不注册到全局注册表，也不持久化。
+   * @param {string} keysString - 客户端提供的逗号分隔密钥列表
+   * @param {object} [logger]
+   * @returns {Promise<KeyManager>}
+   */
+  static async getClientPool(keysString, logger = defaultLogger) {
+    const { maxPools, idleTtlMs } = getConfig().clientPools;
+    const now = Date.now();
+
+    // 最久未使用的在前，依次清理空闲过期的密钥池
+    for (const [hash, entry] of clientPoolCache) {
+      if (now - entry.lastUsedAt <= idleTtlMs) break;
+      clientPoolCache.delete(hash);
+    }
+
+    const normalized = (keysString || '').trim();
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    const hash = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+
+    let entry = clientPoolCache.get(hash);
+    if (entry) {
+      clientPoolCache.delete(hash);
+    } else {
+      const manager = new KeyManager(normalized, logger, { skipRegistryCheck: true, poolId: `client:${hash.slice(0, 12)}` });
+      manager.initState();
+      entry = { manager, lastUsedAt: now };
+      logger.debug(`创建客户端密钥池 ${manager.poolId}（共 ${clientPoolCache.size + 1} 个）`);
+    }
+    entry.lastUsedAt = now;
+    clientPoolCache.set(hash, entry);
+
+    while (clientPoolCache.size > maxPools) {
+      clientPoolCache.delete(clientPoolCache.keys().next().value);
+    }
+    return entry.manager;
+  }
+
+  /**
+   * 当前缓存的客户端密钥池数量
+   * @returns {number}
+   */
+  static getClientPoolCount() {
+    return clientPoolCache.size;
+  }
+
+  /**
+   * 设置健康探测使用的上游地址，与代理转发请求时一致
+   * @param {string} [baseUrl] - GEMINI_BASE_URL
+   * @param {string} [apiVersion] - GEMINI_API_VERSION
+   */
+  setUpstream(baseUrl, apiVersion) {
+    this.upstream = {
+      baseUrl: (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+      apiVersion: apiVersion || DEFAULT_API_VERSION
+    };
+  }
+
   /**
    * 初始化内存中的状态。
    */
@@ -72,279 +273,657 @@ export class KeyManager {
       keys: this.initialKeys.map(k => ({ ...k })),
       currentIndex: 0,
       totalResetCount: 0,
-      lastGlobalReset: Date.now(),
-      // 优先级队列状态
-      priorityQueues: null,
-      priorityList: [],
-      currentPriorityIndex: 0,
-      currentQueueIndex: 0,
-      lastSelectedKey: null
+      lastGlobalReset: 0
     };
 
     this.logger.debug('KeyManager state initialized successfully.');
   }
 
   /**
-   * 解析带权重的密钥字符串。
-   * @param {string} keysString
-   * @returns {Array<{key: string, originalWeight: number, currentWeight: number, dynamicWeight: number, healthy: boolean, last_checked: number, errorCount: number, recoveryAttempts: number}>}
+   * 挂载持久化存储适配器，之后的状态变更会延迟合并写入存储。
+   * @param {Object} storage - 存储适配器（见 storage.js）
+   * @param {string} [namespace='default'] - 状态在存储中的命名空间
    */
-  _parseKeys(keysString) {
-    if (!keysString) return [];
-    const parsed = keysString.split(',').map(item => {
-      const parts = item.trim().split(':');
-      const key = (parts[0] || '').trim();
-      const weight = parts.length > 1 ? parseInt(parts[1], 10) : 1;
-      const normalizedWeight = isNaN(weight) ? 1 : weight;
-      return {
-        key,
-        originalWeight: normalizedWeight,
-        currentWeight: 0,
-        dynamicWeight: normalizedWeight,
-        healthy: true,
-        last_checked: Date.now(),
-        errorCount: 0,
-        recoveryAttempts: 0,
-        lastErrorCode: null,
-        last_error_at: undefined, // 初始化 last_error_at
-        last_error_message: undefined,
-        lastRecoveryAttempt: Date.now(),
-        temporaryUnhealthy: false,
-        temporaryUnhealthyUntil: null
-      };
-    }).filter(k => k.key && k.key.length > 0);
-    return parsed;
-  }
-
-  /**
-   * 使用平滑加权轮询（SWRR）选择一个 API 密钥。
-   * 优先选择健康的密钥，如果所有密钥都不健康则重置并选择权重最高的。
-   * @returns {string|null}
-   */
-  selectKey() {
-    if (!this.state) {
-      this.initState();
-    }
-    if (this.state.keys.length === 0) {
-      this.logger.warn('KeyManager has no keys to select');
-      return null;
-    }
-
-    // 尝试权重恢复
-    this._attemptWeightRecovery();
+  attachStorage(storage, namespace = 'default') {
+    this.storage = storage;
+    this.storageKey = `keymanager:${namespace}`;
+  }
 
-    // 检查临时不健康的密钥是否应该恢复
-    this._checkTemporaryRecovery();
+  /**
+   * 从存储中加载状态，并与内存状态按密钥合并。
+   * 每个密钥以 updatedAt 较新的一方为准，避免覆盖其他实例写入的新状态。
+   * @returns {Promise<boolean>} 是否加载到有效的持久化状态
+   */
+  async loadState() {
+    if (!this.state) this.initState();
+    if (!this.storage) return false;
 
-    // 获取可用的密钥（健康的或动态权重大于最小值的）
-    const available = this.state.keys.filter(k =>
-      k.healthy || k.dynamicWeight >= this.config.recovery.minWeight
-    );
+    try {
+      const persisted = await this.storage.get(this.storageKey);
+      if (!persisted) {
+        this.logger.debug('未找到持久化的 KeyManager 状态');
+        return false;
+      }
+      if (persisted.schemaVersion !== STATE_SCHEMA_VERSION) {
+        this.logger.warn(`持久化状态版本 ${persisted.schemaVersion} 与当前版本 ${STATE_SCHEMA_VERSION} 不兼容，已忽略`);
+        return false;
+      }
 
-    if (available.length === 0) {
-      this.logger.warn('所有 API 密钥都不可用，执行全局重置');
-      this._resetAllKeys();
-      return this._selectFromAvailable(this.state.keys);
+      const merged = this._mergePersistedState(persisted);
+      this.logger.info(`已从 ${this.storage.name} 加载 KeyManager 状态（revision ${persisted.revision}，合并 ${merged} 个密钥）`);
+      return true;
+    } catch (error) {
+      this.logger.error('加载 KeyManager 持久化状态失败:', error.message);
+      return false;
     }
+  }
 
-    // 优先从健康的密钥中选择
-    const healthy = available.filter(k => k.healthy);
-    if (healthy.length > 0) {
-      return this._selectFromAvailable(healthy);
+  /**
+   * 将持久化状态合并到内存状态
+   * @private
+   * @returns {number} 合并的密钥数量
+   */
+  _mergePersistedState(persisted) {
+    this.stateRevision = Math.max(this.stateRevision, persisted.revision || 0);
+    this.state.totalResetCount = Math.max(this.state.totalResetCount, persisted.totalResetCount || 0);
+    this.state.lastGlobalReset = Math.max(this.state.lastGlobalReset, persisted.lastGlobalReset || 0);
+
+    // 先合并运行时增删密钥的记录，再合并每个密钥的状态
+    for (const [fingerprint, change] of Object.entries(persisted.poolOverrides || {})) {
+      const local = this.poolOverrides[fingerprint];
+      if (local && local.at >= change.at) continue;
+      this.poolOverrides[fingerprint] = change;
+      this._applyPoolOverride(fingerprint, change);
     }
 
-    // 如果没有健康的密钥，从有最小权重的密钥中选择
-    this.logger.info('没有健康的密钥，从降权密钥中选择');
-    return this._selectFromAvailable(available);
+    let merged = 0;
+    for (const keyObj of this.state.keys) {
+      const record = persisted.keys?.[fingerprintKey(keyObj.key)];
+      if (!record || (record.updatedAt || 0) <= (keyObj.updatedAt || 0)) continue;
+      for (const field of PERSISTED_KEY_FIELDS) {
+        if (field in record) keyObj[field] = record[field];
+      }
+      if (keyObj.weightOverride != null) {
+        keyObj.originalWeight = keyObj.weightOverride;
+      }
+      keyObj.updatedAt = record.updatedAt;
+      merged++;
+    }
+    return merged;
   }
 
   /**
-   * 智能密钥选择 - 考虑最近错误和性能
-   * @param {Object} context - 选择上下文
-   * @returns {string|null}
+   * 立即将当前状态写入存储（写前先合并存储中较新的状态）。
+   * 等待中的延迟写入由本次写入完成。
+   * @returns {Promise<void>}
    */
-  selectKeySmart(context = {}) {
-    if (!this.state) {
-      this.initState();
+  async saveState() {
+    const pending = this.pendingSave;
+    this.pendingSave = null;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
     }
-    if (this.state.keys.length === 0) {
-      this.logger.warn('KeyManager has no keys to select');
-      return null;
+    try {
+      await this._writeState();
+    } finally {
+      pending?.resolve();
     }
+  }
 
-    const { avoidRecentErrors = true, preferStableKeys = true } = context;
-    
-    // 尝试权重恢复
-    this._attemptWeightRecovery();
-    this._checkTemporaryRecovery();
+  /**
+   * 等待延迟写入完成；没有等待中的写入时立即完成，不会失败。
+   * 边缘运行时（Vercel Edge、Cloudflare Workers）在响应返回后可能冻结实例、丢弃定时器，
+   * 请求结束时应把返回的 Promise 交给 waitUntil。
+   * @returns {Promise<void>}
+   */
+  whenSaved() {
+    return this.pendingSave?.promise ?? Promise.resolve();
+  }
 
-    // 获取可用的密钥
-    let available = this.state.keys.filter(k =>
-      k.healthy || k.dynamicWeight >= this.config.recovery.minWeight
-    );
+  /**
+   * 写入当前状态
+   * @private
+   */
+  async _writeState() {
+    if (!this.storage || !this.state) return;
 
-    if (available.length === 0) {
-      this.logger.warn('所有 API 密钥都不可用，执行全局重置');
-      this._resetAllKeys();
-      return this._selectFromAvailable(this.state.keys);
+    try {
+      const persisted = await this.storage.get(this.storageKey);
+      if (persisted && persisted.schemaVersion === STATE_SCHEMA_VERSION) {
+        this._mergePersistedState(persisted);
+      }
+
+      const keys = {};
+      for (const keyObj of this.state.keys) {
+        const record = { updatedAt: keyObj.updatedAt || 0 };
+        for (const field of PERSISTED_KEY_FIELDS) {
+          record[field] = keyObj[field];
+        }
+        keys[fingerprintKey(keyObj.key)] = record;
+      }
+
+      this.stateRevision++;
+      await this.storage.set(this.storageKey, {
+        schemaVersion: STATE_SCHEMA_VERSION,
+        revision: this.stateRevision,
+        savedAt: Date.now(),
+        totalResetCount: this.state.totalResetCount,
+        lastGlobalReset: this.state.lastGlobalReset,
+        poolOverrides: this.poolOverrides,
+        keys
+      }, { ttl: this.config.persistence.stateTtl });
+      this.logger.debug(`KeyManager 状态已写入 ${this.storage.name}（revision ${this.stateRevision}）`);
+    } catch (error) {
+      this.logger.error('写入 KeyManager 持久化状态失败:', error.message);
     }
+  }
+
+  /**
+   * 标记密钥状态已变更，并安排一次延迟写入
+   * @private
+   * @param {Object} [keyObj] - 发生变更的密钥
+   */
+  _markDirty(keyObj) {
+    if (keyObj) keyObj.updatedAt = Date.now();
+    if (!this.storage || this.saveTimer) return;
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    this.pendingSave = { promise, resolve };
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveState();
+    }, this.config.persistence.debounceMs);
+  }
+
+  /**
+   * 按密钥或密钥指纹查找密钥
+   * @param {string} keyOrId - 完整密钥或 fingerprintKey() 生成的指纹
+   * @returns {Object|null}
+   */
+  findKey(keyOrId) {
+    if (!this.state) this.initState();
+    return this.state.keys.find(k => k.key === keyOrId || fingerprintKey(k.key) === keyOrId) || null;
+  }
+
+  /**
+   * 同步密钥列表（例如 GEMINI_API_KEY 变化后），仍存在的密钥保留原有状态。
+   * 运行时通过 addKey/removeKey 做出的变更会在同步后重新应用。
+   * @param {string} keysString - 新的密钥字符串
+   * @returns {{added: string[], removed: string[], updated: string[]}} 变更的密钥指纹
+   */
+  syncKeys(keysString) {
+    if (!this.state) this.initState();
+
+    const parsed = this._parseKeys(keysString);
+    const existing = new Map(this.state.keys.map(k => [k.key, k]));
+    const diff = { added: [], removed: [], updated: [] };
 
-    // 如果避免最近错误，过滤掉最近出错的密钥
-    if (avoidRecentErrors) {
-      const recentErrorThreshold = Date.now() - 300000; // 5分钟内
-      available = available.filter(k => 
-        !k.lastErrorCode || ((k.last_error_at ?? k.last_checked) < recentErrorThreshold)
-      );
+    const nextKeys = parsed.map(entry => {
+      const current = existing.get(entry.key);
+      if (!current) {
+        diff.added.push(fingerprintKey(entry.key));
+        return entry;
+      }
+      existing.delete(entry.key);
+      let updated = false;
+      if (current.weightOverride == null && current.originalWeight !== entry.originalWeight) {
+        current.originalWeight = entry.originalWeight;
+        updated = true;
+      }
+      if (current.tags.join(':') !== entry.tags.join(':')) {
+        current.tags = entry.tags;
+        updated = true;
+      }
+      if (JSON.stringify(current.schedule) !== JSON.stringify(entry.schedule)) {
+        current.schedule = entry.schedule;
+        updated = true;
+      }
+      if (updated) diff.updated.push(fingerprintKey(entry.key));
+      return current;
+    });
+    for (const removedKey of existing.keys()) {
+      diff.removed.push(fingerprintKey(removedKey));
     }
 
-    // 如果偏好稳定密钥，优先选择错误次数少的
-    if (preferStableKeys && available.length > 1) {
-      available.sort((a, b) => a.errorCount - b.errorCount);
+    this.keysString = keysString;
+    this.initialKeys = parsed;
+    this.state.keys = nextKeys;
+    for (const [fingerprint, change] of Object.entries(this.poolOverrides)) {
+      this._applyPoolOverride(fingerprint, change);
     }
 
-    return this._selectFromAvailable(available);
+    this.logger.info(`密钥池 ${this.poolId} 已同步：新增 ${diff.added.length}，移除 ${diff.removed.length}，配置变更 ${diff.updated.length}`);
+    return diff;
   }
 
   /**
-   * 使用 O(1) 优先级队列算法选择密钥
-   * 保证连续两次请求不会使用同一个 KEY
-   * @private
+   * 运行时向密钥池添加密钥
+   * @param {string} apiKey
+   * @param {number} [weight=1]
+   * @param {string[]} [tags] - 分组标签
+   * @param {Object} [schedule] - 调度窗口 { nbf, exp, hours, tz }，格式同密钥字符串中的元数据（见 key_schedule.js）
+   * @returns {boolean} 是否新增（已存在时返回 false）
+   * @throws {Error} 密钥格式不符时抛出（校验规则同密钥字符串，见 key_validation.js）
    */
-  _selectFromAvailable(keys) {
-    if (keys.length === 0) return null;
+  addKey(apiKey, weight = 1, tags = [], schedule = null) {
+    const { key, warnings, error } = validateKeyEntry(apiKey, this.config.keyValidation);
+    for (const warning of warnings) {
+      this.logger.warn(`密钥池 ${this.poolId} 新增密钥警告:`, JSON.stringify(warning));
+    }
+    if (error) throw new Error(error);
+    apiKey = key;
 
-    // 初始化优先级队列数据结构（O(1) 操作）
-    this._initPriorityQueueIfNeeded();
+    if (!this.state) this.initState();
+    const fingerprint = fingerprintKey(apiKey);
+    this.poolOverrides[fingerprint] = { action: 'add', key: apiKey, weight, tags, schedule, at: Date.now() };
 
-    // 将密钥按权重分组到对应队列（只在初始化时执行）
-    this._rebuildPriorityQueues(keys);
+    const added = this._applyPoolOverride(fingerprint, this.poolOverrides[fingerprint]);
+    this._markDirty(this.findKey(apiKey));
+    this.logger.info(`${added ? '新增' : '已存在'}密钥 ...${apiKey.slice(-4)}（权重 ${weight}）`);
+    return added;
+  }
 
-    // 使用优先级队列选择算法（O(1)）
-    return this._selectFromPriorityQueue();
+  /**
+   * 运行时从密钥池移除密钥
+   * @param {string} keyOrId - 完整密钥或密钥指纹
+   * @returns {boolean} 是否移除成功
+   */
+  removeKey(keyOrId) {
+    const keyObj = this.findKey(keyOrId);
+    if (!keyObj) return false;
+    const fingerprint = fingerprintKey(keyObj.key);
+    this.poolOverrides[fingerprint] = { action: 'remove', at: Date.now() };
+    this._applyPoolOverride(fingerprint, this.poolOverrides[fingerprint]);
+    this._markDirty();
+    this.logger.info(`移除密钥 ...${keyObj.key.slice(-4)}`);
+    return true;
   }
 
   /**
-   * 初始化优先级队列数据结构
+   * 启用或禁用密钥，禁用的密钥不参与选择但保留状态
+   * @param {string} keyOrId - 完整密钥或密钥指纹
+   * @param {boolean} enabled
+   * @param {string} [reason='manual'] - 禁用原因
+   * @returns {boolean} 是否找到该密钥
+   */
+  setKeyEnabled(keyOrId, enabled, reason = 'manual') {
+    const keyObj = this.findKey(keyOrId);
+    if (!keyObj) return false;
+    keyObj.disabled = !enabled;
+    keyObj.disabledReason = enabled ? null : reason;
+    this._markDirty(keyObj);
+    this.logger.info(`密钥 ...${keyObj.key.slice(-4)} 已${enabled ? '启用' : `禁用（${reason}）`}`);
+    return true;
+  }
+
+  /**
+   * 运行时调整密钥权重
+   * @param {string} keyOrId - 完整密钥或密钥指纹
+   * @param {number} weight
+   * @returns {boolean} 是否找到该密钥
+   */
+  setKeyWeight(keyOrId, weight) {
+    const keyObj = this.findKey(keyOrId);
+    if (!keyObj) return false;
+    keyObj.weightOverride = weight;
+    keyObj.originalWeight = weight;
+    this._markDirty(keyObj);
+    this.logger.info(`密钥 ...${keyObj.key.slice(-4)} 权重调整为 ${weight}`);
+    return true;
+  }
+
+  /**
+   * 将一条运行时增删记录应用到当前密钥列表
    * @private
+   * @returns {boolean} 列表是否发生变化
+   */
+  _applyPoolOverride(fingerprint, change) {
+    const index = this.state.keys.findIndex(k => fingerprintKey(k.key) === fingerprint);
+    if (change.action === 'add' && index === -1 && change.key) {
+      const schedule = change.schedule ? parseKeySchedule(change.schedule, `...${change.key.slice(-4)}`) : null;
+      this.state.keys.push(this._createKeyState(change.key, change.weight ?? 1, change.tags || [], schedule));
+      return true;
+    }
+    if (change.action === 'remove' && index !== -1) {
+      this.state.keys.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 解析带权重和标签的密钥字符串，格式为 key[:weight[:tag[:tag...]]][;name=value...]，
+   * 例如 "key1:10:paid,key2:1:free,key3"。没有标签的密钥属于 default 分组。
+   * 分号后的元数据为调度窗口（nbf、exp、hours、tz，见 key_schedule.js），
+   * 例如 "key4:5:paid;exp=2026-12-31;hours=22-08;tz=Asia/Shanghai"。
+   * 条目会先规范化、合并重复并校验格式（见 key_validation.js），警告记录在 configWarnings 中。
+   * @param {string} keysString
+   * @returns {Array<{key: string, originalWeight: number, currentWeight: number, tags: string[], schedule: Object|null, circuit: Object, last_checked: number, errorCount: number}>}
    */
-  _initPriorityQueueIfNeeded() {
-    if (!this.state.priorityQueues) {
-      this.state.priorityQueues = new Map(); // 优先级 -> 队列的映射
-      this.state.priorityList = []; // 优先级列表（按优先级降序排序）
-      this.state.currentPriorityIndex = 0; // 当前优先级索引
-      this.state.currentQueueIndex = 0; // 当前队列中的索引
-      this.state.lastSelectedKey = null; // 记录最后一次选择的密钥
+  _parseKeys(keysString) {
+    const { entries, warnings } = parseKeyEntries(keysString, this.config.keyValidation);
+    this.configWarnings = warnings;
+    for (const warning of warnings) {
+      this.logger.warn(`密钥池 ${this.poolId} 配置警告:`, JSON.stringify(warning));
     }
+    return entries.map(({ key, weight, tags, metadata }) =>
+      this._createKeyState(key, weight, tags, parseKeySchedule(metadata, `...${key.slice(-4)}`))
+    );
   }
 
   /**
-   * 重建优先级队列（只在密钥状态改变时执行）
+   * 创建单个密钥的初始状态
    * @private
+   * @param {string} key
+   * @param {number} weight
+   * @param {string[]} [tags] - 分组标签，为空时归入 default 分组
+   * @param {Object|null} [schedule] - 调度窗口，见 key_schedule.js
+   * @returns {Object}
    */
-  _rebuildPriorityQueues(keys) {
-    const { priorityQueues } = this.state;
+  _createKeyState(key, weight, tags = [], schedule = null) {
+    return {
+      key,
+      originalWeight: weight,
+      tags: tags.length > 0 ? tags : ['default'],
+      schedule,             // 生效/过期时间与每日可用时段，来自配置（不持久化）
+      currentWeight: 0,
+      inFlight: 0,          // 进行中的上游请求数，含未结束的流式响应（不持久化）
+      activeStreams: 0,     // 未结束的流式响应数（不持久化）
+      circuit: CircuitBreaker.createState(), // 熔断器状态，见 circuit_breaker.js
+      last_checked: Date.now(),
+      errorCount: 0,
+      lastErrorCode: null,
+      last_error_at: undefined, // 初始化 last_error_at
+      last_error_message: undefined,
+      cooldownUntil: null,  // 整个密钥的限流冷却截止时间
+      modelCooldowns: {},   // 模型 -> 该模型上的限流冷却截止时间
+      disabled: false,      // 运行时禁用，不参与选择
+      disabledReason: null, // 禁用原因：manual（管理 API）或 API_KEY_INVALID（定时校验发现密钥无效）
+      lastVerifiedAt: null, // 最近一次定时校验的时间
+      reachableModels: null, // 最近一次探测中可访问的模型（不持久化）
+      weightOverride: null  // 运行时设置的权重，覆盖配置中的权重
+    };
+  }
 
-    // 收集所有唯一优先级
-    const uniquePriorities = new Set();
-    for (const keyObj of keys) {
-      const weight = keyObj.dynamicWeight;
-      // 将权重转换为整数优先级（权重越大优先级越高）
-      const priority = Math.max(1, Math.round(weight * 10));
-      uniquePriorities.add(priority);
+  /**
+   * 选择一个 API 密钥。
+   * 先过滤掉禁用、已排除、不在调度窗口内、熔断、冷却中、超出配额和不在路由分组内的密钥，
+   * 再交给配置的选择策略（见 selection_strategies.js）；如果所有密钥的熔断器都已打开则执行全局重置。
+   * @param {Object} [options]
+   * @param {Set<string>} [options.exclude] - 本次不参与选择的密钥（如重试时已尝试过的密钥）
+   * @param {string} [options.model] - 目标模型，用于配额过滤
+   * @param {number} [options.estimatedTokens] - 本次请求预估的 Token 数
+   * @param {boolean} [options.stream] - 是否为流式请求，用于流式并发上限判断
+   * @returns {string|null}
+   */
+  selectKey(options = {}) {
+    if (!this.state) {
+      this.initState();
+    }
+    if (this.state.keys.length === 0) {
+      this.logger.warn('KeyManager has no keys to select');
+      return null;
     }
 
-    // 如果优先级列表发生变化，重建
-    const newPriorityList = Array.from(uniquePriorities).sort((a, b) => b - a);
-    const needRebuild = newPriorityList.join(',') !== this.state.priorityList.join(',');
-
-    if (needRebuild) {
-      // 清空现有队列
-      priorityQueues.clear();
+    const { exclude, model, estimatedTokens = 0, stream = false } = options;
+    const now = Date.now();
+    const candidates = this.state.keys.filter(k =>
+      !k.disabled &&
+      !(exclude && exclude.has(k.key)) &&
+      msUntilWithinSchedule(k.schedule, now) === 0 &&
+      !this._isCoolingDown(k, model, now) &&
+      this._hasCapacity(k, stream) &&
+      this.quotaTracker.canAccept(k.key, model, estimatedTokens)
+    );
+    if (candidates.length === 0) {
+      this.logger.debug(`没有可选密钥（已排除、不在调度窗口内、限流冷却中、并发已满或配额已满，模型: ${model || '未知'}）`);
+      return null;
+    }
 
-      // 为每个优先级创建新队列
-      for (const priority of newPriorityList) {
-        priorityQueues.set(priority, []);
+    // 按模型路由到分组：依次尝试各分组，优先选择有熔断器放行密钥的分组
+    const groups = this.resolveGroups(model);
+    if (groups) {
+      const routed = groups
+        .map(group => candidates.filter(k => k.tags.includes(group)))
+        .filter(list => list.length > 0);
+      if (routed.length === 0) {
+        this.logger.warn(`模型 ${model || '未知'} 路由到分组 [${groups.join(', ')}]，但这些分组中没有可选密钥`);
+        return null;
       }
+      const preferred = routed.find(list => list.some(k => this._isCircuitAllowed(k, now))) || routed[0];
+      return this._selectFromCandidates(preferred, { model, estimatedTokens });
+    }
 
-      // 将密钥分配到对应队列
-      for (const keyObj of keys) {
-        const weight = keyObj.dynamicWeight;
-        const priority = Math.max(1, Math.round(weight * 10));
-        const queue = priorityQueues.get(priority);
-        if (queue) {
-          queue.push(keyObj);
-        }
-      }
+    return this._selectFromCandidates(candidates, { model, estimatedTokens });
+  }
 
-      this.state.priorityList = newPriorityList;
-      this.state.currentPriorityIndex = 0;
-      this.state.currentQueueIndex = 0;
-    }
+  /**
+   * 获取模型应路由到的分组（按优先级排列）
+   * @param {string} [model]
+   * @returns {string[]|null} null 表示不限制分组
+   */
+  resolveGroups(model) {
+    const { rules, defaultGroups } = this.config.routing;
+    const modelName = model ? QuotaTracker.normalizeModel(model) : null;
+    const rule = modelName ? rules.find(r => matchGlob(r.model, modelName)) : null;
+    const groups = rule ? rule.groups : defaultGroups;
+    return Array.isArray(groups) && groups.length > 0 ? groups : null;
   }
 
   /**
-   * 从优先级队列中选择密钥（O(1) 操作）
+   * 在候选密钥中选择熔断器放行的密钥（closed，或仍有试探名额的 half-open）
    * @private
+   * @param {Array<Object>} candidates
+   * @param {Object} context - 传给选择策略的上下文
+   * @returns {string|null}
    */
-  _selectFromPriorityQueue() {
-    const { priorityQueues, priorityList, currentPriorityIndex, currentQueueIndex } = this.state;
-    const priorities = priorityList;
-
-    if (priorities.length === 0) return null;
+  _selectFromCandidates(candidates, context) {
+    const now = Date.now();
+    let available = candidates.filter(k => this._isCircuitAllowed(k, now));
 
-    let priIndex = currentPriorityIndex;
-    let queueIndex = currentQueueIndex;
+    if (available.length === 0) {
+      if (!this._tryGlobalReset(now)) return null;
+      available = candidates.filter(k => this._isCircuitAllowed(k, now));
+      if (available.length === 0) return null;
+    }
 
-    // 尝试从当前优先级队列选择
-    for (let i = 0; i < priorities.length; i++) {
-      const currentPriIndex = (priIndex + i) % priorities.length;
-      const priority = priorities[currentPriIndex];
-      const queue = priorityQueues.get(priority);
+    return this.selectionStrategy.select(available, context);
+  }
 
-      if (!queue || queue.length === 0) continue;
+  /**
+   * 所有候选密钥的熔断器都打开时，按 exhaustion.policy 决定是否全局重置。
+   * 只有 reset 策略会重置，且两次重置之间至少间隔 minResetIntervalMs，避免把流量立即送回刚被限流的密钥。
+   * @private
+   * @returns {boolean} 是否执行了重置
+   */
+  _tryGlobalReset(now = Date.now()) {
+    const { policy, minResetIntervalMs } = this.config.exhaustion;
+    if (policy !== 'reset') {
+      this.logger.warn(`所有 API 密钥的熔断器都已打开（耗尽策略: ${policy}）`);
+      return false;
+    }
+    const sinceLastReset = now - this.state.lastGlobalReset;
+    if (sinceLastReset < minResetIntervalMs) {
+      this.logger.warn(`所有 API 密钥的熔断器都已打开，距上次全局重置仅 ${Math.round(sinceLastReset / 1000)}s，暂不重置`);
+      return false;
+    }
+    this.logger.warn('所有 API 密钥的熔断器都已打开，执行全局重置');
+    this._resetAllKeys();
+    return true;
+  }
 
-      // 避免连续选择同一个密钥
-      if (queue.length === 1 && queue[0].key === this.state.lastSelectedKey) {
-        continue;
+  /**
+   * 按 exhaustion.policy 选择密钥。没有可用密钥时，queue 策略等待最早的密钥恢复（最长 maxWaitMs），
+   * fail / reset 策略立即返回，并给出预计的等待时间供 Retry-After 使用。
+   * @param {Object} [options] - 同 selectKey
+   * @returns {Promise<{apiKey: string|null, retryAfterMs: number|null}>}
+   */
+  async acquireKey(options = {}) {
+    const { policy, maxWaitMs, pollIntervalMs } = this.config.exhaustion;
+    const deadline = Date.now() + maxWaitMs;
+    let queuedAt = null;
+
+    for (;;) {
+      const apiKey = this.selectKey(options);
+      if (apiKey) {
+        if (queuedAt) this.logger.info(`排队 ${Date.now() - queuedAt}ms 后获得密钥 ...${apiKey.slice(-4)}`);
+        return { apiKey, retryAfterMs: null };
       }
+      if (this.state.keys.length === 0) return { apiKey: null, retryAfterMs: null };
 
-      // 从队列中取出密钥
-      const selectedKeyObj = queue[queueIndex % queue.length];
-
-      // 将密钥移至队列尾部（循环移位）
-      if (queue.length > 1) {
-        queue.push(queue.shift());
+      const retryAfterMs = this.getNextAvailableIn(options);
+      const remaining = deadline - Date.now();
+      if (policy !== 'queue' || retryAfterMs == null || retryAfterMs > remaining) {
+        return { apiKey: null, retryAfterMs };
       }
 
-      // 更新状态
-      this.state.currentPriorityIndex = currentPriIndex;
-      this.state.currentQueueIndex = (queueIndex + 1) % queue.length;
-      this.state.lastSelectedKey = selectedKeyObj.key;
+      if (!queuedAt) {
+        queuedAt = Date.now();
+        this.logger.info(`所有密钥暂不可用，排队等待约 ${Math.ceil(retryAfterMs / 1000)}s`);
+      }
+      const delay = Math.min(Math.max(retryAfterMs, pollIntervalMs), Math.max(remaining, 0));
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
 
-      return selectedKeyObj.key;
+  /**
+   * 估算最早有密钥恢复可用的等待时间：每个密钥取调度窗口、冷却、熔断、配额中最晚的解除时间，再取所有密钥中的最小值。
+   * @param {Object} [options] - 同 selectKey（exclude 不参与计算）
+   * @returns {number|null} 毫秒数；没有会自动恢复的密钥（如全部禁用、已过期或认证失败）时返回 null
+   */
+  getNextAvailableIn(options = {}) {
+    if (!this.state) this.initState();
+    const { model, estimatedTokens = 0, stream = false } = options;
+    const now = Date.now();
+    const groups = this.resolveGroups(model);
+    const modelName = model ? QuotaTracker.normalizeModel(model) : null;
+    let earliest = null;
+
+    for (const keyObj of this.state.keys) {
+      if (keyObj.disabled) continue;
+      if (groups && !groups.some(group => keyObj.tags.includes(group))) continue;
+
+      const waits = [
+        msUntilWithinSchedule(keyObj.schedule, now),
+        (keyObj.cooldownUntil || 0) - now,
+        ((modelName && keyObj.modelCooldowns?.[modelName]) || 0) - now,
+        this.quotaTracker.msUntilAvailable(keyObj.key, model, estimatedTokens, now),
+        this._circuitWait(keyObj, now)
+      ];
+      // 并发已满的密钥无法预知何时释放，按轮询间隔估算
+      if (!this._hasCapacity(keyObj, stream)) waits.push(this.config.exhaustion.pollIntervalMs);
+
+      const wait = Math.max(0, ...waits);
+      if (Number.isFinite(wait)) earliest = earliest == null ? wait : Math.min(earliest, wait);
     }
+    return earliest;
+  }
 
-    // 如果所有队列都只有一个密钥且是上次使用的，放宽限制
-    const firstPriority = priorities[0];
-    const queue = priorityQueues.get(firstPriority);
-    if (queue && queue.length > 0) {
-      const selectedKeyObj = queue[queueIndex % queue.length];
-      this.state.currentPriorityIndex = 0;
-      this.state.currentQueueIndex = (queueIndex + 1) % queue.length;
-      this.state.lastSelectedKey = selectedKeyObj.key;
-      return selectedKeyObj.key;
+  /**
+   * 熔断器再次放行请求前的等待时间
+   * @private
+   */
+  _circuitWait(keyObj, now) {
+    const { circuit } = keyObj;
+    if (circuit.state === CircuitState.OPEN) {
+      return circuit.openUntil == null ? Infinity : circuit.openUntil - now;
+    }
+    if (circuit.state === CircuitState.HALF_OPEN && circuit.trialsInFlight >= this.config.circuitBreaker.halfOpenMaxTrials) {
+      return circuit.trialStartedAt + this.config.circuitBreaker.halfOpenTrialTimeoutMs - now;
     }
+    return 0;
+  }
+
+  /**
+   * 判断密钥的熔断器是否放行请求（open 到期时会转为 half-open）
+   * @private
+   * @param {Object} keyObj
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  _isCircuitAllowed(keyObj, now = Date.now()) {
+    const { allowed, transition } = this.circuitBreaker.check(keyObj.circuit, now);
+    if (transition) this._onCircuitTransition(keyObj, transition);
+    return allowed;
+  }
 
-    return null;
+  /**
+   * 记录熔断器状态转换
+   * @private
+   * @param {Object} keyObj
+   * @param {Object|null} transition
+   */
+  _onCircuitTransition(keyObj, transition) {
+    if (!transition) return;
+    const log = transition.to === CircuitState.OPEN ? this.logger.warn : this.logger.info;
+    const until = transition.to === CircuitState.OPEN
+      ? (keyObj.circuit.openUntil ? `，直到 ${new Date(keyObj.circuit.openUntil).toISOString()}` : '，需手动恢复或健康检查通过')
+      : '';
+    log.call(this.logger, `密钥 ...${keyObj.key.slice(-4)} 熔断器: ${transition.from} -> ${transition.to}（${transition.reason}${until}）`);
+    this._markDirty(keyObj);
   }
 
   /**
-   * 根据错误码智能调整密钥权重和健康状态。
+   * 判断密钥当前是否可用于指定模型（在调度窗口内、熔断器放行、未处于限流冷却、未达并发上限且未超出配额）。
+   * @param {string} apiKey
+   * @param {Object} [context]
+   * @param {string} [context.model]
+   * @param {number} [context.estimatedTokens]
+   * @param {boolean} [context.stream]
+   * @returns {boolean}
+   */
+  isKeyAvailable(apiKey, context = {}) {
+    if (!this.state) this.initState();
+    const keyObj = this.state.keys.find(k => k.key === apiKey);
+    if (!keyObj || keyObj.disabled) return false;
+    const { model, estimatedTokens = 0, stream = false } = context;
+    const groups = this.resolveGroups(model);
+    if (groups && !groups.some(group => keyObj.tags.includes(group))) return false;
+    return msUntilWithinSchedule(keyObj.schedule) === 0 &&
+      this._isCircuitAllowed(keyObj) &&
+      !this._isCoolingDown(keyObj, model) &&
+      this._hasCapacity(keyObj, stream) &&
+      this.quotaTracker.canAccept(apiKey, model, estimatedTokens);
+  }
+
+  /**
+   * 判断密钥是否未达到并发上限（流式上限只限制新的流式请求）
+   * @private
+   */
+  _hasCapacity(keyObj, stream = false) {
+    const { maxInFlightPerKey, maxStreamsPerKey } = this.config.concurrency;
+    if (maxInFlightPerKey > 0 && keyObj.inFlight >= maxInFlightPerKey) return false;
+    if (stream && maxStreamsPerKey > 0 && keyObj.activeStreams >= maxStreamsPerKey) return false;
+    return true;
+  }
+
+  /**
+   * 判断密钥是否处于限流冷却期
+   * @private
+   */
+  _isCoolingDown(keyObj, model, now = Date.now()) {
+    if (keyObj.cooldownUntil && keyObj.cooldownUntil > now) return true;
+    const modelName = model ? QuotaTracker.normalizeModel(model) : null;
+    return !!(modelName && keyObj.modelCooldowns?.[modelName] > now);
+  }
+
+  /**
+   * 根据错误类别（见 gemini_errors.ErrorCategory）更新密钥状态：
+   * - client-error：与密钥无关，不记录错误，只释放可能占用的试探名额
+   * - model-transient：只冷却该密钥上的该模型，不计入熔断
+   * - key-fatal / key-transient：记录错误并计入熔断；带有限流提示的 429 按提示的时长冷却（有模型信息时仅冷却该模型）
    * @param {string} apiKey - API 密钥
    * @param {number} errorCode - HTTP 错误码
    * @param {string} errorMessage - 错误信息（可选）
+   * @param {Object} [hints] - 错误提示，限流部分见 gemini_errors.parseRateLimitHints
+   * @param {string} [hints.category] - 错误类别（ErrorCategory），未提供时按状态码判断
+   * @param {string} [hints.errorClass] - 熔断错误类别（FailureClass），未提供时按状态码判断
+   * @param {number|null} [hints.retryAfterMs] - 上游建议的重试等待时间
+   * @param {Array} [hints.quotaViolations] - 触发的配额违规项
+   * @param {string|null} [hints.model] - 受影响的模型
    */
-  handleKeyError(apiKey, errorCode, errorMessage = '') {
+  handleKeyError(apiKey, errorCode, errorMessage = '', hints = {}) {
     if (!this.state) this.initState();
 
     const keyToUpdate = this.state.keys.find(k => k.key === apiKey);
@@ -353,164 +932,234 @@ export class KeyManager {
       return;
     }
 
+    const category = hints.category || classifyGeminiError(errorCode, null).category;
+    if (category === ErrorCategory.CLIENT_ERROR) {
+      this.circuitBreaker.releaseTrial(keyToUpdate.circuit);
+      return;
+    }
+    if (category === ErrorCategory.MODEL_TRANSIENT) {
+      // 没有等待提示时按默认时长冷却该模型；模型过载（没有模型信息）不冷却
+      if (hints.model && !this._applyRateLimitCooldown(keyToUpdate, hints)) {
+        this._applyRateLimitCooldown(keyToUpdate, { ...hints, retryAfterMs: this.config.rateLimit.defaultModelCooldownMs });
+      }
+      this.circuitBreaker.releaseTrial(keyToUpdate.circuit);
+      this._markDirty(keyToUpdate);
+      return;
+    }
+
     keyToUpdate.errorCount++;
     keyToUpdate.lastErrorCode = errorCode;
     keyToUpdate.last_checked = Date.now();
     keyToUpdate.last_error_at = Date.now();
     keyToUpdate.last_error_message = errorMessage;
 
-    // 根据错误码获取权重惩罚
-    const penalty = this.config.errorPenalties[errorCode] || this.config.errorPenalties.default;
-    const newWeight = Math.max(
-      keyToUpdate.dynamicWeight * penalty,
-      this.config.recovery.minWeight
-    );
-
-    this.logger.info(
-      `密钥 ...${apiKey.slice(-4)} 遇到错误 ${errorCode}，权重从 ${keyToUpdate.dynamicWeight.toFixed(2)} 调整为 ${newWeight.toFixed(2)}`
-    );
-
-    keyToUpdate.dynamicWeight = newWeight;
+    const failureClass = hints.errorClass || classifyStatus(errorCode);
+    if (!failureClass || (errorCode === 429 && this._applyRateLimitCooldown(keyToUpdate, hints))) {
+      // 限流冷却或与密钥无关的错误不影响熔断，只释放可能占用的试探名额
+      this.circuitBreaker.releaseTrial(keyToUpdate.circuit);
+      this._markDirty(keyToUpdate);
+      return;
+    }
 
-    // 智能健康状态管理
-    this._updateKeyHealthStatus(keyToUpdate, errorCode);
+    this.logger.info(`密钥 ...${apiKey.slice(-4)} 遇到错误 ${errorCode}（${category}/${failureClass}）`);
+    const transition = this.circuitBreaker.recordFailure(keyToUpdate.circuit, failureClass);
+    this._onCircuitTransition(keyToUpdate, transition);
+    this._markDirty(keyToUpdate);
   }
 
   /**
-   * 更新密钥健康状态
+   * 根据限流提示冷却密钥
    * @private
+   * @returns {boolean} 是否已根据提示设置冷却
    */
-  _updateKeyHealthStatus(keyToUpdate, errorCode) {
-    const wasHealthy = keyToUpdate.healthy;
-    
-    // 严重错误直接标记为不健康
-    if (errorCode === 401 || errorCode === 403) {
-      keyToUpdate.healthy = false;
-      this.logger.warn(`密钥 ...${keyToUpdate.key.slice(-4)} 因认证/权限错误被标记为不健康`);
-    } 
-    // 503 错误特殊处理 - 临时标记为不健康，但快速恢复
-    else if (errorCode === 503) {
-      keyToUpdate.healthy = false;
-      keyToUpdate.temporaryUnhealthy = true; // 标记为临时不健康
-      keyToUpdate.temporaryUnhealthyUntil = Date.now() + 60000; // 1分钟后恢复
-      this.logger.warn(`密钥 ...${keyToUpdate.key.slice(-4)} 因 503 错误被临时标记为不健康`);
+  _applyRateLimitCooldown(keyObj, hints) {
+    const { retryAfterMs = null, quotaViolations = [], model = null } = hints;
+    let cooldownMs = retryAfterMs;
+    // 每日配额耗尽但未给出等待时间时，冷却到下一次太平洋时间零点
+    if (cooldownMs == null && isDailyQuotaViolation(quotaViolations)) {
+      cooldownMs = this.quotaTracker.msUntilDailyReset();
     }
-    // 权重过低时标记为不健康
-    else if (keyToUpdate.dynamicWeight <= this.config.recovery.minWeight) {
-      keyToUpdate.healthy = false;
-      this.logger.warn(`密钥 ...${keyToUpdate.key.slice(-4)} 因权重过低被标记为不健康`);
+    if (cooldownMs == null) return false;
+
+    cooldownMs = Math.min(cooldownMs, this.config.rateLimit.maxCooldownMs);
+    const until = Date.now() + cooldownMs;
+    const metrics = quotaViolations.map(v => v.quotaId || v.quotaMetric).filter(Boolean).join(', ');
+
+    if (model) {
+      const modelName = QuotaTracker.normalizeModel(model);
+      keyObj.modelCooldowns = { ...keyObj.modelCooldowns, [modelName]: until };
+      this.logger.warn(`密钥 ...${keyObj.key.slice(-4)} 在模型 ${modelName} 上被限流，冷却 ${Math.ceil(cooldownMs / 1000)}s${metrics ? `（${metrics}）` : ''}`);
+    } else {
+      keyObj.cooldownUntil = until;
+      this.logger.warn(`密钥 ...${keyObj.key.slice(-4)} 被限流，冷却 ${Math.ceil(cooldownMs / 1000)}s${metrics ? `（${metrics}）` : ''}`);
     }
+    return true;
+  }
 
-    // 记录健康状态变化
-    if (wasHealthy && !keyToUpdate.healthy) {
-      this.logger.info(`密钥 ...${keyToUpdate.key.slice(-4)} 健康状态: 健康 -> 不健康`);
-    }
+  /**
+   * 记录一次发往上游的请求，用于配额统计和进行中请求计数；half-open 的密钥会占用一个试探名额。
+   * 请求结束后需调用 releaseKey() 释放。
+   * @param {string} apiKey
+   * @param {string} model
+   */
+  recordRequest(apiKey, model) {
+    this.quotaTracker.recordRequest(apiKey, model);
+    const keyObj = this.state?.keys.find(k => k.key === apiKey);
+    if (!keyObj) return;
+    keyObj.inFlight = (keyObj.inFlight || 0) + 1;
+    this.circuitBreaker.onRequest(keyObj.circuit);
   }
 
   /**
-   * 将指定的密钥标记为不健康（保持向后兼容）。
+   * 记录密钥开始承载一个流式响应；流结束时需调用 releaseKey(apiKey, { stream: true })。
    * @param {string} apiKey
-   * @deprecated 建议使用 handleKeyError 方法
    */
-  markAsUnhealthy(apiKey) {
-    this.handleKeyError(apiKey, 500, 'Manual mark as unhealthy');
+  recordStreamStart(apiKey) {
+    const keyObj = this.state?.keys.find(k => k.key === apiKey);
+    if (keyObj) keyObj.activeStreams = (keyObj.activeStreams || 0) + 1;
   }
 
   /**
-   * 异步执行健康检查。
+   * 释放一次进行中的请求计数
+   * @param {string} apiKey
+   * @param {Object} [options]
+   * @param {boolean} [options.stream] - 同时释放一个活跃流
    */
-  async healthCheck() {
-    if (!this.state) this.initState();
+  releaseKey(apiKey, options = {}) {
+    const keyObj = this.state?.keys.find(k => k.key === apiKey);
+    if (!keyObj) return;
+    if (keyObj.inFlight > 0) keyObj.inFlight--;
+    if (options.stream && keyObj.activeStreams > 0) keyObj.activeStreams--;
+  }
 
-    const now = Date.now();
-    const checkInterval = this.config.healthCheck.interval;
+  /**
+   * 记录一次成功的上游请求，清零连续失败计数；half-open 的密钥在试探成功足够次数后关闭熔断器。
+   * @param {string} apiKey
+   */
+  recordSuccess(apiKey) {
+    const keyObj = this.state?.keys.find(k => k.key === apiKey);
+    if (!keyObj) return;
+    const transition = this.circuitBreaker.recordSuccess(keyObj.circuit);
+    this._onCircuitTransition(keyObj, transition);
+    this.selectionStrategy.onSuccess?.(apiKey);
+  }
 
-    for (const key of this.state.keys) {
-      if (!key.healthy && (now - key.last_checked > checkInterval)) {
-        this.logger.info(`Performing health check for key ...${key.key.slice(-4)}`);
-        const isNowHealthy = await this._testApiKey(key.key);
-        if (isNowHealthy) {
-          this.recoverKey(key.key);
-          this.logger.info(`Key ...${key.key.slice(-4)} recovered and is now healthy.`);
-        }
-        key.last_checked = now;
-      }
-    }
+  /**
+   * 记录一次上游请求的延迟与结果，用于延迟感知选择。
+   * @param {string} apiKey
+   * @param {number} latencyMs - 从发出请求到收到响应头的耗时
+   * @param {number|null} statusCode - 上游状态码，网络错误时为 null
+   */
+  recordLatency(apiKey, latencyMs, statusCode) {
+    const success = statusCode != null && !classifyStatus(statusCode);
+    this.latencyTracker.record(apiKey, latencyMs, success);
   }
 
   /**
-   * 尝试恢复密钥权重
-   * @private
+   * 记录上游返回的 usageMetadata，用于 TPM 统计。
+   * @param {string} apiKey
+   * @param {string} model
+   * @param {Object} usageMetadata - Gemini usageMetadata 或 OpenAI usage
    */
-  _attemptWeightRecovery() {
-    const now = Date.now();
+  recordUsage(apiKey, model, usageMetadata) {
+    if (!usageMetadata) return;
+    const total = usageMetadata.totalTokenCount ?? usageMetadata.total_tokens ?? 0;
+    this.quotaTracker.recordTokens(apiKey, model, total);
+  }
 
-    for (const key of this.state.keys) {
-      // 检查是否需要尝试恢复
-      if (key.dynamicWeight < key.originalWeight &&
-        now - key.lastRecoveryAttempt >= this.config.recovery.recoveryInterval &&
-        key.recoveryAttempts < this.config.recovery.maxRecoveryAttempts) {
-
-        // 逐步恢复权重
-        const recoveryAmount = key.originalWeight * this.config.recovery.recoveryRate;
-        key.dynamicWeight = Math.min(
-          key.dynamicWeight + recoveryAmount,
-          key.originalWeight
-        );
-
-        key.lastRecoveryAttempt = now;
-        key.recoveryAttempts++;
-
-        // 如果权重恢复到足够高，重新标记为健康
-        if (key.dynamicWeight >= key.originalWeight * this.config.recovery.healthThreshold) {
-          key.healthy = true;
-          this.logger.info(`密钥 ...${key.key.slice(-4)} 权重恢复到 ${key.dynamicWeight.toFixed(2)}，重新标记为健康`);
-        }
-      }
+  /**
+   * 判断上游状态码是否应触发换密钥重试。
+   * @param {number} statusCode - HTTP 状态码
+   * @returns {boolean}
+   */
+  isRetryableStatus(statusCode) {
+    return this.config.retry.retryableStatusCodes.includes(statusCode);
+  }
+
+  /**
+   * 计算第 attempt 次重试前的退避延迟。
+   * 503 使用 serviceUnavailable 配置，其余错误使用 retry 配置。
+   * @param {number} attempt - 重试序号（从 1 开始）
+   * @param {number} errorCode - 触发重试的状态码
+   * @returns {number} 延迟毫秒数
+   */
+  getRetryDelay(attempt, errorCode) {
+    if (errorCode === 503) {
+      const { baseDelay, maxDelay, backoffMultiplier, jitterRange } = this.config.serviceUnavailable;
+      const delay = Math.min(baseDelay * Math.pow(backoffMultiplier, attempt - 1), maxDelay);
+      const jitter = delay * jitterRange * (Math.random() * 2 - 1);
+      return Math.max(0, Math.round(delay + jitter));
     }
+
+    const { baseDelay, maxDelay, exponentialBackoff, jitter } = this.config.retry;
+    let delay = exponentialBackoff ? baseDelay * Math.pow(2, attempt - 1) : baseDelay;
+    delay = Math.min(delay, maxDelay);
+    if (jitter) {
+      // 在 [delay/2, delay] 区间内随机，避免多个请求同时重试
+      delay = delay / 2 + Math.random() * (delay / 2);
+    }
+    return Math.round(delay);
   }
 
   /**
-   * 检查临时不健康的密钥是否应该恢复
-   * @private
+   * 手动将指定的密钥标记为不健康（打开熔断器），之后需手动恢复或等待健康检查通过。
+   * @param {string} keyOrId - 完整密钥或密钥指纹
+   * @param {string} [reason] - 原因
+   * @returns {boolean} 是否找到该密钥
+   */
+  markAsUnhealthy(keyOrId, reason = 'Manual mark as unhealthy') {
+    const keyObj = this.findKey(keyOrId);
+    if (!keyObj) return false;
+    keyObj.last_error_at = Date.now();
+    keyObj.last_error_message = reason;
+    this._onCircuitTransition(keyObj, this.circuitBreaker.forceOpen(keyObj.circuit, reason));
+    this.logger.warn(`密钥 ...${keyObj.key.slice(-4)} 被手动标记为不健康: ${reason}`);
+    return true;
+  }
+
+  /**
+   * 异步执行健康检查，探测熔断器未关闭的密钥，探测通过则关闭熔断器。
    */
-  _checkTemporaryRecovery() {
+  async healthCheck() {
+    if (!this.state) this.initState();
+
     const now = Date.now();
+    const checkInterval = this.config.healthCheck.interval;
 
     for (const key of this.state.keys) {
-      if (key.temporaryUnhealthy && key.temporaryUnhealthyUntil && now >= key.temporaryUnhealthyUntil) {
-        key.healthy = true;
-        key.temporaryUnhealthy = false;
-        key.temporaryUnhealthyUntil = null;
-        this.logger.info(`密钥 ...${key.key.slice(-4)} 临时不健康状态已恢复`);
+      if (key.circuit.state !== CircuitState.CLOSED && (now - key.last_checked > checkInterval)) {
+        this.logger.info(`Performing health check for key ...${key.key.slice(-4)}`);
+        const { ok: isNowHealthy } = await this._testApiKey(key.key);
+        // _testApiKey 探测通过时已恢复密钥
+        if (isNowHealthy) {
+          this.logger.info(`Key ...${key.key.slice(-4)} recovered and is now healthy.`);
+        }
+        key.last_checked = now;
+        this._markDirty(key);
       }
     }
   }
 
   /**
-   * 重置所有密钥状态
+   * 重置所有密钥状态。
+   * 因认证错误或手动打开的熔断器不会被重置，避免把流量送回已失效的密钥。
    * @private
    */
   _resetAllKeys() {
     this.logger.warn('执行全局密钥重置');
 
     for (const key of this.state.keys) {
-      key.healthy = true;
-      key.dynamicWeight = key.originalWeight;
+      const { openReason } = key.circuit;
+      if (openReason !== FailureClass.AUTH && openReason !== FailureClass.MANUAL) {
+        this._onCircuitTransition(key, this.circuitBreaker.reset(key.circuit, 'global reset'));
+      }
       key.currentWeight = 0;
       key.errorCount = 0;
-      key.recoveryAttempts = 0;
-      key.lastRecoveryAttempt = Date.now();
-      key.inQueue = false; // 重置队列标记
-      key.currentPriority = undefined;
+      this._markDirty(key);
     }
 
-    // 重置优先级队列状态
-    this.state.priorityQueues = null;
-    this.state.priorityList = [];
-    this.state.currentPriorityIndex = 0;
-    this.state.currentQueueIndex = 0;
-    this.state.lastSelectedKey = null;
+    // 重置选择策略的内部状态（如轮询队列）
+    this.selectionStrategy.reset?.();
 
     this.state.totalResetCount++;
     this.state.lastGlobalReset = Date.now();
@@ -525,9 +1174,9 @@ export class KeyManager {
   getStats() {
     if (!this.state) this.initState();
 
-    const healthyCount = this.state.keys.filter(k => k.healthy).length;
+    const healthyCount = this.state.keys.filter(k => k.circuit.state === CircuitState.CLOSED).length;
     const totalKeys = this.state.keys.length;
-    const totalWeightSum = this.state.keys.reduce((sum, k) => sum + k.dynamicWeight, 0);
+    const totalWeightSum = this.state.keys.reduce((sum, k) => sum + k.originalWeight, 0);
     const avgWeight = totalKeys > 0 ? (totalWeightSum / totalKeys) : 0;
 
     return {
@@ -536,77 +1185,270 @@ export class KeyManager {
       unhealthyKeys: totalKeys - healthyCount,
       averageWeight: avgWeight.toFixed(2),
       totalResets: this.state.totalResetCount,
-      lastGlobalReset: new Date(this.state.lastGlobalReset).toISOString(),
+      lastGlobalReset: this.state.lastGlobalReset ? new Date(this.state.lastGlobalReset).toISOString() : null,
       keyDetails: this.state.keys.map(k => ({
+        id: fingerprintKey(k.key),
         key: `...${k.key.slice(-4)}`,
-        healthy: k.healthy,
+        healthy: k.circuit.state === CircuitState.CLOSED,
+        disabled: !!k.disabled,
+        disabledReason: k.disabledReason || null,
+        lastVerifiedAt: k.lastVerifiedAt ? new Date(k.lastVerifiedAt).toISOString() : null,
+        reachableModels: k.reachableModels,
+        tags: k.tags,
+        schedule: describeSchedule(k.schedule),
+        withinSchedule: msUntilWithinSchedule(k.schedule) === 0,
         originalWeight: k.originalWeight,
-        currentWeight: parseFloat(k.dynamicWeight.toFixed(2)),
+        currentWeight: k.originalWeight,
+        inFlight: k.inFlight || 0,
+        activeStreams: k.activeStreams || 0,
         errorCount: k.errorCount,
-        lastErrorCode: k.lastErrorCode
+        lastErrorCode: k.lastErrorCode,
+        circuit: {
+          state: k.circuit.state,
+          openReason: k.circuit.openReason,
+          openedAt: k.circuit.openedAt ? new Date(k.circuit.openedAt).toISOString() : null,
+          openUntil: k.circuit.openUntil ? new Date(k.circuit.openUntil).toISOString() : null,
+          consecutiveFailures: k.circuit.failures,
+          history: k.circuit.history.map(t => ({ ...t, at: new Date(t.at).toISOString() }))
+        },
+        cooldownUntil: k.cooldownUntil && k.cooldownUntil > Date.now() ? new Date(k.cooldownUntil).toISOString() : null,
+        modelCooldowns: Object.fromEntries(
+          Object.entries(k.modelCooldowns || {})
+            .filter(([, until]) => until > Date.now())
+            .map(([m, until]) => [m, new Date(until).toISOString()])
+        ),
+        latency: this.latencyTracker.getStats(k.key),
+        quota: this.quotaTracker.getUsage(k.key)
       }))
     };
   }
 
+  /**
+   * 获取即将过期（以及已经过期）的密钥，按过期时间排序
+   * @param {number} withinMs - 只返回在该时长内过期的密钥
+   * @returns {Array<{id: string, key: string, expiresAt: string, expiresInMs: number, expired: boolean}>}
+   */
+  getUpcomingExpirations(withinMs) {
+    if (!this.state) this.initState();
+    const now = Date.now();
+    return this.state.keys
+      .filter(k => k.schedule?.expiresAt != null && k.schedule.expiresAt - now <= withinMs)
+      .sort((a, b) => a.schedule.expiresAt - b.schedule.expiresAt)
+      .map(k => ({
+        id: fingerprintKey(k.key),
+        key: `...${k.key.slice(-4)}`,
+        expiresAt: new Date(k.schedule.expiresAt).toISOString(),
+        expiresInMs: Math.max(0, k.schedule.expiresAt - now),
+        expired: k.schedule.expiresAt <= now
+      }));
+  }
+
   /**
    * 手动恢复指定密钥
-   * @param {string} apiKey - 要恢复的密钥
+   * @param {string} apiKey - 要恢复的密钥（完整密钥或密钥指纹）
+   * @returns {boolean} 是否找到该密钥
    */
   recoverKey(apiKey) {
     if (!this.state) this.initState();
 
-    const keyToRecover = this.state.keys.find(k => k.key === apiKey);
+    const keyToRecover = this.findKey(apiKey);
     if (keyToRecover) {
-      keyToRecover.healthy = true;
-      keyToRecover.dynamicWeight = keyToRecover.originalWeight;
+      this._onCircuitTransition(keyToRecover, this.circuitBreaker.reset(keyToRecover.circuit, 'manual recovery'));
       keyToRecover.errorCount = 0;
-      keyToRecover.recoveryAttempts = 0;
-      keyToRecover.lastRecoveryAttempt = Date.now();
-      keyToRecover.temporaryUnhealthy = false;
-      keyToRecover.temporaryUnhealthyUntil = null;
       keyToRecover.lastErrorCode = null;
       keyToRecover.last_error_at = undefined;
       keyToRecover.last_error_message = undefined;
+      keyToRecover.cooldownUntil = null;
+      keyToRecover.modelCooldowns = {};
+      this._markDirty(keyToRecover);
 
-      this.logger.info(`手动恢复密钥 ...${apiKey.slice(-4)}`);
+      this.logger.info(`手动恢复密钥 ...${keyToRecover.key.slice(-4)}`);
     }
+    return !!keyToRecover;
   }
 
   /**
-   * 测试单个 API 密钥的有效性。
+   * 校验密钥池中所有未禁用的密钥（不论熔断状态），供定时任务调用。
+   * 校验通过的密钥关闭熔断器；返回 API_KEY_INVALID 的密钥被永久禁用，只能通过管理 API 重新启用；
+   * 其他失败按错误类别计入熔断。
+   * @returns {Promise<Object>} 校验报告：summary 汇总、changes 状态变化的密钥、results 每个密钥的结果
+   */
+  async verifyAllKeys() {
+    if (!this.state) this.initState();
+
+    const startedAt = Date.now();
+    const targets = this.state.keys.filter(k => !k.disabled);
+    const results = new Array(targets.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < targets.length) {
+        const index = next++;
+        results[index] = await this._verifyKey(targets[index]);
+      }
+    };
+    const concurrency = Math.max(1, Math.min(this.config.healthCheck.verifyConcurrency, targets.length));
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    const changes = results
+      .filter(r => r.before !== r.after)
+      .map(({ id, key, before, after, reason }) => ({ id, key, from: before, to: after, reason }));
+
+    const report = {
+      pool: this.poolId,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      summary: {
+        total: this.state.keys.length,
+        checked: results.length,
+        skipped: this.state.keys.length - results.length,
+        valid: results.filter(r => r.status === 'valid').length,
+        invalid: results.filter(r => r.status === 'invalid').length,
+        failed: results.filter(r => r.status === 'error').length,
+        changed: changes.length
+      },
+      changes,
+      results
+    };
+    this.logger.info(`密钥校验完成：${report.summary.valid}/${report.summary.checked} 有效，${report.summary.invalid} 个无效已禁用，${changes.length} 个状态变化`);
+    return report;
+  }
+
+  /**
+   * 校验单个密钥并更新状态
+   * @private
+   */
+  async _verifyKey(keyObj) {
+    const describe = () => keyObj.disabled ? 'disabled' : keyObj.circuit.state;
+    const before = describe();
+    const probe = await this._testApiKey(keyObj.key);
+    keyObj.lastVerifiedAt = Date.now();
+
+    let status = probe.ok ? 'valid' : 'error';
+    if (!probe.ok && probe.reason === 'API_KEY_INVALID') {
+      this.setKeyEnabled(keyObj.key, false, 'API_KEY_INVALID');
+      status = 'invalid';
+    }
+    this._markDirty(keyObj);
+
+    return {
+      id: fingerprintKey(keyObj.key),
+      key: `...${keyObj.key.slice(-4)}`,
+      status,
+      httpStatus: probe.status,
+      category: probe.category,
+      reason: probe.reason,
+      message: probe.message || undefined,
+      reachableModels: probe.reachableModels,
+      before,
+      after: describe()
+    };
+  }
+
+  /**
+   * 测试单个 API 密钥的有效性，并按结果更新熔断器。
+   * 按 healthCheck.probe 探测：models 只列出模型；countTokens / generate 逐个探测 probeModels，
+   * 模型不存在或模型维度限流只记为该模型不可访问，密钥级错误（失效、限流、5xx、网络）才计为探测失败；
+   * 没有任何模型可访问时也计为探测失败，不恢复密钥。
    * @param {string} apiKey
-   * @returns {Promise<boolean>}
+   * @returns {Promise<{ok: boolean, status: number|null, category: string|null, reason: string|null, message: string, reachableModels: string[]}>}
    */
   async _testApiKey(apiKey) {
-    try {
-      const testUrl = this.config.healthCheck.testEndpoint;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.config.healthCheck.timeout);
+    const { probe, probeModels } = this.config.healthCheck;
+    const targets = probe === 'models' ? [null] : probeModels;
+    const reachableModels = [];
+    let result = { ok: true, status: null, category: null, reason: null, message: '' };
+    let modelFailure = null;
+
+    for (const model of targets) {
+      const attempt = await this._probe(apiKey, probe, model);
+      if (attempt.ok) {
+        result.status = attempt.status;
+        reachableModels.push(...attempt.models);
+        continue;
+      }
+      if (attempt.category === ErrorCategory.CLIENT_ERROR || attempt.category === ErrorCategory.MODEL_TRANSIENT) {
+        this.logger.info(`密钥 ...${apiKey.slice(-4)} 无法访问模型 ${model}（${attempt.reason || attempt.status}）`);
+        result.status ??= attempt.status;
+        modelFailure = attempt;
+        continue;
+      }
+      result = { ...attempt, ok: false };
+      break;
+    }
+    if (result.ok && reachableModels.length === 0) {
+      result = modelFailure
+        ? { ...modelFailure, ok: false }
+        : { ...result, ok: false, category: ErrorCategory.CLIENT_ERROR, reason: 'NO_REACHABLE_MODEL', message: 'No model is reachable with this key' };
+    }
 
-      const response = await fetch(testUrl, {
-        method: 'GET',
-        headers: { 'x-goog-api-key': apiKey },
-        signal: controller.signal
+    const keyToUpdate = this.state.keys.find(k => k.key === apiKey);
+    if (keyToUpdate) keyToUpdate.reachableModels = reachableModels;
+
+    if (result.ok) {
+      // 如果测试成功，恢复该密钥
+      if (keyToUpdate && keyToUpdate.circuit.state !== CircuitState.CLOSED) {
+        this.recoverKey(apiKey);
+      }
+    } else if (result.status == null) {
+      this.handleKeyError(apiKey, 500, result.message, { errorClass: FailureClass.NETWORK });
+    } else {
+      // 如果测试失败，按错误体归类后记录错误
+      this.handleKeyError(apiKey, result.status, `Health check failed${result.reason ? ` (${result.reason})` : ''}`, {
+        category: result.category,
+        errorClass: result.failureClass
       });
+    }
 
-      clearTimeout(timeoutId);
+    const { ok, status, category, reason, message } = result;
+    return { ok, status, category, reason, message, reachableModels };
+  }
+
+  /**
+   * 发送一次探测请求
+   * @private
+   * @param {string} apiKey
+   * @param {string} probe - models | countTokens | generate
+   * @param {string|null} model
+   * @returns {Promise<Object>} 成功时 { ok, status, models }，失败时为 classifyGeminiError 的结果加 { ok, status }
+   */
+  async _probe(apiKey, probe, model) {
+    const { baseUrl, apiVersion } = this.upstream;
+    const modelName = model && QuotaTracker.normalizeModel(model);
+    const contents = [{ role: 'user', parts: [{ text: 'ping' }] }];
+    const request = {
+      models: { url: `${baseUrl}/${apiVersion}/models?pageSize=1000`, method: 'GET' },
+      countTokens: { url: `${baseUrl}/${apiVersion}/models/${modelName}:countTokens`, method: 'POST', body: { contents } },
+      generate: {
+        url: `${baseUrl}/${apiVersion}/models/${modelName}:generateContent`,
+        method: 'POST',
+        body: { contents, generationConfig: { maxOutputTokens: 1 } }
+      }
+    }[probe];
+    if (!request) throw new Error(`未知的健康探测方式: ${probe}`);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.healthCheck.timeout);
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: { 'x-goog-api-key': apiKey, 'Content-Type': 'application/json' },
+        body: request.body ? JSON.stringify(request.body) : undefined,
+        signal: controller.signal
+      });
+      const body = await response.json().catch(() => null);
 
       if (response.ok) {
-        // 如果测试成功，恢复该密钥
-        const keyToUpdate = this.state.keys.find(k => k.key === apiKey);
-        if (keyToUpdate && !keyToUpdate.healthy) {
-          this.recoverKey(apiKey);
-        }
-        return true;
-      } else {
-        // 如果测试失败，记录错误
-        this.handleKeyError(apiKey, response.status, `Health check failed`);
-        return false;
+        const models = probe === 'models'
+          ? (body?.models || []).map(m => QuotaTracker.normalizeModel(m.name))
+          : [modelName];
+        return { ok: true, status: response.status, models };
       }
+      return { ok: false, status: response.status, ...classifyGeminiError(response.status, body) };
     } catch (error) {
       this.logger.error(`Health check failed for key ending with ...${apiKey.slice(-4)}:`, error);
-      this.handleKeyError(apiKey, 500, error.message);
-      return false;
+      return { ok: false, status: null, category: ErrorCategory.KEY_TRANSIENT, failureClass: FailureClass.NETWORK, reason: 'NETWORK_ERROR', message: error.message };
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
 
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AdminEndpoint } from '../src/admin_endpoint.js';
+import { KeyManager } from '../src/utils.js';
+import { silentLogger } from './helpers/logger.js';
+
+const env = { ADMIN_TOKEN: 'admin-token', KEY_ENCRYPTION_SECRET: 'encryption-secret', JWT_SECRET: 'jwt-secret' };
+
+function post(path, body, token = env.ADMIN_TOKEN) {
+  return new Request(`https://proxy.example${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body
+  });
+}
+
+test('未设置 ADMIN_TOKEN 时禁用管理接口，令牌错误返回 401', async () => {
+  const disabled = await new AdminEndpoint({}).handleAdminRequest(post('/admin/keys', '{}', ''));
+  assert.equal(disabled.status, 403);
+
+  const unauthorized = await new AdminEndpoint(env).handleAdminRequest(post('/admin/keys', '{}', 'wrong'));
+  assert.equal(unauthorized.status, 401);
+});
+
+for (const path of ['/admin/encrypt', '/admin/jwt']) {
+  test(`${path}: null、数组或非法 JSON 请求体返回 400`, async () => {
+    const admin = new AdminEndpoint(env);
+    for (const body of ['null', '[1]', '"text"', '{"keys":']) {
+      const response = await admin.handleAdminRequest(post(path, body));
+      assert.equal(response.status, 400, `body ${body}`);
+      assert.equal(typeof (await response.json()).error, 'string');
+    }
+  });
+}
+
+test('/admin/encrypt 与 /admin/jwt 接受合法请求体', async () => {
+  const admin = new AdminEndpoint(env);
+  const encrypted = await admin.handleAdminRequest(post('/admin/encrypt', JSON.stringify({ keys: 'AIza-test-key' })));
+  assert.equal(encrypted.status, 200);
+  assert.equal(typeof (await encrypted.json()).value, 'string');
+
+  const minted = await admin.handleAdminRequest(post('/admin/jwt', JSON.stringify({ sub: 'ci', ttl: 60 })));
+  assert.equal(minted.status, 201);
+});
+
+test('POST /admin/keys 规范化密钥，格式不符时返回 400', async () => {
+  const key = `AIza${'k'.repeat(35)}`;
+  KeyManager.getInstance(`AIza${'d'.repeat(35)}`, silentLogger);
+  const admin = new AdminEndpoint(env);
+
+  const malformed = await admin.handleAdminRequest(post('/admin/keys', JSON.stringify({ key: 'AIza-not-a-key' })));
+  assert.equal(malformed.status, 400);
+  assert.match((await malformed.json()).error, /format/);
+
+  const added = await admin.handleAdminRequest(post('/admin/keys', JSON.stringify({ key: ` "${key}" ` })));
+  assert.equal(added.status, 201);
+  assert.equal(KeyManager.getPool('default').findKey(key)?.key, key);
+});
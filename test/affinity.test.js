@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AffinityRouter } from '../src/affinity.js';
+import { MemoryStorage } from '../src/storage.js';
+import { KeyManager } from '../src/utils.js';
+import { silentLogger } from './helpers/logger.js';
+
+const KEY_A = `AIza${'a'.repeat(35)}`;
+const KEY_B = `AIza${'b'.repeat(35)}`;
+
+const config = {
+  resourceTtlMs: 172800000,
+  uploadTtlMs: 86400000,
+  conversation: { enabled: true, ttlMs: 3600000 }
+};
+
+function setup() {
+  const manager = new KeyManager([KEY_A, KEY_B].join(','), silentLogger, { skipRegistryCheck: true, poolId: 'affinity-test' });
+  manager.initState();
+  const router = new AffinityRouter(config, silentLogger);
+  router.attachStorage(new MemoryStorage());
+  return { manager, router };
+}
+
+const json = body => new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+const proxyUrl = path => new URL(`https://proxy.example${path}`);
+
+test('extractResourceRefs 从路径、查询参数和请求体中提取资源', () => {
+  const refs = AffinityRouter.extractResourceRefs(
+    proxyUrl('/v1beta/files/abc-1?upload_id=up_9'),
+    { cachedContent: 'cachedContents/xyz', contents: [{ parts: [{ fileData: { fileUri: 'https://generativelanguage.googleapis.com/v1beta/files/def' } }] }] }
+  );
+  assert.deepEqual(refs.sort(), ['cachedContents/xyz', 'files/abc-1', 'files/def', 'upload/up_9']);
+  assert.deepEqual(AffinityRouter.extractResourceRefs(proxyUrl('/v1beta/models'), null), []);
+});
+
+test('引用已记录资源的请求固定到所属密钥，密钥禁用或资源删除后不再固定', async () => {
+  const { manager, router } = setup();
+  const upload = { url: proxyUrl('/v1beta/files'), method: 'POST', isStream: false };
+  await router.recordResponse(json({ file: { name: 'files/abc' } }), KEY_B, upload);
+
+  const request = { url: proxyUrl('/v1beta/models/gemini-2.5-flash:generateContent'), requestJson: { contents: [{ parts: [{ fileData: { fileUri: 'files/abc' } }] }] }, model: 'gemini-2.5-flash' };
+  assert.deepEqual(await router.resolve(manager, request), { apiKey: KEY_B, pinned: true, conversationHash: null });
+
+  manager.findKey(KEY_B).disabled = true;
+  assert.equal((await router.resolve(manager, request)).pinned, false);
+  manager.findKey(KEY_B).disabled = false;
+
+  await router.recordResponse(new Response(null, { status: 200 }), KEY_B, { url: proxyUrl('/v1beta/files/abc'), method: 'DELETE', isStream: false });
+  assert.equal((await router.resolve(manager, request)).pinned, false);
+});
+
+test('可续传上传地址改写为代理地址，后续分片固定到创建会话的密钥', async () => {
+  const { manager, router } = setup();
+  const upstream = new Response(null, {
+    status: 200,
+    headers: { 'x-goog-upload-url': 'https://generativelanguage.googleapis.com/upload/v1beta/files?upload_id=up_1&upload_protocol=resumable' }
+  });
+
+  const response = await router.recordResponse(upstream, KEY_A, { url: proxyUrl('/upload/v1beta/files'), method: 'POST', isStream: false });
+  assert.equal(response.headers.get('x-goog-upload-url'), 'https://proxy.example/upload/v1beta/files?upload_id=up_1&upload_protocol=resumable');
+
+  const resolved = await router.resolve(manager, { url: new URL(response.headers.get('x-goog-upload-url')), requestJson: null, model: null });
+  assert.equal(resolved.apiKey, KEY_A);
+  assert.equal(resolved.pinned, true);
+});
+
+test('会话亲和按会话前缀复用可用的密钥', async () => {
+  const { manager, router } = setup();
+  const firstTurn = { contents: [{ role: 'user', parts: [{ text: 'hi' }] }] };
+  const laterTurn = { contents: [...firstTurn.contents, { role: 'model', parts: [{ text: 'hello' }] }, { role: 'user', parts: [{ text: 'again' }] }] };
+
+  const hash = await AffinityRouter.conversationHash('models/gemini-2.5-flash', firstTurn);
+  assert.equal(await AffinityRouter.conversationHash('gemini-2.5-flash', laterTurn), hash);
+  assert.notEqual(await AffinityRouter.conversationHash('gemini-2.5-pro', firstTurn), hash);
+  assert.equal(await AffinityRouter.conversationHash('gemini-2.5-flash', {}), null);
+
+  const request = { url: proxyUrl('/v1beta/models/gemini-2.5-flash:generateContent'), requestJson: laterTurn, model: 'gemini-2.5-flash', selectionContext: {} };
+  assert.deepEqual(await router.resolve(manager, request), { apiKey: null, pinned: false, conversationHash: hash });
+
+  await router.recordConversation(hash, KEY_B);
+  assert.deepEqual(await router.resolve(manager, request), { apiKey: KEY_B, pinned: false, conversationHash: hash });
+
+  // 密钥不可用时不复用，交给常规策略
+  manager.findKey(KEY_B).disabled = true;
+  assert.equal((await router.resolve(manager, request)).apiKey, null);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CircuitBreaker, CircuitState, FailureClass, classifyStatus } from '../src/circuit_breaker.js';
+
+const config = {
+  failureThresholds: { server: 3, network: 3, rateLimit: 1, auth: 1 },
+  openDurations: { server: 1000, network: 1000, rateLimit: 500, auth: null, manual: null },
+  backoffMultiplier: 2,
+  maxOpenDurationMs: 3000,
+  halfOpenMaxTrials: 1,
+  halfOpenSuccessThreshold: 2,
+  halfOpenTrialTimeoutMs: 10000,
+  historySize: 3
+};
+
+function openServerCircuit(breaker, now = 0) {
+  const circuit = CircuitBreaker.createState();
+  for (let i = 0; i < 3; i++) breaker.recordFailure(circuit, FailureClass.SERVER, now);
+  return circuit;
+}
+
+test('classifyStatus 把状态码映射为错误类别', () => {
+  assert.equal(classifyStatus(401), FailureClass.AUTH);
+  assert.equal(classifyStatus(403), FailureClass.AUTH);
+  assert.equal(classifyStatus(429), FailureClass.RATE_LIMIT);
+  assert.equal(classifyStatus(503), FailureClass.SERVER);
+  assert.equal(classifyStatus(404), null);
+});
+
+test('连续失败达到阈值才打开，成功清零计数', () => {
+  const breaker = new CircuitBreaker(config);
+  const circuit = CircuitBreaker.createState();
+  breaker.recordFailure(circuit, FailureClass.SERVER, 0);
+  breaker.recordFailure(circuit, FailureClass.SERVER, 0);
+  breaker.recordSuccess(circuit, 0);
+  breaker.recordFailure(circuit, FailureClass.SERVER, 0);
+  assert.equal(circuit.state, CircuitState.CLOSED);
+
+  const transition = breaker.recordFailure(openServerCircuit(breaker), FailureClass.SERVER, 0);
+  assert.equal(transition, null, '已打开后不重复打开');
+  const opened = openServerCircuit(breaker);
+  assert.equal(opened.state, CircuitState.OPEN);
+  assert.equal(opened.openUntil, 1000);
+  assert.equal(breaker.check(opened, 999).allowed, false);
+});
+
+test('到期后进入 half-open，只放行有限的试探请求，连续成功后关闭', () => {
+  const breaker = new CircuitBreaker(config);
+  const circuit = openServerCircuit(breaker);
+
+  const { allowed, transition } = breaker.check(circuit, 1000);
+  assert.equal(allowed, true);
+  assert.deepEqual(transition, { from: CircuitState.OPEN, to: CircuitState.HALF_OPEN, reason: 'open timeout elapsed', at: 1000 });
+
+  breaker.onRequest(circuit, 1000);
+  assert.equal(breaker.check(circuit, 1001).allowed, false);
+  assert.equal(breaker.recordSuccess(circuit, 1002), null);
+
+  breaker.onRequest(circuit, 1003);
+  assert.equal(breaker.recordSuccess(circuit, 1004).to, CircuitState.CLOSED);
+  assert.equal(circuit.openCount, 0);
+});
+
+test('试探失败重新打开并按倍数延长打开时长，最长 maxOpenDurationMs', () => {
+  const breaker = new CircuitBreaker(config);
+  const circuit = openServerCircuit(breaker);
+  let now = 0;
+  const durations = [];
+  for (let i = 0; i < 3; i++) {
+    now = circuit.openUntil;
+    breaker.check(circuit, now);
+    breaker.onRequest(circuit, now);
+    breaker.recordFailure(circuit, FailureClass.NETWORK, now);
+    durations.push(circuit.openUntil - now);
+  }
+  assert.deepEqual(durations, [2000, 3000, 3000]);
+  assert.equal(circuit.history.length, config.historySize);
+});
+
+test('试探请求超时后释放名额', () => {
+  const breaker = new CircuitBreaker(config);
+  const circuit = openServerCircuit(breaker);
+  breaker.check(circuit, 1000);
+  breaker.onRequest(circuit, 1000);
+  assert.equal(breaker.check(circuit, 5000).allowed, false);
+  assert.equal(breaker.check(circuit, 11001).allowed, true);
+});
+
+test('认证错误与手动打开不会自动到期，只能 reset', () => {
+  const breaker = new CircuitBreaker(config);
+  const circuit = openServerCircuit(breaker);
+  breaker.recordFailure(circuit, FailureClass.AUTH, 10);
+  assert.equal(circuit.openReason, FailureClass.AUTH);
+  assert.equal(circuit.openUntil, null);
+  assert.equal(breaker.check(circuit, Number.MAX_SAFE_INTEGER).allowed, false);
+
+  assert.equal(breaker.reset(circuit, 'manual recovery', 20).to, CircuitState.CLOSED);
+  assert.equal(breaker.reset(circuit, 'manual recovery', 21), null);
+
+  breaker.forceOpen(circuit, 'marked unhealthy', 30);
+  assert.equal(circuit.openReason, FailureClass.MANUAL);
+  assert.equal(breaker.check(circuit, Number.MAX_SAFE_INTEGER).allowed, false);
+});
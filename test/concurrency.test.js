@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KeyManager } from '../src/utils.js';
+import { LeastInFlightStrategy } from '../src/selection_strategies.js';
+import { silentLogger } from './helpers/logger.js';
+
+const KEY_A = `AIza${'a'.repeat(35)}`;
+const KEY_B = `AIza${'b'.repeat(35)}`;
+
+function createManager(concurrency) {
+  const manager = new KeyManager([KEY_A, KEY_B].join(','), silentLogger, { skipRegistryCheck: true, poolId: 'concurrency-test' });
+  manager.config = { ...manager.config, concurrency: { ...manager.config.concurrency, ...concurrency } };
+  manager.selectionStrategy = new LeastInFlightStrategy();
+  manager.initState();
+  return manager;
+}
+
+test('least-in-flight 按权重归一化的负载选择，负载相同时按 swrr 轮转', () => {
+  const strategy = new LeastInFlightStrategy();
+  const keys = [
+    { key: 'a', originalWeight: 2, currentWeight: 0, inFlight: 2 },
+    { key: 'b', originalWeight: 1, currentWeight: 0, inFlight: 1 },
+    { key: 'c', originalWeight: 1, currentWeight: 0, inFlight: 2 }
+  ];
+  assert.deepEqual([strategy.select(keys), strategy.select(keys), strategy.select(keys)], ['a', 'b', 'a']);
+});
+
+test('达到 maxInFlightPerKey 的密钥不参与选择，releaseKey 后恢复', () => {
+  const manager = createManager({ maxInFlightPerKey: 1, maxStreamsPerKey: 0 });
+
+  const first = manager.selectKey();
+  manager.recordRequest(first, 'gemini-2.5-flash');
+  const second = manager.selectKey();
+  assert.notEqual(second, first);
+  manager.recordRequest(second, 'gemini-2.5-flash');
+  assert.equal(manager.selectKey(), null);
+
+  manager.releaseKey(first);
+  assert.equal(manager.selectKey(), first);
+  // 计数不会减到负数
+  manager.releaseKey(second);
+  manager.releaseKey(second);
+  assert.equal(manager.state.keys.find(k => k.key === second).inFlight, 0);
+});
+
+test('maxStreamsPerKey 只限制新的流式请求', () => {
+  const manager = createManager({ maxInFlightPerKey: 0, maxStreamsPerKey: 1 });
+  manager.recordStreamStart(KEY_A);
+  manager.recordStreamStart(KEY_B);
+
+  assert.equal(manager.selectKey({ stream: true }), null);
+  assert.notEqual(manager.selectKey(), null);
+
+  manager.releaseKey(KEY_B, { stream: true });
+  assert.equal(manager.selectKey({ stream: true }), KEY_B);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ErrorCategory, classifyGeminiError, isDailyQuotaViolation, parseDuration, parseRateLimitHints } from '../src/gemini_errors.js';
+import { FailureClass } from '../src/circuit_breaker.js';
+
+const errorInfo = reason => ({ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason, domain: 'googleapis.com' });
+const quotaFailure = violations => ({ '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations });
+const errorBody = (code, status, message, details = []) => ({ error: { code, status, message, details } });
+
+test('classifyGeminiError: ErrorInfo 中的密钥失效原因归为 key-fatal', () => {
+  const result = classifyGeminiError(400, errorBody(400, 'INVALID_ARGUMENT', 'API key not valid.', [errorInfo('API_KEY_INVALID')]));
+  assert.equal(result.category, ErrorCategory.KEY_FATAL);
+  assert.equal(result.failureClass, FailureClass.AUTH);
+  assert.equal(result.reason, 'API_KEY_INVALID');
+});
+
+test('classifyGeminiError: OpenAI 兼容数组错误体按错误信息识别密钥失效', () => {
+  const result = classifyGeminiError(400, [errorBody(400, 'INVALID_ARGUMENT', 'API key expired. Please renew the API key.')]);
+  assert.equal(result.category, ErrorCategory.KEY_FATAL);
+});
+
+test('classifyGeminiError: 仅按模型计量的 429 只冷却该模型', () => {
+  const body = errorBody(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded', [
+    quotaFailure([{ quotaMetric: 'generate_content_free_tier_requests', quotaId: 'GenerateRequestsPerMinutePerProjectPerModel-FreeTier', quotaDimensions: { model: 'gemini-2.5-pro' } }])
+  ]);
+  const result = classifyGeminiError(429, body);
+  assert.equal(result.category, ErrorCategory.MODEL_TRANSIENT);
+  assert.equal(result.failureClass, null);
+});
+
+test('classifyGeminiError: 没有模型维度的 429 计入密钥限流', () => {
+  const result = classifyGeminiError(429, errorBody(429, 'RESOURCE_EXHAUSTED', 'Resource has been exhausted'));
+  assert.equal(result.category, ErrorCategory.KEY_TRANSIENT);
+  assert.equal(result.failureClass, FailureClass.RATE_LIMIT);
+});
+
+test('classifyGeminiError: 503 过载按模型冷却，其他 5xx 计入服务端错误', () => {
+  assert.equal(classifyGeminiError(503, errorBody(503, 'UNAVAILABLE', 'The model is overloaded.')).category, ErrorCategory.MODEL_TRANSIENT);
+  const result = classifyGeminiError(500, errorBody(500, 'INTERNAL', 'Internal error'));
+  assert.equal(result.category, ErrorCategory.KEY_TRANSIENT);
+  assert.equal(result.failureClass, FailureClass.SERVER);
+});
+
+test('classifyGeminiError: 地区不支持与文件 403 不惩罚密钥', () => {
+  const location = classifyGeminiError(400, errorBody(400, 'FAILED_PRECONDITION', 'User location is not supported for the API use.'));
+  assert.equal(location.category, ErrorCategory.CLIENT_ERROR);
+  const file = classifyGeminiError(403, errorBody(403, 'PERMISSION_DENIED', 'You do not have permission to access the File abc or it may not exist.'));
+  assert.equal(file.category, ErrorCategory.CLIENT_ERROR);
+  assert.equal(classifyGeminiError(403, errorBody(403, 'PERMISSION_DENIED', 'Permission denied')).category, ErrorCategory.KEY_FATAL);
+});
+
+test('classifyGeminiError: 无法解析的错误体按状态码归类', () => {
+  assert.equal(classifyGeminiError(401, null).category, ErrorCategory.KEY_FATAL);
+  assert.equal(classifyGeminiError(404, null).category, ErrorCategory.CLIENT_ERROR);
+  assert.equal(classifyGeminiError(502, null).category, ErrorCategory.KEY_TRANSIENT);
+});
+
+test('parseDuration 支持字符串与 { seconds, nanos }', () => {
+  assert.equal(parseDuration('37s'), 37000);
+  assert.equal(parseDuration('1.5s'), 1500);
+  assert.equal(parseDuration({ seconds: 2, nanos: 500000000 }), 2500);
+  assert.equal(parseDuration('soon'), null);
+});
+
+test('parseRateLimitHints: RetryInfo 优先于 Retry-After 响应头', () => {
+  const response = new Response(null, { status: 429, headers: { 'retry-after': '5' } });
+  const body = errorBody(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded', [
+    { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12s' },
+    quotaFailure([{ quotaMetric: 'requests', quotaId: 'GenerateRequestsPerDayPerProjectPerModel-FreeTier', quotaDimensions: { model: 'gemini-2.5-flash' } }])
+  ]);
+  const hints = parseRateLimitHints(response, body);
+  assert.equal(hints.retryAfterMs, 12000);
+  assert.equal(hints.model, 'gemini-2.5-flash');
+  assert.ok(isDailyQuotaViolation(hints.quotaViolations));
+
+  assert.equal(parseRateLimitHints(response, null).retryAfterMs, 5000);
+});
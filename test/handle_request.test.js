@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 监控与性能模块在导入时启动定时任务，测试中不让它们阻止进程退出
+const realSetInterval = globalThis.setInterval;
+globalThis.setInterval = (...args) => realSetInterval(...args).unref();
+const { handleRequest } = await import('../src/handle_request.js');
+globalThis.setInterval = realSetInterval;
+
+const env = {
+  GEMINI_API_KEY: `AIza${'a'.repeat(35)}`,
+  AUTH_TOKEN: 'shared-token',
+  LOG_LEVEL: 'ERROR',
+  IP_RPM: '1',
+  CLIENT_POLICIES: JSON.stringify({ default: { maxOutputTokens: 100, maxThinkingBudget: 10 } })
+};
+
+function generate(path) {
+  return new Request(`https://proxy.example/v1beta/models/gemini-2.5-flash:${path}`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer shared-token', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ contents: [] })
+  });
+}
+
+test('客户端策略的输出与思考上限同样作用于原生流式请求', async t => {
+  const upstreamBodies = [];
+  t.mock.method(globalThis, 'fetch', async (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (/:(generateContent|streamGenerateContent)/.test(url)) {
+      upstreamBodies.push(JSON.parse(await new Response(init?.body ?? input.body).text()));
+    }
+    return new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+  });
+
+  for (const path of ['generateContent', 'streamGenerateContent?alt=sse', 'streamGenerateContent']) {
+    const response = await handleRequest({ request: generate(path), env });
+    await response.text();
+  }
+
+  assert.equal(upstreamBodies.length, 3);
+  for (const body of upstreamBodies) {
+    assert.deepEqual(body.generationConfig, { maxOutputTokens: 100, thinkingConfig: { thinkingBudget: 10 } });
+  }
+});
+
+test('配置覆盖项从传入的 env 读取，而不是 process.env', async t => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+  const fromIp = () => {
+    const request = generate('generateContent');
+    request.headers.set('x-real-ip', '203.0.113.5');
+    return request;
+  };
+
+  assert.equal((await handleRequest({ request: fromIp(), env })).status, 200);
+  const limited = await handleRequest({ request: fromIp(), env });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('x-ratelimit-limit-requests'), '1');
+});
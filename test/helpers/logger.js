@@ -0,0 +1,4 @@
+/**
+ * 测试用日志记录器：不输出任何内容，接口与 logger.mjs 的 logger 相同
+ */
+export const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
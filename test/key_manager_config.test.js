@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KEY_MANAGER_CONFIG, getConfig, initializeConfig } from '../src/key_manager_config.js';
+
+test('getConfig 从传入的 env 读取覆盖项，不修改默认配置', () => {
+  const config = getConfig({ KEY_SELECTION_STRATEGY: 'latency', KEY_MAX_IN_FLIGHT: '3', CLIENT_RPM: '60' });
+  assert.equal(config.selection.strategy, 'latency');
+  assert.equal(config.concurrency.maxInFlightPerKey, 3);
+  assert.equal(config.clientRateLimit.perToken.rpm, 60);
+
+  assert.equal(getConfig({}).selection.strategy, KEY_MANAGER_CONFIG.selection.strategy);
+  assert.notEqual(KEY_MANAGER_CONFIG.clientRateLimit.perToken.rpm, 60);
+});
+
+test('initializeConfig 记录的 env 作为 getConfig 的默认值', () => {
+  initializeConfig({ KEY_EXHAUSTION_POLICY: 'queue' });
+  assert.equal(getConfig().exhaustion.policy, 'queue');
+  initializeConfig({});
+  assert.equal(getConfig().exhaustion.policy, KEY_MANAGER_CONFIG.exhaustion.policy);
+});
+
+test('KEY_MANAGER_MAX_ATTEMPTS 复制 retry 后覆盖，无效值使用默认值', () => {
+  const defaultAttempts = KEY_MANAGER_CONFIG.retry.maxAttempts;
+  assert.equal(getConfig({ KEY_MANAGER_MAX_ATTEMPTS: '2' }).retry.maxAttempts, 2);
+  assert.equal(KEY_MANAGER_CONFIG.retry.maxAttempts, defaultAttempts);
+  assert.equal(getConfig({}).retry.maxAttempts, defaultAttempts);
+  assert.equal(getConfig({ KEY_MANAGER_MAX_ATTEMPTS: 'many' }).retry.maxAttempts, defaultAttempts);
+});
+
+test('KEY_QUOTA_* 复制 quota 后覆盖', () => {
+  const config = getConfig({ KEY_QUOTA_ENABLED: 'true', KEY_QUOTA_LIMITS: '[{"model":"*","rpm":1}]' });
+  assert.equal(config.quota.enabled, true);
+  assert.equal(config.quota.limits.length, 1);
+  assert.equal(KEY_MANAGER_CONFIG.quota.enabled, false);
+  assert.ok(KEY_MANAGER_CONFIG.quota.limits.length > 1);
+});
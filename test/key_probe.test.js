@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KeyManager } from '../src/utils.js';
+import { silentLogger } from './helpers/logger.js';
+
+const KEY_OK = `AIza${'a'.repeat(35)}`;
+const KEY_NO_MODEL = `AIza${'b'.repeat(35)}`;
+
+const notFound = () => new Response(JSON.stringify({ error: { code: 404, status: 'NOT_FOUND', message: 'models/nope is not found' } }), { status: 404 });
+
+function createManager(keys) {
+  const manager = new KeyManager(keys.join(','), silentLogger, { skipRegistryCheck: true, poolId: 'probe-test' });
+  manager.config = {
+    ...manager.config,
+    healthCheck: { ...manager.config.healthCheck, probe: 'countTokens', probeModels: ['gemini-2.5-flash', 'nope'] }
+  };
+  manager.initState();
+  return manager;
+}
+
+test('verifyAllKeys: 部分模型不可访问不影响密钥，没有任何可访问模型时探测失败', async t => {
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    if (url.includes('/models/nope:') || init.headers['x-goog-api-key'] === KEY_NO_MODEL) return notFound();
+    return new Response('{"totalTokens":1}', { status: 200 });
+  });
+  const manager = createManager([KEY_OK, KEY_NO_MODEL]);
+
+  const report = await manager.verifyAllKeys();
+  const [ok, noModel] = report.results;
+
+  assert.equal(ok.status, 'valid');
+  assert.deepEqual(ok.reachableModels, ['gemini-2.5-flash']);
+
+  assert.equal(noModel.status, 'error');
+  assert.equal(noModel.httpStatus, 404);
+  assert.deepEqual(noModel.reachableModels, []);
+});
+
+test('verifyAllKeys: 探测成功但没有返回任何模型时计为 NO_REACHABLE_MODEL', async t => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('{"models":[]}', { status: 200 }));
+  const manager = createManager([KEY_OK]);
+  manager.config.healthCheck = { ...manager.config.healthCheck, probe: 'models' };
+
+  const [result] = (await manager.verifyAllKeys()).results;
+  assert.equal(result.status, 'error');
+  assert.equal(result.reason, 'NO_REACHABLE_MODEL');
+});
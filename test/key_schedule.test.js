@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeSchedule, isWithinSchedule, msUntilWithinSchedule, parseKeySchedule } from '../src/key_schedule.js';
+
+const MINUTE_MS = 60000;
+const at = iso => Date.parse(iso);
+
+test('parseKeySchedule: 没有调度信息时返回 null，无效字段被忽略', () => {
+  assert.equal(parseKeySchedule({}), null);
+  assert.equal(parseKeySchedule({ nbf: 'not-a-date', hours: '25-26' }), null);
+  assert.equal(parseKeySchedule({ hours: '08:00-08:00' }), null);
+});
+
+test('parseKeySchedule: 无效时区回退到 UTC', () => {
+  const schedule = parseKeySchedule({ hours: '9-17', tz: 'Mars/Olympus' });
+  assert.equal(schedule.timeZone, 'UTC');
+  assert.deepEqual(schedule.activeHours, { start: 540, end: 1020 });
+});
+
+test('msUntilWithinSchedule: 生效前等待到 nbf，过期后为 Infinity', () => {
+  const schedule = parseKeySchedule({ nbf: '2026-01-01T00:00:00Z', exp: '2026-03-31' });
+  assert.equal(msUntilWithinSchedule(schedule, at('2025-12-31T23:00:00Z')), 60 * MINUTE_MS);
+  assert.ok(isWithinSchedule(schedule, at('2026-02-01T00:00:00Z')));
+  assert.equal(msUntilWithinSchedule(schedule, at('2026-03-31T00:00:00Z')), Infinity);
+});
+
+test('msUntilWithinSchedule: 跨午夜时段按指定时区计算', () => {
+  const schedule = parseKeySchedule({ hours: '22:00-08:00', tz: 'Asia/Shanghai' });
+  // 上海 23:00 与 07:59 在时段内
+  assert.ok(isWithinSchedule(schedule, at('2026-05-01T15:00:00Z')));
+  assert.ok(isWithinSchedule(schedule, at('2026-05-01T23:59:00Z')));
+  // 上海 12:00，等到 22:00
+  assert.equal(msUntilWithinSchedule(schedule, at('2026-05-01T04:00:00Z')), 10 * 60 * MINUTE_MS);
+});
+
+test('msUntilWithinSchedule: 下一个可用时段在过期之后时为 Infinity', () => {
+  const schedule = parseKeySchedule({ hours: '09:00-17:00', exp: '2026-05-01T08:00:00Z' });
+  assert.equal(msUntilWithinSchedule(schedule, at('2026-05-01T06:00:00Z')), Infinity);
+});
+
+test('describeSchedule 输出 ISO 时间与 HH:MM 时段', () => {
+  assert.equal(describeSchedule(null), null);
+  assert.deepEqual(describeSchedule(parseKeySchedule({ exp: '2026-03-31', hours: '9-17:30' })), {
+    notBefore: null,
+    expiresAt: '2026-03-31T00:00:00.000Z',
+    activeHours: '09:00-17:30',
+    timeZone: 'UTC'
+  });
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { KeySource, toKeysString } from '../src/key_source.js';
+import { encryptKeys } from '../src/key_crypto.js';
+import { MemoryStorage } from '../src/storage.js';
+import { KeyManager } from '../src/utils.js';
+import { silentLogger } from './helpers/logger.js';
+
+const KEY_A = `AIza${'a'.repeat(35)}`;
+const KEY_B = `AIza${'b'.repeat(35)}`;
+
+test('toKeysString 解析按行文本、JSON 数组和 { keys } 对象', () => {
+  assert.equal(toKeysString(`# 生产密钥\r\n${KEY_A}:2\n\n  ${KEY_B}  \n`), `${KEY_A}:2\n${KEY_B}`);
+  assert.equal(
+    toKeysString(JSON.stringify([KEY_A, { key: KEY_B, weight: 3, tags: ['pro'], hours: '09-18', tz: 'Asia/Shanghai' }, { key: 'off', enabled: false }])),
+    `${KEY_A}\n${KEY_B}:3:pro;hours=09-18;tz=Asia/Shanghai`
+  );
+  assert.equal(toKeysString({ keys: [{ key: KEY_A }] }), `${KEY_A}:1`);
+  assert.throws(() => toKeysString('{"items":[]}'), /array or \{ "keys"/);
+});
+
+test('fromEnv 未配置 KEY_SOURCE 时返回 null，刷新间隔非法时使用默认值', () => {
+  assert.equal(KeySource.fromEnv({}), null);
+  const source = KeySource.fromEnv({ KEY_SOURCE: ' https://keys.example/list.json?sig=secret ', KEY_SOURCE_REFRESH: 'soon' }, null, silentLogger);
+  assert.equal(source.name, 'https://keys.example/list.json');
+  assert.equal(source.refreshMs, 300000);
+  assert.equal(KeySource.fromEnv({ KEY_SOURCE: 'kv:keys', KEY_SOURCE_REFRESH: '0' }).refreshMs, 0);
+});
+
+test('URL 来源携带 Bearer 令牌，非 2xx 或内容为空时加载失败', async t => {
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(`${KEY_A}\n${KEY_B}`));
+  const source = new KeySource({ uri: 'https://keys.example/list', token: 'src-token' }, null, silentLogger);
+
+  assert.equal(await source.load(), `${KEY_A}\n${KEY_B}`);
+  assert.equal(fetchMock.mock.calls[0].arguments[1].headers.Authorization, 'Bearer src-token');
+
+  fetchMock.mock.mockImplementation(async () => new Response('nope', { status: 403 }));
+  await assert.rejects(source.load(), /returned status 403/);
+  fetchMock.mock.mockImplementation(async () => new Response('# 只有注释\n'));
+  await assert.rejects(source.load(), /is empty/);
+});
+
+test('kv: 与 file: 来源，以及加密内容', async t => {
+  const storage = new MemoryStorage();
+  await storage.set('keys', [KEY_A]);
+  assert.equal(await new KeySource({ uri: 'kv:keys' }, storage, silentLogger).load(), KEY_A);
+  await assert.rejects(new KeySource({ uri: 'kv:missing' }, storage, silentLogger).load(), /not found/);
+  await assert.rejects(new KeySource({ uri: 'kv:keys' }, null, silentLogger).load(), /requires a state storage/);
+
+  const dir = await mkdtemp(join(tmpdir(), 'key-source-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const file = join(dir, 'keys.txt');
+  await writeFile(file, await encryptKeys(`${KEY_A}\n${KEY_B}`, 'secret'));
+  assert.equal(await new KeySource({ uri: `file:${file}`, encryptionSecret: 'secret' }, null, silentLogger).load(), `${KEY_A}\n${KEY_B}`);
+
+  await assert.rejects(new KeySource({ uri: 'ftp://keys' }, null, silentLogger).load(), /Unsupported KEY_SOURCE/);
+});
+
+test('refresh 把变化同步到 KeyManager，加载失败时保留当前密钥池', async () => {
+  const storage = new MemoryStorage();
+  const manager = new KeyManager(KEY_A, silentLogger, { skipRegistryCheck: true, poolId: 'key-source-test' });
+  manager.initState();
+  const source = new KeySource({ uri: 'kv:keys' }, storage, silentLogger);
+
+  assert.equal(await source.refresh(manager), null);
+  assert.deepEqual(manager.state.keys.map(k => k.key), [KEY_A]);
+
+  await storage.set('keys', `${KEY_A}\n${KEY_B}`);
+  const changes = await source.refresh(manager);
+  assert.equal(changes.added.length, 1);
+  assert.deepEqual(manager.state.keys.map(k => k.key), [KEY_A, KEY_B]);
+  assert.equal(await source.refresh(manager), null);
+});
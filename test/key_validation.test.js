@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KeyWarningCode, parseKeyEntries, validateKeyEntry } from '../src/key_validation.js';
+
+const options = { format: 'reject', pattern: '^AIza[0-9A-Za-z_-]{35}$' };
+const KEY_A = `AIza${'a'.repeat(35)}`;
+const KEY_B = `AIza${'b'.repeat(35)}`;
+
+test('parseKeyEntries 解析权重、标签与调度元数据', () => {
+  const { entries, warnings } = parseKeyEntries(`${KEY_A}:10:paid:fast,\n${KEY_B};exp=2026-12-31;tz=Asia/Shanghai`, options);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(entries, [
+    { key: KEY_A, weight: 10, tags: ['paid', 'fast'], metadata: {} },
+    { key: KEY_B, weight: 1, tags: [], metadata: { exp: '2026-12-31', tz: 'Asia/Shanghai' } }
+  ]);
+});
+
+test('parseKeyEntries 只规范化密钥部分，保留调度元数据中的空白', () => {
+  const { entries, warnings } = parseKeyEntries(` "GEMINI_API_KEY=${KEY_A.slice(0, 10)} ${KEY_A.slice(10)};exp=2026-01-01 08:00 ; hours=22-08"`, options);
+  assert.equal(entries[0].key, KEY_A);
+  assert.deepEqual(entries[0].metadata, { exp: '2026-01-01 08:00', hours: '22-08' });
+  assert.deepEqual(warnings.map(w => w.code), [KeyWarningCode.NORMALIZED]);
+});
+
+test('parseKeyEntries 合并重复密钥，拒绝格式不符的条目，无效权重按 1 处理', () => {
+  const { entries, warnings } = parseKeyEntries(`${KEY_A}:2:paid,not-a-key,${KEY_A}:3:free,${KEY_B}:0`, options);
+  assert.deepEqual(entries.map(e => [e.key, e.weight, e.tags]), [[KEY_A, 5, ['paid', 'free']], [KEY_B, 1, []]]);
+  assert.deepEqual(warnings.map(w => w.code), [KeyWarningCode.INVALID_FORMAT, KeyWarningCode.DUPLICATE_MERGED, KeyWarningCode.INVALID_WEIGHT]);
+  // 警告中的密钥已脱敏
+  assert.ok(warnings.every(w => !w.entry.includes(KEY_A)));
+});
+
+test('parseKeyEntries 在 warn 模式下保留格式不符的条目', () => {
+  const { entries, warnings } = parseKeyEntries('sk-relay-key', { ...options, format: 'warn' });
+  assert.equal(entries[0].key, 'sk-relay-key');
+  assert.equal(warnings[0].code, KeyWarningCode.INVALID_FORMAT);
+});
+
+test('validateKeyEntry 规范化单个密钥，拒绝格式不符或带权重的值', () => {
+  assert.deepEqual(validateKeyEntry(` '${KEY_A}' `, options), {
+    key: KEY_A,
+    warnings: [{ code: KeyWarningCode.NORMALIZED, index: 1, entry: `AIza...aaaa（39 字符）`, message: '已去掉多余的空白、引号或 key= 前缀' }],
+    error: null
+  });
+  assert.equal(validateKeyEntry('AIza-too-short', options).key, null);
+  assert.match(validateKeyEntry(`${KEY_A}:5`, options).error, /single key/);
+  assert.match(validateKeyEntry(`${KEY_A},${KEY_B}`, options).error, /single key/);
+  assert.match(validateKeyEntry('  ', options).error, /non-empty/);
+});
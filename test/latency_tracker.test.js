@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LatencyTracker } from '../src/latency_tracker.js';
+import { LatencyAwareStrategy } from '../src/selection_strategies.js';
+
+const config = { alpha: 0.5, errorPenalty: 4, explorationRate: 0.1, minSamples: 2 };
+const keys = [{ key: 'fast', originalWeight: 1 }, { key: 'slow', originalWeight: 1 }];
+
+function sampled(samples) {
+  const tracker = new LatencyTracker(config);
+  for (const [apiKey, latencyMs, success] of samples) tracker.record(apiKey, latencyMs, success);
+  return tracker;
+}
+
+test('record 按 alpha 更新延迟与错误率的 EWMA', () => {
+  const tracker = sampled([['fast', 100, true], ['fast', 300, false]]);
+  assert.deepEqual(tracker.getStats('fast'), { latencyMs: 200, errorRate: 0.5, samples: 2 });
+  assert.equal(tracker.score('fast'), 200 * (1 + 4 * 0.5));
+  assert.equal(tracker.score('unknown'), 0);
+  assert.equal(tracker.getStats('unknown'), null);
+});
+
+test('样本不足的密钥优先被选中', t => {
+  t.mock.method(Math, 'random', () => 0);
+  const tracker = sampled([['fast', 100, true], ['fast', 100, true], ['slow', 900, true]]);
+  assert.equal(tracker.select(keys), 'slow');
+  assert.equal(tracker.select([]), null);
+});
+
+test('选择期望代价最小的密钥，错误率和权重都计入代价', t => {
+  t.mock.method(Math, 'random', () => 0.99);
+  const tracker = sampled([['fast', 100, true], ['fast', 100, true], ['slow', 150, true], ['slow', 150, true]]);
+  assert.equal(tracker.select(keys), 'fast');
+
+  // 权重放大后 slow 的单位代价更低
+  assert.equal(tracker.select([keys[0], { key: 'slow', originalWeight: 2 }]), 'slow');
+
+  tracker.record('fast', 100, false);
+  assert.equal(tracker.select(keys), 'slow');
+});
+
+test('按 explorationRate 选择最久未采样的密钥', t => {
+  const tracker = sampled([['slow', 900, true], ['slow', 900, true], ['fast', 100, true], ['fast', 100, true]]);
+  t.mock.method(Math, 'random', () => 0.05);
+  assert.equal(tracker.select(keys), 'slow');
+  t.mock.method(Math, 'random', () => 0.5);
+  assert.equal(tracker.select(keys), 'fast');
+});
+
+test('LatencyAwareStrategy 委托给 LatencyTracker', t => {
+  t.mock.method(Math, 'random', () => 0.99);
+  const strategy = new LatencyAwareStrategy(sampled([['fast', 100, true], ['fast', 100, true], ['slow', 500, true], ['slow', 500, true]]));
+  assert.equal(strategy.name, 'latency');
+  assert.equal(strategy.select(keys), 'fast');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PolicyViolationCode, evaluatePolicy, parsePolicies } from '../src/policy.js';
+import { silentLogger } from './helpers/logger.js';
+
+const policies = parsePolicies(JSON.stringify({
+  intern: {
+    allowModels: ['gemini-2.5-flash*'],
+    denyModels: ['*-lite*'],
+    maxOutputTokens: 4096,
+    maxThinkingBudget: 1024,
+    blockedTools: ['code_execution'],
+    maxBodyBytes: 1000
+  },
+  broken: { maxOutputTokens: -1 }
+}), silentLogger);
+const intern = policies.intern;
+
+test('parsePolicies 跳过无效策略，非法 JSON 或非对象返回空', () => {
+  assert.deepEqual(Object.keys(policies), ['intern']);
+  assert.deepEqual(intern.blockedTools, ['codeExecution']);
+  assert.deepEqual(parsePolicies('{', silentLogger), {});
+  assert.deepEqual(parsePolicies('[]', silentLogger), {});
+});
+
+test('denyModels 优先于 allowModels，模型名去掉 models/ 前缀后匹配', () => {
+  const check = model => evaluatePolicy(intern, { format: 'gemini', model, body: null }).violation?.code ?? null;
+  assert.equal(check('models/gemini-2.5-flash'), null);
+  assert.equal(check('gemini-2.5-flash-lite'), PolicyViolationCode.MODEL_NOT_ALLOWED);
+  assert.equal(check('gemini-2.5-pro'), PolicyViolationCode.MODEL_NOT_ALLOWED);
+});
+
+test('签名令牌的 allowModels 在没有策略时同样生效', () => {
+  const result = evaluatePolicy(null, { format: 'gemini', model: 'gemini-2.5-pro', body: null, allowModels: ['gemini-2.5-flash'] });
+  assert.equal(result.violation.code, PolicyViolationCode.MODEL_NOT_ALLOWED);
+  assert.equal(evaluatePolicy(null, { format: 'gemini', model: 'gemini-2.5-pro', body: {} }).violation, null);
+});
+
+test('请求体大小、工具、输出与思考上限', () => {
+  const gemini = body => evaluatePolicy(intern, { format: 'gemini', model: 'gemini-2.5-flash', body, bodyBytes: 10 }).violation;
+
+  assert.equal(evaluatePolicy(intern, { format: 'gemini', model: null, body: {}, bodyBytes: 1001 }).violation.code, PolicyViolationCode.BODY_TOO_LARGE);
+  assert.equal(gemini({ tools: [{ code_execution: {} }] }).code, PolicyViolationCode.TOOL_BLOCKED);
+  assert.equal(gemini({ generationConfig: { maxOutputTokens: 8192 } }).param, 'generationConfig.maxOutputTokens');
+  // 动态思考（-1）同样超出上限
+  assert.equal(gemini({ generationConfig: { thinkingConfig: { thinkingBudget: -1 } } }).code, PolicyViolationCode.THINKING_BUDGET_EXCEEDED);
+
+  const openai = evaluatePolicy(intern, { format: 'openai', model: 'gemini-2.5-flash', body: { reasoning_effort: 'high' } }).violation;
+  assert.equal(openai.code, PolicyViolationCode.THINKING_BUDGET_EXCEEDED);
+  assert.equal(openai.param, 'reasoning_effort');
+});
+
+test('生成请求未设置上限时按策略补上，不修改原请求体', () => {
+  const body = { contents: [], generation_config: { temperature: 0.2 } };
+  const result = evaluatePolicy(intern, { format: 'gemini', model: 'gemini-2.5-flash', body, generation: true });
+  assert.equal(result.violation, null);
+  assert.deepEqual(result.body.generationConfig, { temperature: 0.2, maxOutputTokens: 4096, thinkingConfig: { thinkingBudget: 1024 } });
+  assert.equal(result.body.generation_config, undefined);
+  assert.deepEqual(body.generation_config, { temperature: 0.2 });
+
+  const openai = evaluatePolicy(intern, { format: 'openai', model: 'gemini-2.5-flash', body: { messages: [], reasoning_effort: 'low' }, generation: true });
+  assert.equal(openai.body.max_tokens, 4096);
+  assert.equal(openai.body.extra_body, undefined);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ClientRateLimiter, getClientIp, rateLimitHeaders } from '../src/rate_limiter.js';
+import { MemoryStorage } from '../src/storage.js';
+import { silentLogger } from './helpers/logger.js';
+
+function createLimiter(config) {
+  const limiter = new ClientRateLimiter(config, silentLogger);
+  limiter.attachStorage(new MemoryStorage());
+  return limiter;
+}
+
+test('未挂载存储时不限流', async () => {
+  const limiter = new ClientRateLimiter({ perToken: { rpm: 1, tpm: 0 }, perIp: { rpm: 0, tpm: 0 } }, silentLogger);
+  const tenant = { id: 'a' };
+  assert.equal((await limiter.check({ tenant, ip: null })).allowed, true);
+  assert.equal((await limiter.check({ tenant, ip: null })).allowed, true);
+});
+
+test('超出每分钟请求数后拒绝，并按补充速率给出重试时间', async t => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createLimiter({ perToken: { rpm: 2, tpm: 0 }, perIp: { rpm: 0, tpm: 0 } });
+  const tenant = { id: 'a' };
+
+  assert.equal((await limiter.check({ tenant, ip: null })).allowed, true);
+  const second = await limiter.check({ tenant, ip: null });
+  assert.equal(second.allowed, true);
+  assert.equal(second.limits.requests.remaining, 0);
+
+  const rejected = await limiter.check({ tenant, ip: null });
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.scope, 'token:a');
+  assert.equal(rejected.retryAfterMs, 30000);
+  assert.equal(rateLimitHeaders(rejected)['Retry-After'], '30');
+
+  // 半分钟后补充一个请求
+  now += 30000;
+  assert.equal((await limiter.check({ tenant, ip: null })).allowed, true);
+});
+
+test('租户自带的 limits 覆盖默认 perToken，IP 桶独立计算', async t => {
+  t.mock.method(Date, 'now', () => 1_000_000);
+  const limiter = createLimiter({ perToken: { rpm: 100, tpm: 0 }, perIp: { rpm: 1, tpm: 0 } });
+
+  const strict = { id: 'strict', limits: { rpm: 1 } };
+  assert.equal((await limiter.check({ tenant: strict, ip: null })).allowed, true);
+  assert.equal((await limiter.check({ tenant: strict, ip: null })).scope, 'token:strict');
+
+  assert.equal((await limiter.check({ tenant: null, ip: '203.0.113.1' })).allowed, true);
+  assert.equal((await limiter.check({ tenant: null, ip: '203.0.113.1' })).scope, 'ip:203.0.113.1');
+  assert.equal((await limiter.check({ tenant: null, ip: '203.0.113.2' })).allowed, true);
+});
+
+test('被拒绝的请求不扣减其他桶', async t => {
+  t.mock.method(Date, 'now', () => 1_000_000);
+  const limiter = createLimiter({ perToken: { rpm: 10, tpm: 100 }, perIp: { rpm: 0, tpm: 0 } });
+  const tenant = { id: 'a' };
+
+  assert.equal((await limiter.check({ tenant, ip: null, estimatedTokens: 80 })).allowed, true);
+  const rejected = await limiter.check({ tenant, ip: null, estimatedTokens: 50 });
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.limits.requests.remaining, 9);
+
+  // 被拒绝的请求没有扣减 Token 桶，剩余 20 个仍可使用
+  assert.equal((await limiter.check({ tenant, ip: null, estimatedTokens: 20 })).allowed, true);
+});
+
+test('getClientIp 依次读取各平台的请求头', () => {
+  assert.equal(getClientIp(new Headers({ 'cf-connecting-ip': '198.51.100.7', 'x-real-ip': '10.0.0.1' })), '198.51.100.7');
+  assert.equal(getClientIp(new Headers({ 'x-forwarded-for': ' 203.0.113.9 , 10.0.0.1' })), '203.0.113.9');
+  assert.equal(getClientIp(new Headers()), null);
+});
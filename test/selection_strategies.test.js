@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  RandomWeightedStrategy,
+  SmartStrategy,
+  SmoothWeightedRoundRobinStrategy,
+  StickyLastSuccessStrategy,
+  createSelectionStrategy,
+  registerSelectionStrategy
+} from '../src/selection_strategies.js';
+import { silentLogger } from './helpers/logger.js';
+
+const keyObj = (key, weight = 1, fields = {}) => ({ key, originalWeight: weight, currentWeight: 0, inFlight: 0, errorCount: 0, ...fields });
+
+test('swrr 按权重平滑穿插，而不是连续选择高权重密钥', () => {
+  const strategy = new SmoothWeightedRoundRobinStrategy();
+  const keys = [keyObj('a', 5), keyObj('b'), keyObj('c')];
+  const picks = Array.from({ length: 7 }, () => strategy.select(keys));
+  assert.deepEqual(picks, ['a', 'a', 'b', 'a', 'c', 'a', 'a']);
+});
+
+test('random-weighted 按权重比例映射随机数', t => {
+  const strategy = new RandomWeightedStrategy();
+  const keys = [keyObj('a', 3), keyObj('b', 1)];
+  const random = t.mock.method(Math, 'random', () => 0.7);
+  assert.equal(strategy.select(keys), 'a');
+  random.mock.mockImplementation(() => 0.8);
+  assert.equal(strategy.select(keys), 'b');
+});
+
+test('sticky 在有效期内复用最近成功的密钥，过期、不可用或重置后回退到 swrr', t => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(Math, 'random', () => 0);
+  const strategy = new StickyLastSuccessStrategy({ ttlMs: 1000, reuseProbability: 0.5 });
+  const keys = [keyObj('a'), keyObj('b')];
+
+  assert.equal(strategy.select(keys), 'a');
+  strategy.onSuccess('b');
+  assert.equal(strategy.select(keys), 'b');
+  assert.equal(strategy.select([keyObj('a')]), 'a');
+
+  // 过期后按 swrr 轮转，不再固定在 b 上
+  now += 1001;
+  assert.deepEqual([strategy.select(keys), strategy.select(keys)], ['b', 'a']);
+
+  strategy.onSuccess('b');
+  strategy.reset();
+  assert.equal(strategy.lastSuccessfulKey, null);
+});
+
+test('smart 避开最近出错的密钥，并优先累计错误最少的密钥', t => {
+  const now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const strategy = new SmartStrategy({ recentErrorWindowMs: 60_000 });
+
+  const recentError = keyObj('a', 1, { lastErrorCode: 429, last_error_at: now - 1000 });
+  const moreErrors = keyObj('b', 1, { errorCount: 3 });
+  const oldError = keyObj('c', 1, { lastErrorCode: 500, last_error_at: now - 120_000, errorCount: 1 });
+  assert.equal(strategy.select([recentError, moreErrors, oldError]), 'c');
+
+  // 所有密钥都刚出过错时，仍然从中选出一个
+  assert.equal(strategy.select([recentError]), 'a');
+});
+
+test('createSelectionStrategy 创建注册的策略，未知名称警告并回退到 swrr', t => {
+  const manager = { logger: silentLogger, config: { selection: {} } };
+  const warn = t.mock.method(silentLogger, 'warn');
+
+  assert.equal(createSelectionStrategy('random-weighted', manager).name, 'random-weighted');
+  assert.equal(createSelectionStrategy('nope', manager).name, 'swrr');
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /nope/);
+
+  registerSelectionStrategy('first', () => ({ name: 'first', select: keys => keys[0].key }));
+  const custom = createSelectionStrategy('first', manager);
+  assert.equal(custom.select([keyObj('x'), keyObj('y')]), 'x');
+});
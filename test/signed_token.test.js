@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isAuthorizedToken, isSignedToken, resolveSignedToken, signToken, verifyToken } from '../src/signed_token.js';
+
+const SECRET = 'test-secret';
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('签发的令牌可以校验并解析为租户', async () => {
+  const token = await signToken({ sub: 'ci', models: ['gemini-2.5-flash*'], quota: { rpm: 10 }, pool: 'team' }, SECRET);
+  assert.ok(isSignedToken(token));
+
+  const { claims, error } = await verifyToken(token, SECRET);
+  assert.equal(error, null);
+  assert.equal(claims.sub, 'ci');
+
+  const { tenant } = await resolveSignedToken(token, SECRET);
+  assert.deepEqual(tenant, {
+    id: 'jwt:ci',
+    name: 'ci',
+    pool: 'team',
+    limits: { rpm: 10 },
+    policy: null,
+    allowModels: ['gemini-2.5-flash*']
+  });
+});
+
+test('签发时校验声明', async () => {
+  await assert.rejects(signToken({ sub: 'ci' }, ''), /JWT_SECRET/);
+  await assert.rejects(signToken({}, SECRET), /"sub"/);
+  await assert.rejects(signToken({ sub: 'ci', quota: { rpm: -1 } }, SECRET), /quota\.rpm/);
+});
+
+test('错误密钥或被篡改的载荷无效', async () => {
+  const token = await signToken({ sub: 'ci' }, SECRET);
+  assert.equal((await verifyToken(token, 'other-secret')).error, 'invalid');
+
+  const [header, , signature] = token.split('.');
+  const tampered = `${header}.${encode({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 3600 })}.${signature}`;
+  assert.equal((await verifyToken(tampered, SECRET)).error, 'invalid');
+});
+
+test('拒绝 alg 不是 HS256 的令牌', async () => {
+  const token = await signToken({ sub: 'ci' }, SECRET);
+  const [, payload, signature] = token.split('.');
+  const none = `${encode({ alg: 'none', typ: 'JWT' })}.${payload}.${signature}`;
+  assert.equal((await verifyToken(none, SECRET)).error, 'invalid');
+});
+
+test('过期与尚未生效的令牌（允许 30 秒时钟偏差）', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const expired = await signToken({ sub: 'ci', exp: now - 60 }, SECRET);
+  assert.equal((await verifyToken(expired, SECRET)).error, 'expired');
+
+  const withinSkew = await signToken({ sub: 'ci', exp: now - 10 }, SECRET);
+  assert.equal((await verifyToken(withinSkew, SECRET)).error, null);
+
+  const future = await signToken({ sub: 'ci', nbf: now + 600 }, SECRET);
+  assert.equal((await verifyToken(future, SECRET)).error, 'not yet valid');
+});
+
+test('isAuthorizedToken 接受 AUTH_TOKEN 或有效的签名令牌', async () => {
+  const token = await signToken({ sub: 'ci' }, SECRET);
+  assert.equal(await isAuthorizedToken('shared', { authToken: 'shared', jwtSecret: SECRET }), true);
+  assert.equal(await isAuthorizedToken(token, { authToken: 'shared', jwtSecret: SECRET }), true);
+  assert.equal(await isAuthorizedToken(token, { authToken: 'shared' }), false);
+  assert.equal(await isAuthorizedToken('', { authToken: '' }), false);
+});
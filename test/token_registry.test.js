@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TokenRegistry, parseExpiry } from '../src/token_registry.js';
+import { MemoryStorage } from '../src/storage.js';
+import { silentLogger } from './helpers/logger.js';
+
+const config = { reloadIntervalMs: 60000 };
+
+async function createRegistry(tokens, storage = null) {
+  const registry = new TokenRegistry(config, silentLogger);
+  if (storage) registry.attachStorage(storage);
+  await registry.loadConfig(JSON.stringify(tokens));
+  await registry.reload();
+  return registry;
+}
+
+test('CLIENT_TOKENS 中的令牌解析为租户，未注册的令牌返回空结果', async () => {
+  const registry = await createRegistry([
+    { token: 'team-a-token', name: 'team-a', pool: 'team-a', rpm: 60, policy: 'intern' },
+    { token: 'off-token', name: 'off', enabled: false },
+    { token: 'old-token', name: 'old', expiresAt: '2020-01-01' },
+    { name: 'missing-token' },
+    { token: 'bad-expiry', expiresAt: 'someday' }
+  ]);
+
+  assert.equal(registry.list().length, 3);
+  const { tenant, error } = await registry.resolve('team-a-token');
+  assert.equal(error, null);
+  assert.equal(tenant.name, 'team-a');
+  assert.equal(tenant.pool, 'team-a');
+  assert.deepEqual(tenant.limits, { rpm: 60 });
+  assert.equal(tenant.policy, 'intern');
+
+  assert.deepEqual(await registry.resolve('off-token'), { tenant: null, error: 'disabled' });
+  assert.deepEqual(await registry.resolve('old-token'), { tenant: null, error: 'expired' });
+  assert.deepEqual(await registry.resolve('team-a-token-x'), { tenant: null, error: null });
+  assert.deepEqual(await registry.resolve(''), { tenant: null, error: null });
+});
+
+test('管理 API 创建的令牌通过共享存储在实例之间可见，列表不含哈希', async () => {
+  const storage = new MemoryStorage();
+  const first = await createRegistry([], storage);
+  const { token, record } = await first.create({ name: 'ci', pool: 'default', rpm: 5 });
+  assert.match(token, /^gbe_[A-Za-z0-9_-]+$/);
+  assert.equal(record.tokenHash, undefined);
+
+  const second = await createRegistry([], storage);
+  assert.equal((await second.resolve(token)).tenant.name, 'ci');
+
+  await second.update(record.id, { enabled: false });
+  await first.reload();
+  assert.equal((await first.resolve(token)).error, 'disabled');
+
+  assert.equal(await first.remove(record.id), true);
+  assert.equal(first.get(record.id), null);
+});
+
+test('CLIENT_TOKENS 中的令牌只能禁用，不能删除', async () => {
+  const registry = await createRegistry([{ token: 'config-token', name: 'config' }], new MemoryStorage());
+  const [{ id }] = registry.list();
+  await assert.rejects(registry.remove(id), /disable it instead/);
+
+  await registry.update(id, { enabled: false });
+  assert.equal((await registry.resolve('config-token')).error, 'disabled');
+  assert.equal(registry.get(id).source, 'config');
+});
+
+test('parseExpiry 区分未设置与无效时间', () => {
+  assert.equal(parseExpiry(null), null);
+  assert.equal(parseExpiry(''), null);
+  assert.equal(parseExpiry('2026-01-01'), Date.UTC(2026, 0, 1));
+  assert.equal(parseExpiry('soon'), undefined);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UsageTracker, formatUsageCsv, normalizeUsage } from '../src/usage_tracker.js';
+import { MemoryStorage } from '../src/storage.js';
+import { silentLogger } from './helpers/logger.js';
+
+const config = { flushDelayMs: 10, dailyTtlMs: 86400000, monthlyTtlMs: 86400000, maxReportPeriods: 31 };
+
+test('normalizeUsage 识别 Gemini usageMetadata', () => {
+  assert.deepEqual(normalizeUsage({ promptTokenCount: 100, candidatesTokenCount: 50, thoughtsTokenCount: 25, cachedContentTokenCount: 60, totalTokenCount: 175 }), {
+    requests: 1, promptTokens: 100, outputTokens: 50, thinkingTokens: 25, cachedTokens: 60, totalTokens: 175
+  });
+});
+
+test('normalizeUsage 识别 OpenAI usage，输出 Token 扣除思考部分', () => {
+  assert.deepEqual(normalizeUsage({
+    prompt_tokens: 10, completion_tokens: 30, total_tokens: 40,
+    completion_tokens_details: { reasoning_tokens: 20 }, prompt_tokens_details: { cached_tokens: 4 }
+  }), { requests: 1, promptTokens: 10, outputTokens: 10, thinkingTokens: 20, cachedTokens: 4, totalTokens: 40 });
+});
+
+test('normalizeUsage 对无法识别的用量返回 null', () => {
+  assert.equal(normalizeUsage(null), null);
+  assert.equal(normalizeUsage({ foo: 1 }), null);
+});
+
+test('getReport 的日期范围校验', async () => {
+  const tracker = new UsageTracker(config, silentLogger);
+  const report = await tracker.getReport({ from: '2026-01-30', to: '2026-02-02' });
+  assert.equal(report.from, '2026-01-30');
+  assert.equal(report.to, '2026-02-02');
+
+  const months = await tracker.getReport({ period: 'month', from: '2025-11', to: '2026-02' });
+  assert.equal(months.from, '2025-11');
+
+  await assert.rejects(tracker.getReport({ from: '2026-13-40' }), /YYYY-MM-DD/);
+  await assert.rejects(tracker.getReport({ from: '2026-03-02', to: '2026-03-01' }), /later than/);
+  await assert.rejects(tracker.getReport({ from: '2020-01-01', to: '2026-01-01' }), /limited to 31 days/);
+  await assert.rejects(tracker.getReport({ period: 'week' }), /period/);
+});
+
+test('记录的用量在写入存储前后都能查询到，whenFlushed 等待延迟写入', async () => {
+  const storage = new MemoryStorage();
+  const tracker = new UsageTracker(config, silentLogger);
+  tracker.attachStorage(storage);
+  const client = { id: 'team-a', name: 'Team, "A"' };
+
+  tracker.record({ client, model: 'models/gemini-2.5-flash', usage: { promptTokenCount: 5, totalTokenCount: 5 } });
+  tracker.record({ client, model: 'gemini-2.5-flash', usage: { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 } });
+  assert.equal((await tracker.getReport()).totals.totalTokens, 12);
+
+  await tracker.whenFlushed();
+  assert.equal(tracker.pending.size, 0);
+  const report = await tracker.getReport({ client: 'team-a' });
+  assert.equal(report.rows.length, 1);
+  assert.equal(report.rows[0].model, 'gemini-2.5-flash');
+  assert.equal(report.rows[0].requests, 2);
+  assert.match(formatUsageCsv(report), /,team-a,"Team, ""A""",gemini-2\.5-flash,2,8,4,0,0,12\n$/);
+
+  assert.equal((await tracker.getReport({ client: 'other' })).rows.length, 0);
+});